@@ -1,31 +1,679 @@
+#!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
 const deobfuscator2 = require('../deobfuscator2');
-const EXTNAME = '.js';
+const EXTNAMES = ['.js', '.mjs', '.cjs'];
+const DEFAULT_SUFFIX = '-cleaned';
+const SOURCE_TYPES = {
+    '.mjs': 'module',
+    '.cjs': 'script'
+};
 const fsOptions = {
     encoding: 'utf-8'
 };
+const USAGE = `Usage: deobfuscator2 [options] <file|dir|glob|->...
+       deobfuscator2 detect <file|dir|glob|->...
+
+Options:
+  -o, --out-dir <dir>   Write output files to <dir> (keeps relative paths)
+  --stdout              Write cleaned code to stdout
+  --suffix <suffix>     Output file name suffix (default: "${DEFAULT_SUFFIX}", "" with --out-dir)
+  --overwrite           Overwrite input files in place
+  --source-map          Write <output>.map next to each output file
+  --report <file>       Write a JSON report of what was decoded, inlined, removed and renamed
+  --verify              Run original and cleaned code in stubbed sandboxes and compare their effects
+  --benchmark           Print the time spent in each pass
+  --unbundle <dir>      Split webpack/browserify bundles into one file per module under <dir>
+  --normalize           Rewrite minifier idioms (a && b(), void 0, yoda comparisons, ...) into plain statements
+  --names <strategy>    Identifiers to rename: auto (default), hexadecimal, mangled, dictionary or /regex/flags
+  --renames             Write <output>.renames.json with the stable keys and new names of renamed identifiers
+                        (not with --stdout or stdin)
+  --rename-map <file>   Apply hand-edited names from a renames.json (matched by key, so it survives rebuilds)
+  -h, --help            Show this help
+
+Commands:
+  detect                Print the likely obfuscator, version and enabled options as JSON
+                        (no files are written)
+
+Reads from stdin when the input is "-" or no input is given with piped stdin.
+Exit code: 0 = ok, 1 = some files failed or differ under --verify, 2 = invalid arguments or two inputs with the same output file`;
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv
+ * @returns {{command: string, inputs: string[], outDir: string|null, stdout: boolean, suffix: string|null, overwrite: boolean, sourceMaps: boolean, report: string|null, verify: boolean, benchmark: boolean, unbundle: string|null, normalize: boolean, names: string|RegExp, renames: boolean, renameMap: string|Object|null, help: boolean}}
+ */
+function parseArgs(argv) {
+    let args = {
+        command: 'clean',
+        inputs: [],
+        outDir: null,
+        stdout: false,
+        suffix: null,
+        overwrite: false,
+        sourceMaps: false,
+        report: null,
+        verify: false,
+        benchmark: false,
+        unbundle: null,
+        normalize: false,
+        names: 'auto',
+        renames: false,
+        renameMap: null,
+        help: false
+    };
+    let takeValue = (i, name) => {
+        if (i + 1 >= argv.length) {
+            throw new Error(`Missing value for ${name}`);
+        }
+
+        return argv[i + 1];
+    };
+
+    if (argv[0] === 'detect') {
+        args.command = 'detect';
+        argv = argv.slice(1);
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let value = null;
+        let equalIndex = arg.indexOf('=');
+        if (arg.startsWith('--') && equalIndex > -1) {
+            value = arg.substr(equalIndex + 1);
+            arg = arg.substr(0, equalIndex);
+        }
+
+        switch (arg) {
+            case '-o':
+            case '--out-dir':
+                args.outDir = value !== null ? value : takeValue(i++, arg);
+                break
+            case '--suffix':
+                args.suffix = value !== null ? value : takeValue(i++, arg);
+                break
+            case '--stdout':
+                args.stdout = true;
+                break
+            case '--overwrite':
+                args.overwrite = true;
+                break
+            case '--source-map':
+                args.sourceMaps = true;
+                break
+            case '--report':
+                args.report = value !== null ? value : takeValue(i++, arg);
+                break
+            case '--verify':
+                args.verify = true;
+                break
+            case '--benchmark':
+                args.benchmark = true;
+                break
+            case '--unbundle':
+                args.unbundle = value !== null ? value : takeValue(i++, arg);
+                break
+            case '--normalize':
+                args.normalize = true;
+                break
+            case '--names':
+                args.names = parseNames(value !== null ? value : takeValue(i++, arg));
+                break
+            case '--renames':
+                args.renames = true;
+                break
+            case '--rename-map':
+                args.renameMap = value !== null ? value : takeValue(i++, arg);
+                break
+            case '-h':
+            case '--help':
+                args.help = true;
+                break
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+
+                args.inputs.push(arg);
+                break
+        }
+    }
+
+    if (args.overwrite && (args.outDir || args.stdout)) {
+        throw new Error('--overwrite cannot be used with --out-dir or --stdout');
+    }
+
+    return args;
+}
+
+/**
+ * 解析 --names 参数
+ * @param {string} value auto | hexadecimal | mangled | dictionary | /regex/flags
+ * @returns {string|RegExp}
+ */
+function parseNames(value) {
+    let match = /^\/(.+)\/([a-z]*)$/.exec(value);
+    if (match) {
+        return new RegExp(match[1], match[2]);
+    }
+
+    if (!['auto', 'hexadecimal', 'mangled', 'dictionary'].includes(value)) {
+        throw new Error(`Unknown --names strategy: ${value}`);
+    }
+
+    return value;
+}
+
+/**
+ * 是否包含通配符
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function isGlob(pattern) {
+    return /[*?{}[\]]/.test(pattern);
+}
+
+/**
+ * 通配符转正则(支持 ** * ? [abc] {a,b})
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    let inGroup = false;
+    for (let i = 0; i < pattern.length; i++) {
+        let char = pattern[i];
+        switch (char) {
+            case '*':
+                if (pattern[i + 1] === '*') {
+                    // **/ 可匹配零层目录
+                    if (pattern[i + 2] === '/') {
+                        source += '(?:.*/)?';
+                        i += 2;
+                    } else {
+                        source += '.*';
+                        i++;
+                    }
+                } else {
+                    source += '[^/]*';
+                }
+                break
+            case '?':
+                source += '[^/]';
+                break
+            case '[': {
+                let endIndex = pattern.indexOf(']', i);
+                if (endIndex === -1) {
+                    source += '\\[';
+                } else {
+                    source += pattern.substring(i, endIndex + 1);
+                    i = endIndex;
+                }
+                break
+            }
+            case '{':
+                inGroup = true;
+                source += '(?:';
+                break
+            case '}':
+                inGroup = false;
+                source += ')';
+                break
+            case ',':
+                source += inGroup ? '|' : ',';
+                break
+            default:
+                source += char.replace(/[.+^$()|\\]/g, '\\$&');
+                break
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * 递归列出目录下的文件(跳过 node_modules 和隐藏目录)
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listFiles(dir) {
+    let files = [];
+    for (let entry of fs.readdirSync(dir, {withFileTypes: true})) {
+        let entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+                files.push(...listFiles(entryPath));
+            }
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * 展开输入(文件/目录/通配符)
+ * @param {string[]} inputs
+ * @param {string} suffix
+ * @returns {{file: string, base: string}[]} base=用于计算 --out-dir 下的相对路径
+ */
+function expandInputs(inputs, suffix) {
+    let entries = [];
+    let isSupported = (file) => EXTNAMES.includes(path.extname(file))
+        && !(suffix && path.basename(file, path.extname(file)).endsWith(suffix));
+
+    for (let input of inputs) {
+        if (input === '-') {
+            entries.push({file: '-', base: ''});
+        } else if (isGlob(input)) {
+            let pattern = input.replace(/\\/g, '/');
+            let segments = pattern.split('/');
+            let globIndex = segments.findIndex(isGlob);
+            let base = segments.slice(0, globIndex).join('/') || '.';
+            let regExp = globToRegExp(segments.slice(globIndex).join('/'));
+            if (!fs.existsSync(base)) {
+                continue;
+            }
+
+            for (let file of listFiles(base)) {
+                let relativePath = path.relative(base, file).replace(/\\/g, '/');
+                if (regExp.test(relativePath) && isSupported(file)) {
+                    entries.push({file, base});
+                }
+            }
+        } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            for (let file of listFiles(input)) {
+                if (isSupported(file)) {
+                    entries.push({file, base: input});
+                }
+            }
+        } else {
+            // 明确指定的文件不跳过后缀, 但仍检查扩展名
+            entries.push({file: input, base: path.dirname(input)});
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * 输出路径
+ * @param {{file: string, base: string}} entry
+ * @param {{outDir: string|null, suffix: string}} args
+ * @returns {string}
+ */
+function getOutPath(entry, args) {
+    let extname = path.extname(entry.file);
+    let relativePath = path.relative(entry.base, entry.file);
+    let fileName = path.basename(relativePath, extname) + args.suffix + extname;
+    let dir = args.outDir
+        ? path.join(args.outDir, path.dirname(relativePath))
+        : path.dirname(entry.file);
+    return path.join(dir, fileName);
+}
+
+/**
+ * 找出会写到同一输出文件的不同输入
+ * e.g. -o out a/src/x.js b/src/x.js -> out/x.js
+ * @param {{file: string, base: string}[]} entries
+ * @param {{outDir: string|null, suffix: string}} args
+ * @returns {string|null} 错误信息
+ */
+function findOutPathCollision(entries, args) {
+    let writtenFiles = new Map();
+    for (let entry of entries) {
+        if (entry.file === '-') {
+            continue;
+        }
+
+        let outPath = getOutPath(entry, args);
+        let otherFile = writtenFiles.get(path.resolve(outPath));
+        if (otherFile && path.resolve(otherFile) !== path.resolve(entry.file)) {
+            return `${otherFile} and ${entry.file} would both be written to ${outPath}`;
+        }
+
+        writtenFiles.set(path.resolve(outPath), entry.file);
+    }
+
+    return null;
+}
+
+/**
+ * 处理报告摘要
+ * e.g. unpacked: packer > jsfuck, rounds: 3, removed: selfDefending, debugProtection x2
+ * @param {Object} report
+ * @returns {string}
+ */
+function formatSummary(report) {
+    let summary = `rounds: ${report.rounds}`;
+    if (report.unpacked.length > 0) {
+        summary = `unpacked: ${report.unpacked.join(' > ')}, ${summary}`;
+    }
+
+    let counts = {};
+    for (let guard of report.guards) {
+        counts[guard.type] = (counts[guard.type] || 0) + 1;
+    }
+
+    let removed = Object.keys(counts).map(type => counts[type] > 1 ? `${type} x${counts[type]}` : type);
+    if (removed.length > 0) {
+        summary += `, removed: ${removed.join(', ')}`;
+    }
+
+    return summary;
+}
+
+/**
+ * 处理中的警告(库不输出到控制台)
+ * e.g. Decode function error: ... (a.js:3:10)
+ * @param {{type: string, message: string, line: number|null, column: number|null}[]} warnings
+ * @param {string} input
+ * @returns {string}
+ */
+function formatWarnings(warnings, input) {
+    return warnings.map(warning => warning.line === null
+        ? warning.message
+        : `${warning.message} (${input}:${warning.line}:${warning.column})`).join('\n');
+}
 
-// param
-let argv = process.argv;
-if (argv.length < 3) {
-    console.log('Please input the file');
-    return;
+/**
+ * 各阶段耗时
+ * e.g.
+ *   parse      12.3ms
+ *   transform  80.1ms (rounds: 60.2, 19.9)
+ * @param {Object} timings
+ * @returns {string}
+ */
+function formatTimings(timings) {
+    let lines = timings.passes.map(pass => {
+        let line = `  ${pass.name.padEnd(10)} ${pass.ms.toFixed(2)}ms`;
+        if (pass.name === 'transform') {
+            line += ` (rounds: ${timings.rounds.map(ms => ms.toFixed(2)).join(', ')})`;
+        }
+
+        return line;
+    });
+    lines.push(`  sandbox    ${timings.sandbox.ms.toFixed(2)}ms (${timings.sandbox.calls} calls)`);
+    lines.push(`  decoder cache: ${timings.decoderCache.hits} hits, ${timings.decoderCache.misses} misses`);
+    return lines.join('\n');
 }
 
-let srcPath = argv[2];
+/**
+ * 验证结果摘要
+ * @param {{equivalent: boolean, skipped: string|null, effects: number, differences: Object[]}} verify
+ * @returns {string}
+ */
+function formatVerify(verify) {
+    if (verify.skipped) {
+        return `verify skipped: ${verify.skipped}`;
+    }
+
+    if (verify.equivalent) {
+        return `verify ok (${verify.effects} effects)`;
+    }
+
+    let lines = [`verify failed: ${verify.differences.length} differences`];
+    for (let difference of verify.differences.slice(0, 5)) {
+        let where = 'global' in difference ? `global ${difference.global}` : `#${difference.index}`;
+        lines.push(`  ${where}: ${JSON.stringify(difference.original)} -> ${JSON.stringify(difference.cleaned)}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * 本次运行已写出的模块文件
+ * key=文件路径
+ * value=来源输入
+ * @type {Map<string, string>}
+ */
+const writtenModules = new Map();
+
+/**
+ * 写出拆分后的模块, 所有输入共用同一目录(同一次 webpack 构建的 chunk 之间可以互相引用)
+ * NOTE: 其它输入已写出同名文件(且内容不同)时报错, 不覆盖 e.g. 两个 browserify 包的 index.js
+ * @param {{type: string, entries: string[], modules: {id: string, path: string, code: string}[]}} bundle
+ * @param {string} dir
+ * @param {string} input
+ * @returns {{type: string, entries: string[], modules: {id: string, path: string}[]}}
+ */
+function writeBundle(bundle, dir, input) {
+    for (let module of bundle.modules) {
+        let modulePath = path.resolve(dir, module.path);
+        let otherInput = writtenModules.get(modulePath);
+        if (otherInput && otherInput !== input && fs.readFileSync(modulePath, fsOptions) !== module.code) {
+            throw new Error(`unbundle: ${path.join(dir, module.path)} was already written from ${otherInput}, unbundle it separately`);
+        }
+    }
+
+    for (let module of bundle.modules) {
+        writtenModules.set(path.resolve(dir, module.path), input);
+        let modulePath = path.join(dir, module.path);
+        fs.mkdirSync(path.dirname(modulePath), {recursive: true});
+        fs.writeFileSync(modulePath, module.code, fsOptions);
+    }
+
+    return {
+        type: bundle.type,
+        entries: bundle.entries,
+        modules: bundle.modules.map(module => ({id: module.id, path: path.join(dir, module.path)}))
+    };
+}
+
+/**
+ * 清理单个输入
+ * @param {{file: string, base: string}} entry
+ * @param {Object} args
+ * @param {function(string)} log
+ * @returns {{input: string, output: string, report: Object|undefined, verify: Object|undefined, bundle: Object|null|undefined}}
+ */
+function cleanEntry(entry, args, log) {
+    let isStdin = entry.file === '-';
+    if (!isStdin && !EXTNAMES.includes(path.extname(entry.file))) {
+        throw new Error(`Unsupported extension: ${path.extname(entry.file)}`);
+    }
+
+    let jsCode = fs.readFileSync(isStdin ? 0 : entry.file, fsOptions);
+    // 摘要和耗时都来自处理报告, --report 时才写出
+    let result = deobfuscator2.optimize(jsCode, {
+        sourceType: SOURCE_TYPES[path.extname(entry.file)] || 'unambiguous',
+        sourceMaps: args.sourceMaps && !args.stdout && !isStdin,
+        sourceFileName: isStdin ? 'stdin.js' : path.basename(entry.file),
+        report: true,
+        verify: args.verify,
+        benchmark: args.benchmark,
+        unbundle: !!args.unbundle,
+        obfuscatedNames: args.names,
+        renames: args.renames && !args.stdout && !isStdin,
+        renameMap: args.renameMap,
+        transforms: {
+            normalize: args.normalize
+        }
+    });
+    let code = result.code;
+    let report = args.report ? result.report : undefined;
+    let bundle = result.bundle ? writeBundle(result.bundle, args.unbundle, isStdin ? 'stdin' : entry.file) : result.bundle;
+    let logDetails = () => {
+        if (result.report.warnings.length > 0) {
+            console.error(formatWarnings(result.report.warnings, isStdin ? 'stdin' : entry.file));
+        }
+
+        if (bundle) {
+            log(`unbundle: ${bundle.type}, ${bundle.modules.length} modules -> ${args.unbundle}`);
+        } else if (bundle === null) {
+            log('unbundle: no webpack/browserify bundle found');
+        }
+
+        if (result.verify) {
+            (result.verify.equivalent ? log : console.error)(formatVerify(result.verify));
+        }
+
+        if (result.report.timings) {
+            log(formatTimings(result.report.timings));
+        }
+    };
+
+    if (args.stdout || isStdin) {
+        process.stdout.write(code);
+        process.stdout.write('\n');
+        log(`clean ok! ${isStdin ? 'stdin' : entry.file} (${formatSummary(result.report)})`);
+        logDetails();
+        return {input: isStdin ? 'stdin' : entry.file, output: 'stdout', report, verify: result.verify, bundle};
+    }
+
+    let outPath = getOutPath(entry, args);
+    fs.mkdirSync(path.dirname(outPath), {recursive: true});
+    if (args.sourceMaps) {
+        let mapPath = outPath + '.map';
+        let map = Object.assign({}, result.map, {
+            sources: [path.relative(path.dirname(mapPath), entry.file).replace(/\\/g, '/')]
+        });
+        fs.writeFileSync(mapPath, JSON.stringify(map), fsOptions);
+        fs.writeFileSync(outPath, `${code}\n//# sourceMappingURL=${path.basename(mapPath)}\n`, fsOptions);
+    } else {
+        fs.writeFileSync(outPath, code, fsOptions);
+    }
+
+    if (result.renames) {
+        fs.writeFileSync(outPath + '.renames.json', JSON.stringify(result.renames, null, 2), fsOptions);
+    }
 
-// Check file extension
-let currentExtname = path.extname(srcPath);
-if (currentExtname !== EXTNAME) {
-    console.log(`Unsupported extension: ${currentExtname}`);
-    return;
+    log(`clean ok! ${entry.file} -> ${outPath} (${formatSummary(result.report)})`);
+    logDetails();
+    return {input: entry.file, output: outPath, report, verify: result.verify, bundle};
 }
 
-let jsCode = fs.readFileSync(srcPath, fsOptions);
-let newJsCode = deobfuscator2.optimize(jsCode);
-let outPath = path.join(path.dirname(srcPath), path.basename(srcPath, EXTNAME) + '-cleaned' + EXTNAME);
-fs.writeFileSync(outPath, newJsCode, fsOptions);
+/**
+ * 识别混淆工具, 结果以 JSON 输出到 stdout
+ * @param {{file: string, base: string}[]} entries
+ * @returns {number} 失败数
+ */
+function detectEntries(entries) {
+    let results = {files: [], failed: []};
+    for (let entry of entries) {
+        let input = entry.file === '-' ? 'stdin' : entry.file;
+        try {
+            let jsCode = fs.readFileSync(entry.file === '-' ? 0 : entry.file, fsOptions);
+            let detect = deobfuscator2.detect(jsCode, {
+                sourceType: SOURCE_TYPES[path.extname(entry.file)] || 'unambiguous',
+                sourceFileName: entry.file === '-' ? 'stdin.js' : path.basename(entry.file)
+            });
+            results.files.push(Object.assign({input}, detect));
+        } catch (e) {
+            console.error(`detect fail! ${input}: ${e.message}`);
+            results.failed.push({input, error: e.message});
+        }
+    }
+
+    process.stdout.write(JSON.stringify(results, null, 2));
+    process.stdout.write('\n');
+    return results.failed.length;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (args.inputs.length === 0) {
+        if (process.stdin.isTTY) {
+            console.log('Please input the file');
+            console.log(USAGE);
+            return 2;
+        }
+
+        args.inputs.push('-');
+    }
+
+    if (args.command === 'detect') {
+        let entries = expandInputs(args.inputs, DEFAULT_SUFFIX);
+        if (entries.length === 0) {
+            console.error('No input files found');
+            return 1;
+        }
+
+        return detectEntries(entries) > 0 ? 1 : 0;
+    }
+
+    if (args.suffix === null) {
+        args.suffix = args.outDir || args.overwrite ? '' : DEFAULT_SUFFIX;
+    }
+
+    if (!args.suffix && !args.outDir && !args.overwrite && !args.stdout) {
+        console.error('Empty suffix would overwrite the input files, use --overwrite');
+        return 2;
+    }
+
+    if (args.renameMap) {
+        try {
+            args.renameMap = JSON.parse(fs.readFileSync(args.renameMap, fsOptions));
+        } catch (e) {
+            console.error(`Invalid rename map: ${e.message}`);
+            return 2;
+        }
+    }
+
+    // 代码输出到 stdout 时, 日志改为 stderr
+    let isCodeToStdout = args.stdout || args.inputs.includes('-');
+    if (args.renames && isCodeToStdout) {
+        console.error('--renames writes <output>.renames.json, it cannot be used with --stdout or stdin');
+        return 2;
+    }
+
+    let log = isCodeToStdout ? console.error : console.log;
+    let entries = expandInputs(args.inputs, args.suffix);
+    if (entries.length === 0) {
+        console.error('No input files found');
+        return 1;
+    }
+
+    // 不同目录下的同名文件在 --out-dir 中会互相覆盖
+    let collision = args.stdout ? null : findOutPathCollision(entries, args);
+    if (collision) {
+        console.error(`${collision}, clean them separately`);
+        return 2;
+    }
+
+    let failedCount = 0;
+    let differentCount = 0;
+    let reports = {files: [], failed: []};
+    for (let entry of entries) {
+        try {
+            let fileReport = cleanEntry(entry, args, log);
+            if (fileReport.verify && !fileReport.verify.equivalent && !fileReport.verify.skipped) {
+                differentCount++;
+            }
+
+            reports.files.push(fileReport);
+        } catch (e) {
+            failedCount++;
+            console.error(`clean fail! ${entry.file === '-' ? 'stdin' : entry.file}: ${e.message}`);
+            reports.failed.push({input: entry.file === '-' ? 'stdin' : entry.file, error: e.message});
+        }
+    }
+
+    if (args.report) {
+        fs.mkdirSync(path.dirname(path.resolve(args.report)), {recursive: true});
+        fs.writeFileSync(args.report, JSON.stringify(reports, null, 2), fsOptions);
+        log(`report: ${args.report}`);
+    }
+
+    if (entries.length > 1) {
+        log(`${entries.length - failedCount}/${entries.length} files cleaned`);
+    }
+
+    return failedCount > 0 || differentCount > 0 ? 1 : 0;
+}
 
-// finish
-console.log('clean ok!');
\ No newline at end of file
+process.exitCode = main();
@@ -4,18 +4,377 @@ const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 const generate = require('@babel/generator').default;
 const types = require('@babel/types');
+const crypto = require('crypto');
+const posixPath = require('path').posix;
+const {Worker, MessageChannel, receiveMessageOnPort} = require('worker_threads');
+
+/**
+ * 沙箱默认限制
+ */
+const SANDBOX_TIMEOUT = 2000;
+const SANDBOX_MEMORY_MB = 64;
+
+/**
+ * 流水线各阶段名字, 自定义 visitor 可插入到 `before:<name>` | `after:<name>`
+ * - sequence: 拆分逗号表达式语句
+ * - detect: 捕获加密函数和代理解密函数/别名
+ * - fingerprint: 记录混淆特征(开启 detect 时)
+ * - transform: 解密/代理/流程/死代码
+ * - guards: 移除自我保护/反调试/禁用控制台/域名锁定
+ * - beautify: 重命名
+ * - cleanup: 移除加密函数/代理对象
+ * - eliminate: 移除不可达代码/未使用的函数和变量/空语句
+ * - split: 拆分逗号变量声明
+ * - renames: 导出/应用重命名映射(开启 renames 或 renameMap 时)
+ * - normalize: 改写压缩代码的写法(开启 normalize 时)
+ */
+const PIPELINE_STAGES = ['sequence', 'detect', 'fingerprint', 'transform', 'guards', 'beautify', 'cleanup', 'eliminate', 'split', 'renames', 'normalize'];
+
+/**
+ * 默认选项
+ */
+const DEFAULT_OPTIONS = {
+    transforms: {
+        // packer/JSFuck/JJencode/AAencode 解包, 解出的代码继续后续处理
+        unpack: true,
+        // (a(),b()) -> a(); b();
+        splitSequence: true,
+        // var a,b,c; -> var a; var b; var c; (for 循环头部除外)
+        splitDeclarations: true,
+        // 加密函数解密字符串
+        decodeStrings: true,
+        // 代理对象/代理函数内联
+        inlineProxies: true,
+        // var obj = {}; obj.a = 1; -> var obj = {a: 1}; 只使用一次的临时对象放回使用处 var _0x1 = {a: 1}; f(_0x1); -> f({a: 1});
+        foldObjectAssignments: true,
+        // switch 流程平坦化还原
+        unflattenControlFlow: true,
+        // 死代码分支/不可达代码/未使用的函数和变量移除(保留有副作用的初值)
+        removeDeadCode: true,
+        // 常量传播与折叠: 'a' + 1 | k * 2 | String.fromCharCode(97)
+        foldConstants: true,
+        // selfDefending/debugProtection/disableConsoleOutput/domainLock 保护代码移除
+        removeGuards: true,
+        // _0x 变量重命名(按用法/初值/所在位置推断名字)
+        rename: true,
+        // 改写压缩代码的写法(默认关闭)
+        // void 0 -> undefined | a && b(); -> if (a) { b(); } | 1 === a -> a === 1 | return a(), b; -> a(); return b;
+        normalize: false
+    },
+    /**
+     * 需要重命名的混淆变量名(transforms.rename)
+     * - auto: hexadecimal, 加密函数的名字不是 _0x 时按它们识别 mangled/dictionary, 短名字种类明显偏少时(熵低)识别 mangled
+     * - hexadecimal: _0x1a2b
+     * - mangled: a | b | aB (mangled/mangled-shuffled), 不含常见的可读短名字 e.g. i | fn | err | url | key
+     * - dictionary: 加密函数的名字和在多个作用域中重复声明的名字(及其大小写变体 e.g. foo | Foo), 以及大多是这些名字的作用域中的其他名字
+     * - RegExp | function (name, binding) {return true;}
+     * NOTE: mangled/dictionary 不改 script 的顶层变量(全局变量)
+     */
+    obfuscatedNames: 'auto',
+    /**
+     * 自定义 Babel visitor
+     * e.g. [{at: 'after:transform', visitor: {Identifier(path) {}}}]
+     */
+    plugins: [],
+    /**
+     * transform 阶段最多重复次数(直到 AST 不再变化)
+     */
+    maxRounds: 10,
+    /**
+     * 记录各阶段耗时(ms), 写入 report.timings
+     * - passes: [{name, ms}] parse/各阶段/generate/verify
+     * - rounds: transform 每一轮耗时
+     * - sandbox: {calls, ms} 沙箱调用次数和耗时
+     * - decoderCache: {hits, misses} 加密函数调用缓存
+     */
+    benchmark: false,
+    /**
+     * 生成 source map, 此时 optimize 返回 {code, map}
+     * NOTE: 解包(unpack)后映射到解出的代码
+     */
+    sourceMaps: false,
+    /**
+     * 返回处理报告, 此时 optimize 返回 {code, report}
+     * - decoders: 加密函数/代理解密函数/别名 [{name, kind, line}]
+     * - stringsDecoded | proxiesInlined | switchesUnflattened | deadBranchesRemoved | deadCodeRemoved | constantsFolded: 次数
+     * - proxyObjects: 移除的代理对象 [{name, line}]
+     * - renamed: 重命名 [{from, to, line}]
+     * - guards: 移除的保护代码 [{type, line}]
+     * - unpacked: 解开的编码层 e.g. ['packer', 'jsfuck']
+     * - rounds: transform 阶段执行次数
+     * - converged: 是否在次数上限内收敛
+     * - timings: 开启 benchmark 时的耗时
+     * - warnings: [{type, message, line, column}]
+     */
+    report: false,
+    /**
+     * 在沙箱中分别执行原始代码和清理后的代码, 比较副作用, 此时 optimize 返回 {code, verify}
+     * - equivalent: 是否一致
+     * - skipped: 无法比较的原因(e.g. ES module)
+     * - effects: 原始代码的副作用数量
+     * - differences: [{index, original, cleaned}] | [{global, original, cleaned}]
+     */
+    verify: false,
+    /**
+     * 识别混淆工具/版本, 推断开启的 obfuscator.io 选项, 此时 optimize 返回 {code, detect}
+     * - obfuscator: {name, version, confidence}
+     * - layers: 解开的编码层
+     * - bundler: webpack | webpack-jsonp | browserify | null
+     * - options: {stringArray: {value, confidence}, ...} 选项名同 obfuscator.io
+     */
+    detect: false,
+    /**
+     * 识别 webpack 4/5(含 JSONP chunk)/browserify 打包代码, 拆分为模块, 此时 optimize 返回 {code, bundle}
+     * - bundle: null | {type, entries, modules}
+     * - type: webpack | webpack-jsonp | browserify
+     * - entries: 入口模块路径
+     * - modules: [{id, path, code}] __webpack_require__(12) 已替换为 __webpack_require__('./12.js')
+     */
+    unbundle: false,
+    /**
+     * 导出混淆变量的重命名映射, 此时 optimize 返回 {code, renames}
+     * - renames: {names: [{key, original, name, kind, scope, line}]}
+     * - key: 清理后声明语句(参数为所在函数)的结构指纹 + 声明序号, 不含变量名, 重新混淆后仍然不变
+     * - scope: 所在函数名, 顶层为 null
+     */
+    renames: false,
+    /**
+     * 手工重命名映射, 在自动重命名之后按 key 应用, 格式同 renames(或其中的 names 数组)
+     * e.g. {names: [{key: '9f2c...:3', name: 'userList'}]}
+     * NOTE: 找不到 key 或名字冲突时跳过, 记录到 report.warnings
+     */
+    renameMap: null,
+    /**
+     * source map 中的源文件名
+     */
+    sourceFileName: 'input.js',
+    /**
+     * script | module | unambiguous(存在 import/export 则为 module)
+     */
+    sourceType: 'unambiguous',
+    /**
+     * @babel/parser 插件
+     */
+    parserPlugins: ['jsx'],
+    sandbox: {
+        timeout: SANDBOX_TIMEOUT,
+        memory: SANDBOX_MEMORY_MB
+    }
+};
+
+/**
+ * 求值失败标记
+ */
+const NOT_CONSTANT = Symbol('notConstant');
+
+/**
+ * 编码/打包格式的特征(匹配整段代码), 按顺序检测
+ */
+const UNPACKERS = [
+    // eval(function(p,a,c,k,e,d){...}('...', 62, 100, '...'.split('|'), 0, {}))
+    {type: 'packer', pattern: /^\s*eval\s*\(\s*function\s*\(\s*p\s*,\s*a\s*,\s*c\s*,\s*k\s*,\s*e\s*,\s*[rd]\s*\)/},
+    // $=~[];$={___:++$,$$$$:(![]+"")[$],...
+    {type: 'jjencode', pattern: /^\s*([\w$]+)\s*=\s*~\s*\[\s*\]\s*;\s*\1\s*=\s*\{\s*___\s*:\s*\+\+\s*\1\s*,/},
+    // ﾟωﾟﾉ= /｀ｍ´）ﾉ ~┻━┻   //*´∇｀*/ ['_']; ...
+    {type: 'aaencode', pattern: /^\s*ﾟωﾟﾉ\s*=\s*\/｀ｍ´）ﾉ/},
+    // [][(![]+[])[+[]]+...]()
+    {type: 'jsfuck', pattern: /^[\s[\]()!+]+;?\s*$/}
+];
+
+/**
+ * 最多解包层数
+ */
+const MAX_UNPACK_LAYERS = 10;
+
+/**
+ * 折叠时 repeat/padStart/padEnd 允许的最大长度
+ */
+const MAX_FOLDED_LENGTH = 10000;
+
+/**
+ * 可安全求值的全局纯函数(参数须为原始值)
+ */
+const PURE_FUNCTIONS = {
+    'String': String,
+    'Number': Number,
+    'Boolean': Boolean,
+    'parseInt': parseInt,
+    'parseFloat': parseFloat,
+    'isNaN': isNaN,
+    'isFinite': isFinite,
+    'escape': escape,
+    'unescape': unescape,
+    'encodeURI': encodeURI,
+    'decodeURI': decodeURI,
+    'encodeURIComponent': encodeURIComponent,
+    'decodeURIComponent': decodeURIComponent,
+    'atob': atob,
+    'btoa': btoa,
+    'String.fromCharCode': String.fromCharCode,
+    'String.fromCodePoint': String.fromCodePoint,
+    'Number.parseInt': Number.parseInt,
+    'Number.parseFloat': Number.parseFloat,
+    'Number.isInteger': Number.isInteger,
+    'Number.isNaN': Number.isNaN,
+    'Math.abs': Math.abs,
+    'Math.ceil': Math.ceil,
+    'Math.floor': Math.floor,
+    'Math.round': Math.round,
+    'Math.trunc': Math.trunc,
+    'Math.sign': Math.sign,
+    'Math.max': Math.max,
+    'Math.min': Math.min,
+    'Math.pow': Math.pow,
+    'Math.sqrt': Math.sqrt,
+    'Math.imul': Math.imul,
+    'Math.clz32': Math.clz32
+};
+
+/**
+ * 可安全求值的原型方法(调用对象须为字符串/数字/数组常量)
+ */
+const PURE_METHODS = {
+    string: ['at', 'charAt', 'charCodeAt', 'codePointAt', 'concat', 'endsWith', 'includes', 'indexOf',
+        'lastIndexOf', 'padEnd', 'padStart', 'repeat', 'replace', 'slice', 'split', 'startsWith',
+        'substr', 'substring', 'toLowerCase', 'toString', 'toUpperCase', 'trim', 'trimEnd', 'trimStart'],
+    number: ['toFixed', 'toString'],
+    array: ['at', 'concat', 'includes', 'indexOf', 'join', 'lastIndexOf', 'reverse', 'slice', 'toString']
+};
+
+/**
+ * 按用法推断变量名(重命名 _0x 变量)
+ * - members: _0x1.length -> list | _0x1.addEventListener() -> element
+ * - arguments: JSON.parse(_0x1) -> jsonStr
+ * - callbacks: 回调所在参数位置 -> 回调的参数名 e.g. a.then(function (_0x1) {}) -> result
+ * - results: 初值的调用 e.g. document.getElementById() -> element
+ */
+const USAGE_NAMES = {
+    members: {
+        'length': 'list',
+        'push': 'list',
+        'pop': 'list',
+        'shift': 'list',
+        'unshift': 'list',
+        'splice': 'list',
+        'forEach': 'list',
+        'map': 'list',
+        'filter': 'list',
+        'reduce': 'list',
+        'some': 'list',
+        'every': 'list',
+        'join': 'list',
+        'addEventListener': 'element',
+        'removeEventListener': 'element',
+        'appendChild': 'element',
+        'removeChild': 'element',
+        'setAttribute': 'element',
+        'getAttribute': 'element',
+        'classList': 'element',
+        'style': 'element',
+        'innerHTML': 'element',
+        'textContent': 'element',
+        'then': 'promise',
+        'catch': 'promise',
+        'finally': 'promise',
+        'preventDefault': 'event',
+        'stopPropagation': 'event',
+        'target': 'event',
+        'keyCode': 'event',
+        'charAt': 'str',
+        'charCodeAt': 'str',
+        'split': 'str',
+        'toLowerCase': 'str',
+        'toUpperCase': 'str',
+        'trim': 'str',
+        'substr': 'str',
+        'substring': 'str',
+        'replace': 'str',
+        'match': 'str',
+        'startsWith': 'str',
+        'endsWith': 'str',
+        'toFixed': 'num',
+        'call': 'func',
+        'apply': 'func',
+        'bind': 'func'
+    },
+    arguments: {
+        'JSON.parse': 'jsonStr',
+        'JSON.stringify': 'data',
+        'encodeURIComponent': 'str',
+        'decodeURIComponent': 'str',
+        'atob': 'str',
+        'btoa': 'str',
+        'String.fromCharCode': 'charCode',
+        'clearTimeout': 'timer',
+        'clearInterval': 'timer'
+    },
+    callbacks: {
+        'then': [['result'], ['error']],
+        'catch': [['error']],
+        'forEach': [['item', 'index', 'list']],
+        'map': [['item', 'index', 'list']],
+        'filter': [['item', 'index', 'list']],
+        'some': [['item', 'index', 'list']],
+        'every': [['item', 'index', 'list']],
+        'find': [['item', 'index', 'list']],
+        'findIndex': [['item', 'index', 'list']],
+        'reduce': [['acc', 'item', 'index', 'list']],
+        'sort': [['a', 'b']],
+        'addEventListener': [null, ['event']],
+        'Promise': [['resolve', 'reject']]
+    },
+    results: {
+        'getElementById': 'element',
+        'querySelector': 'element',
+        'createElement': 'element',
+        'querySelectorAll': 'elements',
+        'getElementsByClassName': 'elements',
+        'getElementsByTagName': 'elements',
+        'JSON.parse': 'data',
+        'JSON.stringify': 'jsonStr',
+        'Object.keys': 'keys',
+        'Object.values': 'values',
+        'Object.entries': 'entries',
+        'Date.now': 'now',
+        'Math.random': 'random',
+        'fetch': 'response',
+        'setTimeout': 'timer',
+        'setInterval': 'timer',
+        'split': 'parts',
+        'join': 'str'
+    }
+};
+
+/**
+ * 常见的可读短名字, mangled 策略不重命名
+ */
+const COMMON_SHORT_NAMES = new Set([
+    'i', 'j', 'k', 'x', 'y', 'z', 'fn', 'cb', 'el', 'id', 'ev', 'db', 'io', 'ok', 'err', 'url', 'uri', 'key',
+    'obj', 'arr', 'str', 'num', 'val', 'idx', 'len', 'res', 'req', 'ctx', 'msg', 'src', 'dst', 'tmp', 'buf',
+    'max', 'min', 'sum', 'row', 'col', 'acc', 'pos', 'end', 'now', 'raw', 'ret', 'out', 'opt', 'doc', 'win',
+    'api', 'app', 'evt', 'img', 'btn', 'map', 'set', 'log', 'dir', 'env', 'arg', 'cur'
+]);
 
 const utils = {
     /**
      * 获取 Literal 类型的节点
+     * - -1 -> UnaryExpression(-, 1)
+     * - NaN | Infinity -> null
      * @param {Object} obj
-     * @returns {NumericLiteral|StringLiteral|BooleanLiteral|null}
+     * @returns {NumericLiteral|UnaryExpression|StringLiteral|BooleanLiteral|null}
      */
     getLiteralNode(obj) {
         let typeName = typeof obj;
         switch (typeName) {
             case 'number':
-                return types.numericLiteral(obj);
+                if (!Number.isFinite(obj)) {
+                    return null;
+                }
+
+                // -0 也保留符号
+                return obj < 0 || Object.is(obj, -0)
+                    ? types.unaryExpression('-', types.numericLiteral(-obj))
+                    : types.numericLiteral(obj);
             case 'string':
                 return types.stringLiteral(obj);
             case 'boolean':
@@ -24,6 +383,177 @@ const utils = {
                 return null;
         }
     },
+    /**
+     * 是否已经是最简的字面量(避免重复折叠)
+     * - 'a' | 1 | -1 | true | null | void 0
+     * @param {Node} node
+     * @returns {boolean}
+     */
+    isFoldedNode(node) {
+        switch (node.type) {
+            case 'StringLiteral':
+            case 'NumericLiteral':
+            case 'BooleanLiteral':
+            case 'NullLiteral':
+                return true;
+            case 'UnaryExpression':
+                return (node.operator === '-' && node.argument.type === 'NumericLiteral')
+                    || (node.operator === 'void' && node.argument.type === 'NumericLiteral');
+            default:
+                return false;
+        }
+    },
+    /**
+     * 二元运算(不使用 eval)
+     * @param {string} operator
+     * @param {*} left
+     * @param {*} right
+     * @returns {*}
+     */
+    computeBinary(operator, left, right) {
+        switch (operator) {
+            case '+':
+                return left + right;
+            case '-':
+                return left - right;
+            case '*':
+                return left * right;
+            case '/':
+                return left / right;
+            case '%':
+                return left % right;
+            case '**':
+                return left ** right;
+            case '==':
+                return left == right;
+            case '!=':
+                return left != right;
+            case '===':
+                return left === right;
+            case '!==':
+                return left !== right;
+            case '<':
+                return left < right;
+            case '<=':
+                return left <= right;
+            case '>':
+                return left > right;
+            case '>=':
+                return left >= right;
+            case '<<':
+                return left << right;
+            case '>>':
+                return left >> right;
+            case '>>>':
+                return left >>> right;
+            case '&':
+                return left & right;
+            case '|':
+                return left | right;
+            case '^':
+                return left ^ right;
+            default:
+                // in | instanceof
+                return NOT_CONSTANT;
+        }
+    },
+    /**
+     * 一元运算(不使用 eval)
+     * @param {string} operator
+     * @param {*} value
+     * @returns {*}
+     */
+    computeUnary(operator, value) {
+        switch (operator) {
+            case '!':
+                return !value;
+            case '-':
+                return -value;
+            case '+':
+                return +value;
+            case '~':
+                return ~value;
+            case 'typeof':
+                return typeof value;
+            case 'void':
+                return undefined;
+            default:
+                // delete
+                return NOT_CONSTANT;
+        }
+    },
+    /**
+     * 获取纯函数调用名
+     * - String.fromCharCode | String['fromCharCode'] -> 'String.fromCharCode'
+     * - atob -> 'atob'
+     * @param {Node} callee
+     * @returns {string|null}
+     */
+    getPureFunctionName(callee) {
+        let name = null;
+        if (callee.type === 'Identifier') {
+            name = callee.name;
+        } else if (callee.type === 'MemberExpression'
+            && callee.object.type === 'Identifier'
+            && (callee.computed ? callee.property.type === 'StringLiteral' : callee.property.type === 'Identifier')) {
+            //
+            name = `${callee.object.name}.${utils.getStringLiteralValue(callee.property)}`;
+        }
+
+        return name !== null && Object.prototype.hasOwnProperty.call(PURE_FUNCTIONS, name) ? name : null;
+    },
+    /**
+     * 被调用函数的名字(用于查表, 全名优先)
+     * - fetch -> ['fetch']
+     * - JSON.parse -> ['JSON.parse', 'parse']
+     * - a.b.then -> ['then']
+     * @param {Node} callee
+     * @returns {string[]}
+     */
+    getCalleeNames(callee) {
+        if (callee.type === 'Identifier') {
+            return [callee.name];
+        }
+
+        let propertyName = callee.type === 'MemberExpression' ? utils.getMemberPropertyName(callee) : null;
+        if (propertyName === null) {
+            return [];
+        }
+
+        return callee.object.type === 'Identifier' ? [`${callee.object.name}.${propertyName}`, propertyName] : [propertyName];
+    },
+    /**
+     * 查表(不查原型链, e.g. constructor)
+     * @param {Object} map
+     * @param {string[]} keys 按顺序查找
+     * @returns {*}
+     */
+    getMappedValue(map, keys) {
+        let key = keys.find(item => Object.prototype.hasOwnProperty.call(map, item));
+        return key === undefined ? null : map[key];
+    },
+    /**
+     * 数字的源码表示(包括 NaN/Infinity/-0)
+     * @param {number} value
+     * @returns {string}
+     */
+    getNumberCode(value) {
+        return Object.is(value, -0) ? '-0' : String(value);
+    },
+    /**
+     * @param {number} ms
+     * @returns {number} 保留两位小数
+     */
+    roundMs(ms) {
+        return Math.round(ms * 100) / 100;
+    },
+    /**
+     * 当前时间(ms, 高精度)
+     * @returns {number}
+     */
+    now() {
+        return Number(process.hrtime.bigint()) / 1e6;
+    },
     /**
      * 获取 Literal 值
      * @param {StringLiteral|Identifier} node
@@ -53,6 +583,11 @@ const utils = {
     findProperty(properties, name) {
         for (let property of properties) {
             let propertyName;
+            // 跳过 ...spread / 计算属性
+            if (!property.key || property.computed) {
+                continue;
+            }
+
             switch (property.key.type) {
                 case 'StringLiteral':
                     propertyName = property.key.value;
@@ -71,6 +606,136 @@ const utils = {
 
         return null;
     },
+    /**
+     * 成员表达式的静态属性名
+     * - a.b | a['b'] -> 'b'
+     * - a[0] -> '0'
+     * - a[b] -> null
+     * @param {MemberExpression} node
+     * @returns {string|null}
+     */
+    getMemberPropertyName(node) {
+        let property = node.property;
+        if (!node.computed) {
+            return property.type === 'Identifier' ? property.name : null;
+        }
+
+        switch (property.type) {
+            case 'StringLiteral':
+                return property.value;
+            case 'NumericLiteral':
+                return String(property.value);
+            default:
+                return null;
+        }
+    },
+    /**
+     * 取反条件
+     * - !a -> a (仅用于条件)
+     * - a === b -> a !== b
+     * - a -> !a
+     * @param {Node} node
+     * @returns {Node}
+     */
+    getNegatedNode(node) {
+        let operators = {'==': '!=', '!=': '==', '===': '!==', '!==': '==='};
+        if (node.type === 'UnaryExpression' && node.operator === '!') {
+            return node.argument;
+        }
+
+        if (node.type === 'BinaryExpression' && operators[node.operator]) {
+            return types.binaryExpression(operators[node.operator], node.left, node.right);
+        }
+
+        return types.unaryExpression('!', node);
+    },
+    /**
+     * 空语句或空代码块
+     * @param {Node} node
+     * @returns {boolean}
+     */
+    isEmptyStatement(node) {
+        return node.type === 'EmptyStatement'
+            || (node.type === 'BlockStatement' && node.body.length === 0 && node.directives.length === 0);
+    },
+    /**
+     * 求值无副作用, 可以丢弃或提前求值
+     * @param {Node} node
+     * @param {string} [excludedName] 不允许引用的变量(函数体内除外)
+     * @returns {boolean}
+     */
+    isPureNode(node, excludedName) {
+        switch (node.type) {
+            case 'Identifier':
+                return node.name !== excludedName;
+            case 'ThisExpression':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return true;
+            case 'UnaryExpression':
+                return node.operator !== 'delete' && utils.isPureNode(node.argument, excludedName);
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                return utils.isPureNode(node.left, excludedName) && utils.isPureNode(node.right, excludedName);
+            case 'ArrayExpression':
+                return node.elements.every(element => element && utils.isPureNode(element, excludedName));
+            case 'ObjectExpression':
+                return node.properties.every(property => property.type === 'ObjectProperty'
+                    && (!property.computed || utils.isPureNode(property.key, excludedName))
+                    && utils.isPureNode(property.value, excludedName));
+            case 'TemplateLiteral':
+                return node.expressions.every(expression => utils.isPureNode(expression, excludedName));
+            default:
+                return types.isLiteral(node);
+        }
+    },
+    /**
+     * 可以直接丢弃的表达式: 字面量/局部变量及其组合
+     * 未声明的全局变量会抛 ReferenceError, in/instanceof 会抛 TypeError, 非字面量的运算会调用 valueOf/toString
+     * e.g. 'abc'; a; typeof b; !a; a === 'x'
+     * @param {Node} node
+     * @param {Scope} scope
+     * @returns {boolean}
+     */
+    isDiscardableNode(node, scope) {
+        switch (node.type) {
+            case 'Identifier':
+                return !!scope.getBinding(node.name);
+            case 'ThisExpression':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return true;
+            case 'UnaryExpression':
+                if (node.operator === 'typeof' && node.argument.type === 'Identifier') {
+                    return true;
+                }
+
+                return ['!', 'void', 'typeof'].includes(node.operator)
+                    ? utils.isDiscardableNode(node.argument, scope)
+                    : node.operator !== 'delete' && types.isLiteral(node.argument);
+            case 'BinaryExpression':
+                if (node.operator === '===' || node.operator === '!==') {
+                    return utils.isDiscardableNode(node.left, scope) && utils.isDiscardableNode(node.right, scope);
+                }
+
+                return node.operator !== 'in'
+                    && node.operator !== 'instanceof'
+                    && types.isLiteral(node.left)
+                    && types.isLiteral(node.right);
+            case 'LogicalExpression':
+                return utils.isDiscardableNode(node.left, scope) && utils.isDiscardableNode(node.right, scope);
+            case 'ArrayExpression':
+                return node.elements.every(element => element && utils.isDiscardableNode(element, scope));
+            case 'ObjectExpression':
+                return node.properties.every(property => property.type === 'ObjectProperty'
+                    && !property.computed
+                    && utils.isDiscardableNode(property.value, scope));
+            case 'TemplateLiteral':
+                return node.expressions.every(expression => types.isLiteral(expression));
+            default:
+                return types.isLiteral(node);
+        }
+    },
     /**
      * 转换到参1数组指定成员
      * @param {Identifier[]} arguments_
@@ -86,6 +751,52 @@ const utils = {
 
         return -1;
     },
+    /**
+     * 是否全部为字符串的数组 e.g. ['a','b']
+     * @param {Node|null} node
+     * @returns {boolean}
+     */
+    isStringArrayExpression(node) {
+        return !!node
+            && node.type === 'ArrayExpression'
+            && node.elements.length > 0
+            && node.elements.every(element => element && element.type === 'StringLiteral');
+    },
+    /**
+     * 获取流程平坦化的执行顺序
+     * - '1|0'.split('|') | '1|0'['split']('|') -> ['1','0']
+     * - ['1','0'] | [1,0] -> ['1','0']
+     * @param {Node|null} node
+     * @returns {string[]|null}
+     */
+    getFlattenedSteps(node) {
+        if (!node) {
+            return null;
+        }
+
+        if (node.type === 'ArrayExpression') {
+            let isLiteral = node.elements.every(element => element
+                && (element.type === 'StringLiteral' || element.type === 'NumericLiteral'));
+            return isLiteral ? node.elements.map(element => String(element.value)) : null;
+        }
+
+        if (node.type === 'CallExpression'
+            && node.callee.type === 'MemberExpression'
+            && node.callee.object.type === 'StringLiteral'
+            && node.arguments.length === 1
+            && node.arguments[0].type === 'StringLiteral') {
+            //
+            let property = node.callee.property;
+            let propertyName = node.callee.computed
+                ? (property.type === 'StringLiteral' ? property.value : null)
+                : property.name;
+            if (propertyName === 'split') {
+                return node.callee.object.value.split(node.arguments[0].value);
+            }
+        }
+
+        return null;
+    },
     /**
      * 是否有效的变量名
      * @param {string} name
@@ -102,6 +813,46 @@ const utils = {
     isHexVariableName(name) {
         return /^_0x[a-f0-9]+$/i.test(name);
     },
+    /**
+     * 归一化的信息熵(0~1), 各项都只出现一次时为 1
+     * e.g. [1, 1, 1, 1] -> 1 | [4] -> 0
+     * @param {number[]} counts
+     * @returns {number}
+     */
+    getNormalizedEntropy(counts) {
+        let total = counts.reduce((sum, count) => sum + count, 0);
+        if (total <= 1) {
+            return 1;
+        }
+
+        let entropy = 0;
+        for (let count of counts) {
+            let p = count / total;
+            entropy -= p * Math.log2(p);
+        }
+
+        return entropy / Math.log2(total);
+    },
+    /**
+     * 是否导出的绑定(模块对外接口, 不能删除/改名)
+     * e.g. export var a; var b; export {b}; export default c;
+     * @param {Binding} binding
+     * @returns {boolean}
+     */
+    isExportedBinding(binding) {
+        if (!binding || !binding.path) {
+            return false;
+        }
+
+        // 只看声明语句本身, 导出函数内的局部变量/参数不算
+        let declarationPath = binding.path.isVariableDeclarator() ? binding.path.parentPath : binding.path;
+        if (binding.kind !== 'param' && declarationPath.parentPath && declarationPath.parentPath.isExportDeclaration()) {
+            return true;
+        }
+
+        return binding.referencePaths.some(itemPath => itemPath.parentPath
+            && (itemPath.parentPath.isExportSpecifier() || itemPath.parentPath.isExportDefaultDeclaration()));
+    },
     /**
      * 转换为实例化的名字 e.g. Image -> image
      * @param {string} name
@@ -115,897 +866,4329 @@ const utils = {
         let firstStr = name.substr(0, 1).toLowerCase();
         let secondStr = name.substr(1);
         return firstStr + secondStr;
-    }
-};
+    },
+    /**
+     * 计算 AST 结构哈希(忽略位置/注释等信息), 用于判断 AST 是否变化
+     * @param {Node} ast
+     * @returns {string}
+     */
+    getAstHash(ast) {
+        let hash = crypto.createHash('md5');
+        let ignoredKeys = ['type', 'start', 'end', 'loc', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments'];
+        let stack = [ast];
+        while (stack.length > 0) {
+            let node = stack.pop();
+            if (!node) {
+                hash.update('|null');
+                continue;
+            }
 
-/**
- * 优化代码
- * @param {string} jsCode
- * @returns {string}
- */
-function optimize(jsCode) {
-    let parseOptions = {};
-    let ast = parser.parse(jsCode, parseOptions);
-    let cache = {
-        /**
-         * key=string
-         * value=NodePath
-         */
-        corePaths: {},
+            hash.update(`|${node.type}`);
+            let visitorKeys = types.VISITOR_KEYS[node.type] || [];
+            for (let key in node) {
+                let value = node[key];
+                if (ignoredKeys.indexOf(key) > -1 || visitorKeys.indexOf(key) > -1) {
+                    continue;
+                }
 
-        /**
-         * NodePath
-         */
-        coreRefPaths: [],
+                if (value === null || typeof value !== 'object') {
+                    hash.update(`,${key}=${value}`);
+                }
+            }
 
-        /**
-         * key=string
-         * value=NodePath
-         */
-        proxyPaths: {},
+            // 逆序入栈, 保证遍历顺序
+            for (let i = visitorKeys.length - 1; i >= 0; i--) {
+                let child = node[visitorKeys[i]];
+                if (Array.isArray(child)) {
+                    hash.update(`,${visitorKeys[i]}[${child.length}]`);
+                    for (let j = child.length - 1; j >= 0; j--) {
+                        stack.push(child[j]);
+                    }
+                } else if (child && typeof child === 'object') {
+                    stack.push(child);
+                }
+            }
+        }
 
-        /**
-         * key=string
-         * value=prevKeyLength, path, properties, originPaths
-         */
-        doubtedProxyPathInfos: {},
+        return hash.digest('hex');
+    },
+    /**
+     * 替换节点继承被替换代码的位置(用于 source map)
+     * - 新建节点(无位置) -> 被替换代码位置
+     * - 来自别处的节点(e.g. 代理对象属性值) -> 复制后使用被替换代码位置
+     * - 来自被替换代码内部的节点(e.g. 调用参数) -> 保持原位置
+     * @param {Node|Node[]|null} newNode
+     * @param {Node} oldNode
+     * @returns {Node|Node[]|null}
+     */
+    inheritLocation(newNode, oldNode) {
+        if (!newNode || !oldNode || !oldNode.loc) {
+            return newNode;
+        }
 
-        /**
-         * 从 proxyPath | doubtedProxyPathInfo 依次取出
-         * @param {string} name
-         * @returns {NodePath|null}
-         */
-        getValidProxyPath(name) {
-            return cache.proxyPaths[name] || (cache.doubtedProxyPathInfos[name] && cache.doubtedProxyPathInfos[name].path);
-        },
+        if (Array.isArray(newNode)) {
+            return newNode.map(item => utils.inheritLocation(item, oldNode));
+        }
 
-        /**
-         *
-         * @param name
-         * @param propertyName
-         * @returns {Node|null}
-         */
-        getValidProxyPathProperty(name, propertyName) {
-            if (name in cache.proxyPaths) {
-                return utils.findProperty(cache.proxyPaths[name].node.properties, propertyName)
-            }
+        let isInside = newNode.loc
+            && newNode.start >= oldNode.start
+            && newNode.end <= oldNode.end;
+        if (isInside) {
+            return newNode;
+        }
 
-            if (name in cache.doubtedProxyPathInfos) {
-                return utils.findProperty(cache.doubtedProxyPathInfos[name].properties, propertyName)
+        if (newNode.loc) {
+            newNode = types.cloneNode(newNode, true, false);
+        }
+
+        let stack = [newNode];
+        let isRoot = true;
+        while (stack.length > 0) {
+            let node = stack.pop();
+            if (isRoot || !node.loc) {
+                node.loc = oldNode.loc;
+                node.start = oldNode.start;
+                node.end = oldNode.end;
+                isRoot = false;
             }
 
-            return null;
+            for (let key of types.VISITOR_KEYS[node.type] || []) {
+                let child = node[key];
+                if (Array.isArray(child)) {
+                    stack.push(...child.filter(item => item));
+                } else if (child && typeof child === 'object') {
+                    stack.push(child);
+                }
+            }
         }
-    };
 
-    let visitorFirst = {
-        SequenceExpression(path) {
-            // (a(),b()) -> a(); b();
-            if (path.parentPath.node.type !== 'ExpressionStatement') {
-                return;
+        return newNode;
+    },
+    /**
+     * 合并选项(仅合并一层嵌套对象)
+     * @param {Object} defaults
+     * @param {Object} options
+     * @returns {Object}
+     */
+    mergeOptions(defaults, options) {
+        let merged = Object.assign({}, defaults);
+        for (let key in options) {
+            let value = options[key];
+            if (value === undefined) {
+                continue;
             }
 
-            let newNodes = [];
-            for (let expression of path.node.expressions) {
-                newNodes.push(types.expressionStatement(expression));
+            if (value && typeof value === 'object' && !Array.isArray(value)
+                && defaults[key] && typeof defaults[key] === 'object' && !Array.isArray(defaults[key])) {
+                merged[key] = Object.assign({}, defaults[key], value);
+            } else {
+                merged[key] = value;
+            }
+        }
+
+        return merged;
+    }
+};
+
+/**
+ * 沙箱线程入口(在 Worker 内执行, 不能引用外部变量)
+ * 待执行代码运行在独立的 vm 上下文中, 没有 require/process/网络等能力
+ */
+function sandboxWorkerMain() {
+    const vm = require('vm');
+    const {workerData} = require('worker_threads');
+    const {shared, port, timeout} = workerData;
+    const sandboxContext = vm.createContext(Object.create(null), {
+        codeGeneration: {strings: true, wasm: false}
+    });
+
+    port.on('message', (message) => {
+        let response;
+        try {
+            switch (message.type) {
+                case 'run': {
+                    let value = vm.runInContext(message.code, sandboxContext, {timeout});
+                    let valueType = typeof value;
+                    // 仅返回原始值, 对象可能带有 getter/Proxy
+                    response = {
+                        value: value === null || (valueType !== 'object' && valueType !== 'function' && valueType !== 'symbol') ? value : undefined
+                    };
+                    break
+                }
+                default:
+                    response = {error: `Unknown message: ${message.type}`};
+                    break
+            }
+        } catch (e) {
+            let errorMessage;
+            try {
+                errorMessage = String(e && e.message);
+            } catch (e2) {
+                errorMessage = 'Unknown error';
             }
+            response = {error: errorMessage};
+        }
+
+        port.postMessage(response);
+        Atomics.store(shared, 0, 1);
+        Atomics.notify(shared, 0);
+    });
+}
+
+/**
+ * 创建沙箱(每次 optimize 独立一个)
+ * 同步调用: 主线程 Atomics.wait 等待 Worker 执行结果
+ * @param {{timeout: number, memory: number}} options timeout=单次执行CPU时间(ms), memory=堆内存上限(MB)
+ * @returns {{run: function(string): *, dispose: function()}}
+ */
+function createSandbox(options) {
+    let timeout = options.timeout;
+    let shared = new Int32Array(new SharedArrayBuffer(4));
+    let {port1, port2} = new MessageChannel();
+    let worker = new Worker(`(${sandboxWorkerMain.toString()})()`, {
+        eval: true,
+        env: {},
+        workerData: {shared, port: port2, timeout},
+        transferList: [port2],
+        resourceLimits: {
+            maxOldGenerationSizeMb: options.memory,
+            maxYoungGenerationSizeMb: Math.max(1, Math.ceil(options.memory / 4))
+        }
+    });
+    let alive = true;
+
+    // 内存溢出等异常会异步触发, 必须监听否则进程崩溃
+    worker.on('error', () => {
+        alive = false;
+    });
+    worker.unref();
 
-            path.replaceInline(newNodes);
+    let dispose = () => {
+        if (!alive) {
+            return;
         }
+
+        alive = false;
+        port1.close();
+        worker.terminate();
     };
-    // 加密函数可能后置到底部, 所以单独拎出来
-    let visitorDetectEncrypt = {
-        StringLiteral(path) {
-            // 捕获 加密函数特征2
-            if (path.node.value === 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/='
-                || path.node.value === 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=') {
-                //
-                let destPath = path.find(itemPath => itemPath.node
-                    && (itemPath.node.type === 'FunctionDeclaration'
-                        && itemPath.node.params.length === 2)
-                    || (itemPath.node.type === 'VariableDeclaration'
-                        && itemPath.node.declarations.length === 1
-                        && itemPath.node.declarations[0].init.type === 'FunctionExpression'
-                        && itemPath.node.declarations[0].init.params.length === 2));
+    let call = (message) => {
+        if (!alive) {
+            throw new Error('Sandbox is not available');
+        }
 
-                if (destPath) {
-                    context.addEncryptFunction(destPath);
+        Atomics.store(shared, 0, 0);
+        port1.postMessage(message);
+        // 额外等待 Worker 启动时间
+        let status = Atomics.wait(shared, 0, 0, timeout + 1000);
+        let received = receiveMessageOnPort(port1);
+        if (!received) {
+            dispose();
+            throw new Error(status === 'timed-out' ? 'Sandbox timed out' : 'Sandbox crashed');
+        }
+
+        if ('error' in received.message) {
+            throw new Error(received.message.error);
+        }
+
+        return received.message.value;
+    };
+
+    return {
+        /**
+         * 执行代码, 返回原始值(对象类型返回 undefined)
+         * @param {string} code
+         * @returns {*}
+         */
+        run(code) {
+            return call({type: 'run', code});
+        },
+        dispose
+    };
+}
+
+/**
+ * verify 模式的沙箱环境: 模拟 window/document/console/定时器, 记录可观察的副作用
+ * NOTE: toString 后注入沙箱执行, 不能引用外部变量
+ */
+function verifyHarnessMain() {
+    const global = globalThis;
+    const stringify = JSON.stringify;
+    const OriginalDate = Date;
+    const MAX_TIMER_CALLS = 100;
+    const MAX_INTERVAL_CALLS = 3;
+    const NETWORK_PATHS = /^(fetch|XMLHttpRequest|WebSocket|EventSource|navigator\.sendBeacon)\b|^new (XMLHttpRequest|WebSocket|EventSource)\b/;
+    let effects = [];
+    let stubPaths = new WeakMap();
+    let timers = [];
+    let timerId = 0;
+    let timerCalls = 0;
+    let clock = 1600000000000;
+    let seed = 1;
+
+    let summarize = (value) => {
+        if ((typeof value === 'function' || typeof value === 'object') && stubPaths.has(value)) {
+            return `<${stubPaths.get(value)}>`;
+        }
+
+        switch (typeof value) {
+            case 'undefined':
+            case 'function':
+            case 'symbol':
+            case 'bigint':
+                return `<${typeof value}>`;
+            case 'number':
+                return Number.isFinite(value) ? value : String(value);
+            case 'object':
+                try {
+                    return value === null ? null : stringify(value);
+                } catch (e) {
+                    return '<object>';
+                }
+            default:
+                return value;
+        }
+    };
+    let record = (type, target, args) => {
+        effects.push({type, target, args: Array.prototype.map.call(args, summarize)});
+    };
+    let makeStub = (path) => {
+        let children = {};
+        let stub = new Proxy(function () {}, {
+            get(target, prop) {
+                if (typeof prop === 'symbol') {
+                    return prop === Symbol.toPrimitive ? () => '' : undefined;
+                }
+
+                // 避免被当作 Promise
+                if (prop === 'then') {
+                    return undefined;
+                }
+
+                if (!(prop in children)) {
+                    children[prop] = makeStub(`${path}.${prop}`);
                 }
+
+                return children[prop];
+            },
+            set(target, prop, value) {
+                record('dom', `${path}.${String(prop)}=`, [value]);
+                children[prop] = value;
+                return true;
+            },
+            apply(target, thisArg, args) {
+                record(NETWORK_PATHS.test(path) ? 'network' : 'dom', path, args);
+                return makeStub(`${path}()`);
+            },
+            construct(target, args) {
+                record(NETWORK_PATHS.test(path) ? 'network' : 'dom', `new ${path}`, args);
+                return makeStub(`new ${path}()`);
+            }
+        });
+        stubPaths.set(stub, path);
+        return stub;
+    };
+    let addTimer = (method, callback, delay, args, isInterval) => {
+        record('timer', method, [delay]);
+        let id = ++timerId;
+        timers.push({id, callback, args, delay: Number(delay) || 0, due: clock + (Number(delay) || 0), isInterval, calls: 0});
+        return id;
+    };
+    let clearTimer = (id) => {
+        timers = timers.filter(timer => timer.id !== id);
+    };
+    let windowProxy = new Proxy(global, {
+        get(target, prop) {
+            if (prop in target || typeof prop === 'symbol') {
+                return Reflect.get(target, prop);
             }
+
+            return makeStub(`window.${prop}`);
         },
-        enter(path) {
-            // 捕获 加密函数特征1
-            if (context.isEncryptFunction(path)) {
-                context.addEncryptFunction(path);
+        set(target, prop, value) {
+            record('global', `window.${String(prop)}=`, [value]);
+            return Reflect.set(target, prop, value);
+        }
+    });
+    let FakeDate = function (...args) {
+        if (!new.target) {
+            return new OriginalDate(clock).toString();
+        }
+
+        return args.length > 0 ? new OriginalDate(...args) : new OriginalDate(clock);
+    };
+    FakeDate.prototype = OriginalDate.prototype;
+    FakeDate.now = () => clock;
+    FakeDate.parse = OriginalDate.parse;
+    FakeDate.UTC = OriginalDate.UTC;
+
+    let environment = {
+        window: windowProxy,
+        self: windowProxy,
+        top: windowProxy,
+        parent: windowProxy,
+        frames: windowProxy,
+        document: makeStub('document'),
+        navigator: makeStub('navigator'),
+        location: makeStub('location'),
+        history: makeStub('history'),
+        screen: makeStub('screen'),
+        localStorage: makeStub('localStorage'),
+        sessionStorage: makeStub('sessionStorage'),
+        XMLHttpRequest: makeStub('XMLHttpRequest'),
+        WebSocket: makeStub('WebSocket'),
+        EventSource: makeStub('EventSource'),
+        Image: makeStub('Image'),
+        fetch(...args) {
+            record('network', 'fetch', args);
+            return new Promise(() => {});
+        },
+        console: {},
+        setTimeout: (callback, delay, ...args) => addTimer('setTimeout', callback, delay, args, false),
+        setInterval: (callback, delay, ...args) => addTimer('setInterval', callback, delay, args, true),
+        setImmediate: (callback, ...args) => addTimer('setImmediate', callback, 0, args, false),
+        requestAnimationFrame: (callback) => addTimer('requestAnimationFrame', callback, 16, [], false),
+        clearTimeout: clearTimer,
+        clearInterval: clearTimer,
+        clearImmediate: clearTimer,
+        cancelAnimationFrame: clearTimer,
+        queueMicrotask: (callback) => Promise.resolve().then(callback),
+        Date: FakeDate
+    };
+    for (let method of ['log', 'info', 'warn', 'error', 'debug', 'trace', 'table', 'dir', 'group', 'groupEnd', 'exception']) {
+        environment.console[method] = function (...args) {
+            record('console', method, args);
+        };
+    }
+
+    Object.assign(global, environment);
+    // 固定随机数
+    Math.random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return (seed - 1) / 2147483646;
+    };
+
+    let baseNames = new Set(Object.getOwnPropertyNames(global));
+    let runCallback = (callback, args) => {
+        try {
+            if (typeof callback === 'function') {
+                callback(...args);
             }
+        } catch (e) {
+            record('error', e && e.name, [e && e.message]);
         }
     };
-    let visitor = {
-        AssignmentExpression: {
-            exit(path) {
-                // #空对象声明后续赋值
-                // 判断赋值
-                // e.g. proxyObj['add']=function(a,b){return a+b};
-                if (path.node.left.type === 'MemberExpression'
-                    && (path.node.left.property.type === 'StringLiteral'
-                        || path.node.left.property.type === 'Identifier')
-                    && (path.node.left.object.type === 'StringLiteral'
-                        || path.node.left.object.type === 'Identifier')) {
-                    //
-                    let objectName = utils.getStringLiteralValue(path.node.left.object);
-                    if (objectName in cache.doubtedProxyPathInfos) {
-                        let cacheObj = cache.doubtedProxyPathInfos[objectName];
-                        let propertyName = utils.getStringLiteralValue(path.node.left.property);
-                        let propertyNameLength = propertyName.length;
-                        if (!cacheObj.prevKeyLength) {
-                            cacheObj.prevKeyLength = propertyNameLength;
-                        }
+    let harness = {
+        run(code) {
+            try {
+                // 间接 eval: 全局作用域执行
+                (0, eval)(code);
+            } catch (e) {
+                record('error', e && e.name, [e && e.message]);
+            }
+        },
+        /**
+         * 按时间顺序执行一个定时器, 返回是否还有定时器
+         */
+        flush() {
+            if (timers.length === 0 || timerCalls >= MAX_TIMER_CALLS) {
+                return false;
+            }
+
+            let timer = timers.reduce((prev, item) => item.due < prev.due ? item : prev);
+            clock = Math.max(clock, timer.due);
+            timer.calls++;
+            timerCalls++;
+            if (timer.isInterval && timer.calls < MAX_INTERVAL_CALLS) {
+                timer.due = clock + Math.max(timer.delay, 1);
+            } else {
+                clearTimer(timer.id);
+            }
+
+            runCallback(timer.callback, timer.args);
+            return timers.length > 0;
+        },
+        effects() {
+            return stringify(effects);
+        },
+        /**
+         * 新增的全局变量名
+         */
+        globalNames() {
+            return stringify(Object.getOwnPropertyNames(global).filter(name => !baseNames.has(name) && name !== '__verify'));
+        },
+        /**
+         * @param {string} namesJson
+         */
+        describeGlobals(namesJson) {
+            let values = {};
+            for (let name of JSON.parse(namesJson)) {
+                values[name] = Object.prototype.hasOwnProperty.call(global, name) ? summarize(global[name]) : '<missing>';
+            }
+
+            return stringify(values);
+        }
+    };
+    Object.defineProperty(global, '__verify', {value: Object.freeze(harness)});
+}
+
+/**
+ * 解包: 执行编码后的代码, 截获传给 eval/Function 的源码而不执行
+ * - Function('return ...') 用于取得内置对象/解码字符串, 正常创建
+ * - 其余 Function(body) / eval(code) 视为解码结果
+ * NOTE: toString 后注入沙箱执行, 不能引用外部变量
+ * @param {string} source
+ * @returns {string|undefined} 最后一次截获的源码
+ */
+function unpackHarnessMain(source) {
+    const global = globalThis;
+    const FunctionPrototype = Object.getPrototypeOf(function () {});
+    const OriginalFunction = FunctionPrototype.constructor;
+    const originalEval = global.eval;
+    let captured;
+    let HookedFunction = function () {
+        let body = arguments.length > 0 ? String(arguments[arguments.length - 1]) : '';
+        if (/^\s*return\b/.test(body)) {
+            return OriginalFunction.apply(this, arguments);
+        }
+
+        captured = body;
+        return function () {};
+    };
+    HookedFunction.prototype = FunctionPrototype;
+    FunctionPrototype.constructor = HookedFunction;
+    global.Function = HookedFunction;
+    global.eval = function (code) {
+        captured = String(code);
+    };
+
+    try {
+        originalEval(source);
+    } finally {
+        FunctionPrototype.constructor = OriginalFunction;
+        global.Function = OriginalFunction;
+        global.eval = originalEval;
+    }
+
+    return captured;
+}
+
+/**
+ * 逐层解包(解出的代码可能仍是编码代码, e.g. packer 包着 JSFuck)
+ * @param {string} code
+ * @param {{run: function(string): *}} sandbox
+ * @returns {{code: string, layers: string[], error: {type: string, message: string}|null}}
+ */
+function unpackCode(code, sandbox) {
+    let layers = [];
+    for (let i = 0; i < MAX_UNPACK_LAYERS; i++) {
+        let unpacker = UNPACKERS.find(item => item.pattern.test(code));
+        if (!unpacker) {
+            break;
+        }
+
+        let unpacked;
+        try {
+            unpacked = sandbox.run(`(${unpackHarnessMain.toString()})(${JSON.stringify(code)})`);
+        } catch (e) {
+            return {code, layers, error: {type: unpacker.type, message: e.message}};
+        }
+
+        if (typeof unpacked !== 'string' || unpacked === code) {
+            return {code, layers, error: {type: unpacker.type, message: 'no eval/Function payload captured'}};
+        }
+
+        layers.push(unpacker.type);
+        code = unpacked;
+    }
+
+    return {code, layers, error: null};
+}
+
+/**
+ * 在沙箱中执行代码并收集副作用
+ * @param {string} code
+ * @param {Object} sandboxOptions
+ * @param {string[]|null} globalNames 需要比较的全局变量(null=从本次执行中收集)
+ * @returns {{effects: Object[], globals: Object}}
+ */
+function collectEffects(code, sandboxOptions, globalNames) {
+    let sandbox = createSandbox(sandboxOptions);
+    let sandboxError = null;
+    try {
+        try {
+            sandbox.run(`(${verifyHarnessMain.toString()})()`);
+            sandbox.run(`__verify.run(${JSON.stringify(code)})`);
+            while (sandbox.run('__verify.flush()')) {
+                // 依次执行定时器(微任务在两次调用之间执行)
+            }
+        } catch (e) {
+            // 超时等 e.g. setTimeout(function(){while(true){}}, 10), 之前的副作用仍然有效
+            sandboxError = {type: 'error', target: 'Sandbox', args: [e.message]};
+        }
+
+        try {
+            let effects = JSON.parse(sandbox.run('__verify.effects()'));
+            if (globalNames === null) {
+                globalNames = JSON.parse(sandbox.run('__verify.globalNames()'))
+                    .filter(name => !utils.isHexVariableName(name));
+            }
+
+            let globals = JSON.parse(sandbox.run(`__verify.describeGlobals(${JSON.stringify(JSON.stringify(globalNames))})`));
+            return {effects: sandboxError ? effects.concat(sandboxError) : effects, globals};
+        } catch (e) {
+            // 沙箱已不可用(e.g. 内存溢出)
+            return {effects: [sandboxError || {type: 'error', target: 'Sandbox', args: [e.message]}], globals: {}};
+        }
+    } finally {
+        sandbox.dispose();
+    }
+}
+
+/**
+ * 比较原始代码和清理后代码的副作用
+ * - console: console 输出
+ * - dom: document/navigator/location 等的调用和赋值
+ * - network: fetch/XMLHttpRequest/WebSocket/EventSource/sendBeacon
+ * - timer: 定时器注册
+ * - global: window.x= 赋值, 以及最终的全局变量(不含 _0x 变量)
+ * - error: 未捕获的异常(只比较类型, 重命名会改变错误信息)
+ * @param {string} originalCode
+ * @param {string} cleanedCode
+ * @param {Object} sandboxOptions
+ * @returns {{equivalent: boolean, skipped: string|null, effects: number, differences: Object[]}}
+ */
+function verifyCode(originalCode, cleanedCode, sandboxOptions) {
+    let original = collectEffects(originalCode, sandboxOptions, null);
+    let cleaned = collectEffects(cleanedCode, sandboxOptions, Object.keys(original.globals));
+    let toKey = (effect) => effect.type === 'error'
+        ? `error ${effect.target}`
+        : JSON.stringify([effect.type, effect.target, effect.args]);
+    let differences = [];
+    let length = Math.max(original.effects.length, cleaned.effects.length);
+    for (let i = 0; i < length; i++) {
+        let originalEffect = original.effects[i] || null;
+        let cleanedEffect = cleaned.effects[i] || null;
+        if (!originalEffect || !cleanedEffect || toKey(originalEffect) !== toKey(cleanedEffect)) {
+            differences.push({index: i, original: originalEffect, cleaned: cleanedEffect});
+        }
+    }
+
+    for (let name in original.globals) {
+        if (original.globals[name] !== cleaned.globals[name]) {
+            differences.push({
+                global: name,
+                original: original.globals[name],
+                cleaned: cleaned.globals[name]
+            });
+        }
+    }
+
+    return {
+        equivalent: differences.length === 0,
+        skipped: null,
+        effects: original.effects.length,
+        differences
+    };
+}
+
+/**
+ * 模块 id 对应的文件路径(相对输出目录)
+ * - 12 -> 12.js
+ * - './src/index.js' -> src/index.js
+ * - '../lib/a' -> __/lib/a.js
+ * @param {number|string} id
+ * @returns {string}
+ */
+function getModuleFilePath(id) {
+    let segments = posixPath.normalize(String(id).replace(/\\/g, '/')).split('/')
+        .filter(segment => segment && segment !== '.')
+        .map(segment => segment === '..' ? '__' : segment.replace(/[<>:"|?*\x00-\x1f]/g, '_'));
+    let filePath = segments.join('/') || 'index';
+    return /\.(js|mjs|cjs)$/.test(filePath) ? filePath : `${filePath}.js`;
+}
+
+/**
+ * 模块之间的相对引用路径
+ * e.g. ('src/a.js', 'lib/b.js') -> '../lib/b.js'
+ * @param {string} fromPath
+ * @param {string} toPath
+ * @returns {string}
+ */
+function getRelativeModulePath(fromPath, toPath) {
+    let relativePath = posixPath.relative(posixPath.dirname(fromPath), toPath);
+    return relativePath.startsWith('../') ? relativePath : `./${relativePath}`;
+}
+
+/**
+ * 模块表中的模块函数
+ * - [function(e, t, n){}, , function(e){}] 数组下标为 id
+ * - {12: function(e, t, n){}, './src/a.js': (e) => {}, 34(e){}}
+ * @param {NodePath} path ArrayExpression | ObjectExpression
+ * @returns {{id: string, path: NodePath}[]|null} 不是模块表则返回 null
+ */
+function getBundleModules(path) {
+    let modules = [];
+    if (path.isArrayExpression()) {
+        path.get('elements').forEach((elementPath, index) => {
+            if (elementPath.node) {
+                modules.push({id: String(index), path: elementPath});
+            }
+        });
+    } else if (path.isObjectExpression()) {
+        for (let propertyPath of path.get('properties')) {
+            let property = propertyPath.node;
+            if (property.computed || !property.key) {
+                return null;
+            }
+
+            let id = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+            modules.push({id, path: propertyPath.isObjectMethod() ? propertyPath : propertyPath.get('value')});
+        }
+    } else {
+        return null;
+    }
+
+    let isModules = modules.length > 0 && modules.every(module => module.path.isFunction());
+    return isModules ? modules : null;
+}
+
+/**
+ * webpack 4/5 运行时: require 函数按 id 调用模块表中的函数
+ * - function n(r){... e[r].call(o.exports, o, o.exports, n) ...}
+ * - function e(t){... r[t](s, s.exports, e) ...}
+ * 模块函数参数为 (module, exports, __webpack_require__)
+ * @param {NodePath} path Function
+ * @returns {Object|null}
+ */
+function getWebpackBundle(path) {
+    let id = path.node.params[0];
+    if (path.node.params.length !== 1 || id.type !== 'Identifier') {
+        return null;
+    }
+
+    // 按 id 访问的对象: 模块表和模块缓存 e.g. e[r] | o[r]
+    let isIdMember = (node) => node.type === 'MemberExpression'
+        && node.computed
+        && node.object.type === 'Identifier'
+        && node.property.type === 'Identifier'
+        && node.property.name === id.name;
+    let modulesName = null;
+    let idObjectNames = new Set();
+    types.traverseFast(path.node.body, node => {
+        if (isIdMember(node)) {
+            idObjectNames.add(node.object.name);
+        }
+
+        if (modulesName || node.type !== 'CallExpression') {
+            return;
+        }
+
+        // 模块表[id].call(module.exports, module, module.exports, require) | 模块表[id](module, module.exports, require)
+        let callee = node.callee;
+        let args = node.arguments;
+        if (callee.type === 'MemberExpression' && utils.getMemberPropertyName(callee) === 'call') {
+            callee = callee.object;
+            args = args.length === 4 ? args.slice(1) : [];
+        }
+
+        let [moduleNode, exportsNode, requireNode] = args;
+        if (isIdMember(callee)
+            && args.length === 3
+            && moduleNode.type === 'Identifier'
+            && exportsNode.type === 'MemberExpression'
+            && exportsNode.object.type === 'Identifier'
+            && exportsNode.object.name === moduleNode.name
+            && utils.getMemberPropertyName(exportsNode) === 'exports'
+            && requireNode.type === 'Identifier') {
+            //
+            modulesName = callee.object.name;
+        }
+    });
+
+    // 还需要模块缓存
+    idObjectNames.delete(modulesName);
+    if (!modulesName || idObjectNames.size === 0) {
+        return null;
+    }
+
+    let binding = modulesName ? path.scope.getBinding(modulesName) : null;
+    let modulesPath = null;
+    if (!binding) {
+        return null;
+    } else if (binding.kind === 'param') {
+        // !function(e){...}([...])
+        let functionPath = binding.path.parentPath;
+        let index = functionPath.node.params.indexOf(binding.identifier);
+        if (functionPath.parentPath.isCallExpression() && functionPath.parentPath.node.callee === functionPath.node) {
+            modulesPath = functionPath.parentPath.get(`arguments.${index}`);
+        }
+    } else if (binding.path.isVariableDeclarator() && binding.path.node.init) {
+        // var r = {...}
+        modulesPath = binding.path.get('init');
+    }
+
+    let modules = modulesPath && modulesPath.node ? getBundleModules(modulesPath) : null;
+    if (!modules || modules.some(module => module.path.node.params.length > 3)) {
+        return null;
+    }
+
+    // 入口: n(n.s = 5) | e(20)
+    let entries = [];
+    let requireId = path.node.id || (path.parentPath.isVariableDeclarator() ? path.parentPath.node.id : null);
+    let requireBinding = requireId ? path.parentPath.scope.getBinding(requireId.name) : null;
+    for (let refPath of requireBinding ? requireBinding.referencePaths : []) {
+        let callPath = refPath.parentPath;
+        if (!callPath.isCallExpression()
+            || callPath.node.callee !== refPath.node
+            || callPath.node.arguments.length !== 1
+            || refPath.findParent(itemPath => itemPath === path || itemPath.node === path.node)) {
+            continue;
+        }
+
+        let argument = callPath.node.arguments[0];
+        if (argument.type === 'AssignmentExpression') {
+            argument = argument.right;
+        }
+
+        if (argument.type === 'NumericLiteral' || argument.type === 'StringLiteral') {
+            entries.push(String(argument.value));
+        }
+    }
+
+    return {type: 'webpack', modules, entries, params: ['module', 'exports', '__webpack_require__'], requireIndex: 2};
+}
+
+/**
+ * webpack JSONP chunk
+ * - (window.webpackJsonp = window.webpackJsonp || []).push([[1], {12: function(e, t, n){}}, [[12, 0]]])
+ * - (self.webpackChunkapp = self.webpackChunkapp || []).push([[179], {34: (e, t, n) => {}}, (runtime) => {}])
+ * @param {NodePath} path CallExpression
+ * @returns {Object|null}
+ */
+function getWebpackChunk(path) {
+    let node = path.node;
+    let chunk = node.arguments[0];
+    if (!(node.callee.type === 'MemberExpression'
+        && utils.getMemberPropertyName(node.callee) === 'push'
+        && node.arguments.length === 1
+        && chunk.type === 'ArrayExpression'
+        && chunk.elements.length >= 2
+        && chunk.elements[0]
+        && chunk.elements[0].type === 'ArrayExpression'
+        && chunk.elements[1])) {
+        return null;
+    }
+
+    let modules = getBundleModules(path.get('arguments.0.elements.1'));
+    if (!modules) {
+        return null;
+    }
+
+    // webpack 4 第三项: [[入口 id, 依赖的 chunk id...]]
+    let entries = [];
+    let deferred = chunk.elements[2];
+    if (deferred && deferred.type === 'ArrayExpression') {
+        for (let element of deferred.elements) {
+            if (element && element.type === 'ArrayExpression' && element.elements[0] && types.isLiteral(element.elements[0])) {
+                entries.push(String(element.elements[0].value));
+            }
+        }
+    }
+
+    return {type: 'webpack-jsonp', modules, entries, params: ['module', 'exports', '__webpack_require__'], requireIndex: 2};
+}
+
+/**
+ * browserify 运行时
+ * (function e(t, n, r){...})({1: [function(require, module, exports){}, {'./foo': 2}], ...}, {}, [1])
+ * 模块函数参数为 (require, module, exports)
+ * @param {NodePath} path CallExpression
+ * @returns {Object|null}
+ */
+function getBrowserifyBundle(path) {
+    let [table, cache, entries] = path.node.arguments;
+    if (path.node.arguments.length !== 3
+        || table.type !== 'ObjectExpression'
+        || table.properties.length === 0
+        || cache.type !== 'ObjectExpression'
+        || entries.type !== 'ArrayExpression') {
+        return null;
+    }
+
+    let modules = [];
+    for (let propertyPath of path.get('arguments.0.properties')) {
+        let property = propertyPath.node;
+        let value = property.value;
+        if (property.type !== 'ObjectProperty'
+            || property.computed
+            || !value
+            || value.type !== 'ArrayExpression'
+            || value.elements.length !== 2
+            || !types.isFunction(value.elements[0])) {
+            return null;
+        }
+
+        // 依赖表可能被提取为变量(transformObjectKeys)
+        // e.g. var _obj = {'./foo': 2}; ({1: [function(t, e, n){}, _obj]}, {}, [1])
+        let dependenciesPath = propertyPath.get('value.elements.1');
+        if (dependenciesPath.isIdentifier()) {
+            let binding = dependenciesPath.scope.getBinding(dependenciesPath.node.name);
+            dependenciesPath = binding && binding.constant && binding.path.isVariableDeclarator() ? binding.path.get('init') : null;
+        }
+
+        if (!dependenciesPath || !dependenciesPath.isObjectExpression()) {
+            return null;
+        }
+
+        // 依赖: 请求路径 -> 模块 id
+        let dependencies = {};
+        for (let dependency of dependenciesPath.node.properties) {
+            if (dependency.type === 'ObjectProperty' && !dependency.computed && types.isLiteral(dependency.value)) {
+                dependencies[utils.getStringLiteralValue(dependency.key)] = String(dependency.value.value);
+            }
+        }
+
+        let id = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+        modules.push({id, path: propertyPath.get('value.elements.0'), dependencies});
+    }
+
+    return {
+        type: 'browserify',
+        modules,
+        entries: entries.elements.filter(element => element && types.isLiteral(element)).map(element => String(element.value)),
+        params: ['require', 'module', 'exports'],
+        requireIndex: 0
+    };
+}
+
+/**
+ * 模块文件路径
+ * - webpack: 由 id 决定, 不同 chunk 之间保持一致
+ * - browserify: 从入口(index.js)沿 require('./foo') 的请求路径推导, 未被引用的模块用 id
+ * @param {Object} bundle
+ * @returns {Map<string, string>} key=模块 id
+ */
+function getModuleFilePaths(bundle) {
+    let filePaths = new Map();
+    if (bundle.type !== 'browserify') {
+        for (let module of bundle.modules) {
+            filePaths.set(module.id, getModuleFilePath(module.id));
+        }
+
+        return filePaths;
+    }
+
+    let usedPaths = new Set();
+    let addPath = (id, filePath) => {
+        if (filePaths.has(id)) {
+            return false;
+        }
+
+        if (usedPaths.has(filePath)) {
+            filePath = filePath.replace(/\.js$/, `-${id}.js`);
+        }
+
+        filePaths.set(id, filePath);
+        usedPaths.add(filePath);
+        return true;
+    };
+    let modulesById = new Map(bundle.modules.map(module => [module.id, module]));
+    let queue = [];
+    bundle.entries.forEach((id, index) => {
+        if (modulesById.has(id) && addPath(id, index === 0 ? 'index.js' : `entry-${id}.js`)) {
+            queue.push(id);
+        }
+    });
+
+    while (queue.length > 0) {
+        let id = queue.shift();
+        let parentPath = filePaths.get(id);
+        let dependencies = modulesById.get(id).dependencies;
+        for (let request in dependencies) {
+            let dependencyId = dependencies[request];
+            // 相对路径基于父模块目录, 包名放在 node_modules 下
+            let requestPath = request.startsWith('.')
+                ? posixPath.join(posixPath.dirname(parentPath), request)
+                : `node_modules/${request}`;
+            if (modulesById.has(dependencyId) && addPath(dependencyId, getModuleFilePath(requestPath))) {
+                queue.push(dependencyId);
+            }
+        }
+    }
+
+    for (let module of bundle.modules) {
+        addPath(module.id, getModuleFilePath(module.id));
+    }
+
+    return filePaths;
+}
+
+/**
+ * 模块函数的参数能否改名(函数内没有同名的绑定或引用)
+ * @param {NodePath} path Function
+ * @param {string} name
+ * @returns {boolean}
+ */
+function canRenameParam(path, name) {
+    let conflicted = path.scope.hasOwnBinding(name);
+    path.traverse({
+        Scopable(scopePath) {
+            if (scopePath.scope.hasOwnBinding(name)) {
+                conflicted = true;
+                scopePath.stop();
+            }
+        },
+        ReferencedIdentifier(refPath) {
+            if (refPath.node.name === name) {
+                conflicted = true;
+                refPath.stop();
+            }
+        }
+    });
+
+    return !conflicted;
+}
+
+/**
+ * 生成模块文件代码
+ * - n(12) -> __webpack_require__('./12.js')
+ * - t('./foo') -> require('./foo.js')
+ * - 参数改名为 module, exports, __webpack_require__ | require, module, exports
+ * @param {Object} bundle
+ * @param {{id: string, path: NodePath, dependencies: Object|undefined}} module
+ * @param {Map<string, string>} filePaths
+ * @returns {string}
+ */
+function generateModule(bundle, module, filePaths) {
+    let path = module.path;
+    let params = path.node.params;
+    let filePath = filePaths.get(module.id);
+    let requireParam = params[bundle.requireIndex];
+    let requireBinding = requireParam && requireParam.type === 'Identifier' ? path.scope.getBinding(requireParam.name) : null;
+    for (let refPath of requireBinding ? requireBinding.referencePaths : []) {
+        let callPath = refPath.parentPath;
+        let argument = callPath.isCallExpression() && callPath.node.callee === refPath.node && callPath.node.arguments.length === 1
+            ? callPath.node.arguments[0]
+            : null;
+        if (!argument || !(argument.type === 'NumericLiteral' || argument.type === 'StringLiteral')) {
+            continue;
+        }
+
+        // 其他 chunk 中的 webpack 模块按 id 推导路径
+        let targetPath = module.dependencies
+            ? filePaths.get(module.dependencies[argument.value])
+            : filePaths.get(String(argument.value)) || getModuleFilePath(argument.value);
+        if (targetPath) {
+            callPath.node.arguments[0] = utils.inheritLocation(types.stringLiteral(getRelativeModulePath(filePath, targetPath)), argument);
+        }
+    }
+
+    for (let [index, name] of bundle.params.entries()) {
+        let param = params[index];
+        if (param && param.type === 'Identifier' && param.name !== name && canRenameParam(path, name)) {
+            path.scope.rename(param.name, name);
+        }
+    }
+
+    let body = path.node.body;
+    let program = body.type === 'BlockStatement'
+        ? types.program(body.body, body.directives)
+        : types.program([types.expressionStatement(body)]);
+    return generate(program).code;
+}
+
+/**
+ * 拆分打包代码(会修改 AST, 在生成主输出之后调用)
+ * @param {File} ast
+ * @returns {{type: string, entries: string[], modules: {id: string, path: string, code: string}[]}|null}
+ */
+function unbundleAst(ast) {
+    let bundle = findBundle(ast);
+    if (!bundle) {
+        return null;
+    }
+
+    let filePaths = getModuleFilePaths(bundle);
+    return {
+        type: bundle.type,
+        entries: bundle.entries.map(id => filePaths.get(id) || getModuleFilePath(id)),
+        modules: bundle.modules.map(module => ({
+            id: module.id,
+            path: filePaths.get(module.id),
+            code: generateModule(bundle, module, filePaths)
+        }))
+    };
+}
+
+/**
+ * 识别打包运行时和模块表(不修改 AST)
+ * @param {File} ast
+ * @returns {{type: string, modules: Object[], entries: string[], params: string[], requireIndex: number}|null}
+ */
+function findBundle(ast) {
+    let bundle = null;
+    traverse.cache.clear();
+    traverse(ast, {
+        CallExpression(path) {
+            bundle = getWebpackChunk(path) || getBrowserifyBundle(path);
+            if (bundle) {
+                path.stop();
+            }
+        },
+        Function(path) {
+            bundle = getWebpackBundle(path);
+            if (bundle) {
+                path.stop();
+            }
+        }
+    });
+
+    return bundle;
+}
+
+/**
+ * 根据混淆特征推断混淆工具及 obfuscator.io 选项
+ * NOTE: 置信度是经验值, 只用于排序/筛选
+ * @param {Object} fingerprint collectFingerprint 的结果
+ * @param {string[]} layers 解包的外层, 参见 report.unpacked
+ * @returns {{obfuscator: {name: string, version: string|null, confidence: number}, layers: string[], bundler: string|null, options: Object}}
+ */
+function inferObfuscator(fingerprint, layers) {
+    let option = (value, confidence) => ({value, confidence: Math.round(confidence * 100) / 100});
+    let ratio = (count, total) => total > 0 ? count / total : 0;
+    let stringArrays = fingerprint.stringArrays;
+    let hasStringArray = stringArrays.length > 0;
+    let guardTypes = new Set(fingerprint.guards);
+    let wrapperKinds = fingerprint.wrapperKinds;
+    let encodings = [...new Set([].concat(...stringArrays.map(stringArray => stringArray.encodings)))]
+        .filter(encoding => encoding !== 'none');
+    let bindings = fingerprint.bindings;
+    let hexadecimalRatio = ratio(bindings.hexadecimal, bindings.total);
+    let mangledRatio = ratio(bindings.mangled, bindings.total);
+
+    let obfuscator;
+    if (hasStringArray) {
+        // 3.x 起字符串数组放在函数里: function _0x1234() { var a = [...]; _0x1234 = function () { return a; }; ... }
+        let storedInFunction = stringArrays.some(stringArray => stringArray.storage === 'function');
+        obfuscator = {name: 'javascript-obfuscator', version: storedInFunction ? '>=3.0.0' : '<3.0.0', confidence: 0.9};
+    } else if (layers.length > 0) {
+        obfuscator = {name: layers[layers.length - 1], version: null, confidence: 1};
+    } else if (hexadecimalRatio > 0.3 || fingerprint.flattenedSwitches > 0 || guardTypes.size > 0) {
+        obfuscator = {name: 'javascript-obfuscator', version: null, confidence: 0.5};
+    } else {
+        obfuscator = {name: 'unknown', version: null, confidence: 0};
+    }
+
+    let identifierNamesGenerator;
+    if (hexadecimalRatio > 0.3) {
+        identifierNamesGenerator = option('hexadecimal', Math.min(1, 0.5 + hexadecimalRatio));
+    } else if (mangledRatio > 0.5) {
+        identifierNamesGenerator = option('mangled', Math.min(1, mangledRatio));
+    } else {
+        identifierNamesGenerator = option(null, 0);
+    }
+
+    // 没有痕迹不代表没开启: 死代码只注入到足够长的代码块, 对象键/字符串太短时不会变换
+    let strings = fingerprint.strings;
+    return {
+        obfuscator,
+        layers,
+        bundler: fingerprint.bundler,
+        options: {
+            compact: option(fingerprint.compact, 0.6),
+            stringArray: option(hasStringArray, hasStringArray ? 1 : 0.7),
+            stringArrayEncoding: option(hasStringArray ? (encodings.length ? encodings : ['none']) : null, hasStringArray ? 0.9 : 0),
+            stringArrayRotate: option(stringArrays.some(stringArray => stringArray.rotated), hasStringArray ? 0.9 : 0),
+            stringArrayIndexShift: option(stringArrays.some(stringArray => stringArray.indexShift), hasStringArray ? 0.7 : 0),
+            stringArrayWrappersCount: option(fingerprint.wrappersPerScope, hasStringArray ? 0.7 : 0),
+            stringArrayWrappersType: option(
+                wrapperKinds.length === 0 ? null : wrapperKinds.includes('wrapper') ? 'function' : 'variable',
+                wrapperKinds.length > 0 ? 0.8 : 0
+            ),
+            controlFlowFlattening: fingerprint.flattenedSwitches > 0
+                ? option(true, 1)
+                : option(fingerprint.proxyObjects > 0, fingerprint.proxyObjects > 0 ? 0.6 : 0.7),
+            deadCodeInjection: option(fingerprint.deadBranches > 0, fingerprint.deadBranches > 0 ? 0.8 : 0.3),
+            selfDefending: option(guardTypes.has('selfDefending'), 0.9),
+            debugProtection: option(guardTypes.has('debugProtection'), 0.9),
+            disableConsoleOutput: option(guardTypes.has('disableConsoleOutput'), 0.9),
+            domainLock: option(guardTypes.has('domainLock'), 0.9),
+            identifierNamesGenerator,
+            transformObjectKeys: option(fingerprint.emptyObjectAssignments > 0, fingerprint.emptyObjectAssignments > 0 ? 0.7 : 0.3),
+            unicodeEscapeSequence: option(ratio(strings.escaped, strings.total) > 0.5, strings.total > 0 ? 0.8 : 0),
+            numbersToExpressions: option(fingerprint.numberExpressions > 0, fingerprint.numberExpressions > 0 ? 0.8 : 0.6),
+            splitStrings: option(strings.concatenated > 0, strings.concatenated > 0 ? 0.6 : 0.3)
+        }
+    };
+}
+
+/**
+ * 规范化选项, 并检查插件插入点
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+function normalizeOptions(options) {
+    let merged = utils.mergeOptions(DEFAULT_OPTIONS, options || {});
+    if (!(merged.obfuscatedNames instanceof RegExp
+        || typeof merged.obfuscatedNames === 'function'
+        || ['auto', 'hexadecimal', 'mangled', 'dictionary'].includes(merged.obfuscatedNames))) {
+        //
+        throw new Error(`Unknown obfuscatedNames: ${merged.obfuscatedNames}`);
+    }
+
+    for (let plugin of merged.plugins) {
+        let [position, stage] = String(plugin.at).split(':');
+        if (!(position === 'before' || position === 'after') || PIPELINE_STAGES.indexOf(stage) === -1) {
+            throw new Error(`Unknown pipeline point: ${plugin.at}`);
+        }
+
+        if (!plugin.visitor || typeof plugin.visitor !== 'object') {
+            throw new Error(`Plugin at "${plugin.at}" must have a visitor`);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * 优化代码
+ * @param {string} jsCode
+ * @param {Object} [options] 参见 DEFAULT_OPTIONS
+ * @param {string} [lastStage] 执行到该阶段为止, 只返回 {detect}, 不生成代码(供 detect 使用)
+ * @returns {string|{code: string, map: Object}} 开启 sourceMaps 时返回对象
+ */
+function optimize(jsCode, options, lastStage) {
+    options = normalizeOptions(options);
+    let transforms = options.transforms;
+    let timings = {
+        passes: [],
+        rounds: [],
+        sandbox: {calls: 0, ms: 0},
+        decoderCache: {hits: 0, misses: 0}
+    };
+    let measure = (name, fn) => {
+        let start = utils.now();
+        let result = fn();
+        timings.passes.push({name, ms: utils.roundMs(utils.now() - start)});
+        return result;
+    };
+    let parseOptions = {
+        sourceType: options.sourceType,
+        sourceFilename: options.sourceFileName,
+        plugins: options.parserPlugins,
+        // 顶层 await(unambiguous 判断为 script 时也允许)
+        allowAwaitOutsideFunction: true
+    };
+    let sandbox = createSandbox(options.sandbox);
+    if (options.benchmark) {
+        let run = sandbox.run;
+        sandbox.run = (code) => {
+            let start = utils.now();
+            try {
+                return run(code);
+            } finally {
+                timings.sandbox.calls++;
+                timings.sandbox.ms = utils.roundMs(timings.sandbox.ms + utils.now() - start);
+            }
+        };
+    }
+
+    // 解包后的代码作为后续处理(及 source map)的源码
+    let unpacked = transforms.unpack
+        ? measure('unpack', () => unpackCode(jsCode, sandbox))
+        : {code: jsCode, layers: [], error: null};
+    let sourceCode = unpacked.code;
+    let ast;
+    try {
+        ast = measure('parse', () => parser.parse(sourceCode, parseOptions));
+    } catch (e) {
+        sandbox.dispose();
+        throw e;
+    }
+
+    let report = {
+        decoders: [],
+        stringsDecoded: 0,
+        proxiesInlined: 0,
+        proxyObjects: [],
+        switchesUnflattened: 0,
+        deadBranchesRemoved: 0,
+        deadCodeRemoved: 0,
+        constantsFolded: 0,
+        renamed: [],
+        guards: [],
+        unpacked: unpacked.layers,
+        rounds: 0,
+        converged: false,
+        warnings: []
+    };
+    // transform 之前的混淆特征(开启 detect 时)
+    let fingerprint = null;
+    // 导出的重命名映射(开启 renames 时)
+    let renames = null;
+    let cache = {
+        /**
+         * key=string
+         * value=NodePath
+         */
+        corePaths: {},
+
+        /**
+         * 是否混淆的变量名(beautify 阶段按 obfuscatedNames 生成)
+         * @type {function(string, Binding): boolean}
+         */
+        isObfuscatedName: null,
+
+        /**
+         * 重命名前的名字
+         * key=Identifier(声明处)
+         * value=string
+         */
+        originalNames: new WeakMap(),
+
+        /**
+         * NodePath
+         */
+        coreRefPaths: [],
+
+        /**
+         * 加密函数/代理解密函数在沙箱中的名字(按作用域绑定区分同名函数)
+         * key=声明的 Identifier 节点
+         * value=string
+         */
+        decoderNames: new Map(),
+
+        /**
+         * 代理解密函数/别名 NodePath
+         */
+        wrapperPaths: [],
+
+        /**
+         * 每个函数作用域(或程序)中的代理解密函数/别名个数
+         * key=Function | Program 节点
+         * value=number
+         */
+        wrapperCounts: new Map(),
+
+        /**
+         * key=字符串数组名
+         * value=path, decoderPaths, rotatePaths
+         */
+        stringArrays: {},
+
+        /**
+         * 代理对象
+         * key=绑定的 Identifier 节点(代理对象或其别名)
+         * value=id, path(ObjectExpression), aliasPaths
+         */
+        proxyObjects: new Map(),
+
+        /**
+         * 加密函数调用结果
+         * key=调用代码 e.g. _0xabc("0x1f")
+         * value={value} | {error}
+         */
+        decodedValues: new Map(),
+
+        /**
+         * 保护代码 controller(this, function(){...}) 的调用
+         * value=type, path
+         */
+        guardPaths: [],
+
+        /**
+         * 反调试函数声明 NodePath
+         */
+        debuggerPaths: []
+    };
+
+    let visitorFirst = {
+        SequenceExpression(path) {
+            // (a(),b()) -> a(); b();
+            if (path.parentPath.node.type !== 'ExpressionStatement') {
+                return;
+            }
+
+            let newNodes = [];
+            for (let expression of path.node.expressions) {
+                newNodes.push(types.expressionStatement(expression));
+            }
+
+            path.replaceInline(utils.inheritLocation(newNodes, path.node));
+        }
+    };
+    // 加密函数可能后置到底部, 所以单独拎出来
+    let visitorDetectEncrypt = {
+        StringLiteral(path) {
+            // 捕获 加密函数特征2
+            if (path.node.value === 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/='
+                || path.node.value === 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=') {
+                //
+                let destPath = path.find(itemPath => itemPath.node
+                    && (itemPath.node.type === 'FunctionDeclaration'
+                        && itemPath.node.params.length === 2)
+                    || (itemPath.node.type === 'VariableDeclaration'
+                        && itemPath.node.declarations.length === 1
+                        && itemPath.node.declarations[0].init.type === 'FunctionExpression'
+                        && itemPath.node.declarations[0].init.params.length === 2));
+
+                if (destPath) {
+                    context.addEncryptFunction(destPath);
+                }
+            }
+        },
+        'VariableDeclarator|FunctionDeclaration'(path) {
+            // 捕获 字符串数组(不依赖加密函数特征, e.g. stringArrayEncoding: none)
+            if (context.isStringArrayPath(path)) {
+                context.addStringArray(path);
+            }
+        },
+        enter(path) {
+            // 捕获 加密函数特征1
+            if (context.isEncryptFunction(path)) {
+                context.addEncryptFunction(path);
+            }
+        }
+    };
+    let visitor = {
+        BinaryExpression: {
+            exit(path) {
+                // 常量折叠:
+                // - 'hello' + ' world '+ 2021 + true -> 'hello world 2021true'
+                // - -1059744 + 5959 * -94 + 21176 * 107 -> 645942
+                // - "str" === "stfrr" -> true
+                // - 0x10 >> 2 | 3 -> 7
+                // - const k = 5; k * 2 -> 10
+                context.foldConstant(path);
+            }
+        },
+        CallExpression: {
+            exit(path) {
+                // - eval('a = 1; b();') -> a = 1; b();
+                // - x = eval('1 + 2') -> x = 1 + 2
+                // - eval(function(p,a,c,k,e,d){...}(...)) -> 解包后的代码
+                let node = path.node;
+                if (node.callee.type === 'Identifier'
+                    && node.callee.name === 'eval'
+                    && node.arguments.length === 1
+                    && !path.scope.getBinding('eval')) {
+                    //
+                    let result = context.evaluate(path.get('arguments.0'));
+                    let code = result.confident && typeof result.value === 'string' ? result.value : null;
+                    // 嵌在代码中的 packer 等: eval(function(p,a,c,k,e,d){...}(...))
+                    if (code === null && transforms.unpack && path.parentPath.isExpressionStatement()) {
+                        let unpacked = unpackCode(generate(path.parentPath.node).code, sandbox);
+                        if (unpacked.layers.length > 0) {
+                            code = unpacked.code;
+                            report.unpacked.push(...unpacked.layers);
+                        }
+                    }
+
+                    if (code === null) {
+                        return;
+                    }
+
+                    try {
+                        if (path.parentPath.isExpressionStatement()) {
+                            let file = parser.parse(code, {sourceType: 'script'});
+                            // 直接 eval 的 let/const/class 和严格模式下的 var 只在 eval 内部可见, 不能展开
+                            if (!context.canInlineEval(path, file)) {
+                                return;
+                            }
+
+                            let body = file.program.body;
+                            if (body.length > 0) {
+                                path.parentPath.replaceWithMultiple(utils.inheritLocation(body, path.parentPath.node));
+                            } else {
+                                path.parentPath.remove();
+                            }
+                        } else {
+                            path.replaceWith(utils.inheritLocation(parser.parseExpression(code), node));
+                        }
+                    } catch (e) {
+                        context.warn('evalReplaceFailed', `replace eval() fail: ${e.message}`, node);
+                    }
+
+                    return;
+                }
+
+                // - proxyObj['add'](1,2) | proxyObj.add(1,2) -> 3
+                // - proxyObj['add'](arg,2) -> arg + 2
+                // - proxyObj['typeof'](arg,'string') -> typeof arg === 'string'
+                // - proxyObj.dec(arg,2) -> arg - 2
+                node = path.node;
+                if (transforms.inlineProxies && node.callee.type === 'MemberExpression') {
+                    let proxyProperty = context.getProxyProperty(path.get('callee'));
+                    let newNode = proxyProperty && context.getReplacedCallObjectPropertyNode(proxyProperty, node.arguments);
+                    if (newNode) {
+                        path.replaceInline(utils.inheritLocation(newNode, path.node));
+                        report.proxiesInlined++;
+                        return;
+                    }
+                }
+
+                // 解密加密函数; 排除代理解密函数特征
+                // e.g. core(1,2)
+                node = path.node;
+                let decoderName;
+                if (transforms.decodeStrings
+                    && node.callee.type === 'Identifier'
+                    && !(path.parentPath.node.type === 'ReturnStatement'
+                        && path.parentPath.parentPath.node.type === 'BlockStatement'
+                        && path.parentPath.parentPath.node.body.length === 1)
+                    && (decoderName = context.getDecoderName(path, node.callee.name))) {
+                    //
+                    try {
+                        let retVal = context.callDecoder(path, decoderName);
+                        let literalNode = utils.getLiteralNode(retVal);
+                        if (literalNode) {
+                            path.replaceInline(utils.inheritLocation(literalNode, path.node));
+                            report.stringsDecoded++;
+                        }
+                    } catch (e) {
+                        context.warn('decodeFailed', `Decode function error: ${e.message}`, node);
+                    }
+                }
+
+                // - function(a,b){return a(b)}(navigator,'userAgent') -> navigator['userAgent'] 注意: 这是自身替换后生成的错误语法
+                node = path.node;
+                if (transforms.inlineProxies
+                    && node.callee
+                    && node.callee.type === 'FunctionExpression'
+                    && node.callee.body.type === 'BlockStatement'
+                    && node.callee.body.body.length === 1
+                    && node.callee.body.body[0].type === 'ReturnStatement') {
+                    //
+                    let newNode = context.getFunctionExpressionCallNode(node.callee, node.arguments);
+                    if (newNode) {
+                        path.replaceInline(utils.inheritLocation(newNode, path.node));
+                    }
+                }
+
+                // 纯函数调用
+                // - String.fromCharCode(104, 105) -> 'hi'
+                // - 'a,b'.split(',')[1] -> 'b' (由外层 MemberExpression 折叠)
+                if (path.isCallExpression()) {
+                    context.foldConstant(path);
+                }
+            }
+        },
+        ConditionalExpression: {
+            exit(path) {
+                // e.g. 1 > 2 ? 'a' : 'b' -> 'b'
+                if (context.foldConstant(path)) {
+                    return;
+                }
+
+                // 移除死代码
+                // e.g. true?console.log('Action...'):console.log('No action');
+                let node = path.node;
+                if (transforms.removeDeadCode && node.test.type === 'BooleanLiteral') {
+                    let newNode = node.test.value ? node.consequent : node.alternate;
+                    path.replaceWith(utils.inheritLocation(newNode, path.node));
+                    report.deadBranchesRemoved++;
+                }
+            }
+        },
+        FunctionDeclaration: {
+            exit(path) {
+                // 代理解密函数
+                // e.g. function proxyCore(a,b,c,d,e){return core(a-123,b);}
+                if (transforms.decodeStrings) {
+                    context.detectWrapperFunction(path);
+                }
+            }
+        },
+        FunctionExpression: {
+            exit(path) {
+                // 代理解密函数
+                // e.g. let proxyCore=function(a,b,c,d,e){return core(a-123,b);}
+                if (transforms.decodeStrings) {
+                    context.detectWrapperFunction(path);
+                }
+            }
+        },
+        'ExpressionStatement|ReturnStatement': {
+            enter(path) {
+                // transformObjectKeys 的临时对象放回使用处
+                // e.g. var _0x1 = {a: 1}; g(_0x1); -> g({a: 1});
+                if (transforms.foldObjectAssignments) {
+                    context.inlineTemporaryObjects(path);
+                }
+            }
+        },
+        IfStatement: {
+            exit(path) {
+                // 移除死代码
+                // if(false){
+                //  // 这里永远不会执行
+                // }
+                let node = path.node;
+                if (transforms.removeDeadCode && node.test.type === 'BooleanLiteral') {
+                    let newNode = node.test.value === true ? node.consequent : node.alternate;
+                    if (newNode) {
+                        // else if(xxx)
+                        if (newNode.type === 'IfStatement') {
+                            path.replaceInline(utils.inheritLocation(newNode, path.node));
+                        } else {
+                            // 带花括号的语句(body属性)和不带花括号的
+                            path.replaceInline(utils.inheritLocation(newNode.body ? newNode.body : newNode, path.node));
+                        }
+                    } else {
+                        path.remove();
+                    }
+
+                    report.deadBranchesRemoved++;
+                }
+            }
+        },
+        LogicalExpression: {
+            exit(path) {
+                // e.g. 'a' || x -> 'a'
+                context.foldConstant(path);
+            }
+        },
+        MemberExpression: {
+            exit(path) {
+                // 代理对象的属性读取(但不是赋值, 被赋值)
+                // - proxyObj.abcde -> 123
+                // - proxyObj['12345'] -> 456
+                // - this.name = proxyObj.abcde -> this.name = 123
+                if (transforms.inlineProxies
+                    && !(path.parentPath.node.type === 'AssignmentExpression'
+                        && path.parentPath.node.left === path.node)) {
+                    //
+                    let proxyProperty = context.getProxyProperty(path);
+                    // 函数成员由外层 CallExpression 内联
+                    if (proxyProperty && proxyProperty.value.type !== 'FunctionExpression') {
+                        path.replaceWith(utils.inheritLocation(types.cloneNode(proxyProperty.value), path.node));
+                        report.proxiesInlined++;
+                        return;
+                    }
+                }
+
+                // - 'abc'.length -> 3
+                // - [1, 2, 3][0] -> 1
+                if (path.isMemberExpression()) {
+                    context.foldConstant(path);
+                }
+            }
+        },
+        NumericLiteral: {
+            exit(path) {
+                // 0x123 -> 291
+                // NOTE: 代码生成的不存在属性 extra
+                let node = path.node;
+                if (node.extra) {
+                    node.extra.raw = node.value.toString();
+                }
+            }
+        },
+        ObjectExpression: {
+            exit(path) {
+                // 捕获 代理对象特征: 按结构而不是 key 长度判断, 每轮重新确认
+                // e.g. var proxyObj = {'abcde': 'str', 'fghij': function(a, b){return a + b}}
+                let declaratorPath = path.parentPath;
+                if (!transforms.inlineProxies
+                    || !declaratorPath.isVariableDeclarator()
+                    || declaratorPath.node.id.type !== 'Identifier') {
+                    return;
+                }
+
+                let id = declaratorPath.node.id;
+                if (context.isProxyObject(path)) {
+                    cache.proxyObjects.set(id, {id, path, aliasPaths: []});
+                } else {
+                    cache.proxyObjects.delete(id);
+                }
+            }
+        },
+        ObjectProperty: {
+            exit(path) {
+                // e.g. {'name':'nameValue'} -> {name:'nameValue'}
+                if (!path.node.computed
+                    && path.node.key.type === 'StringLiteral'
+                    && utils.isValidVariableName(path.node.key.value)) {
+                    path.node.key = types.identifier(path.node.key.value)
+                }
+            }
+        },
+        StringLiteral: {
+            exit(path) {
+                // NOTE:
+                // - window['console'] -> window.console
+                // - '1,2,3'['split']
+                // - this['name']
+                // - proxyCall()['add']
+                // - new Date()['getTime']
+                // - []['split']
+                // - {}['split']
+                // - (function(){})['call']
+                // - (''+2/1)['length']
+                if (path.parentPath.node.type === 'MemberExpression'
+                    && path.parentPath.node.property === path.node
+                    && (path.parentPath.node.object.type === 'MemberExpression'
+                        || path.parentPath.node.object.type === 'Identifier'
+                        || path.parentPath.node.object.type === 'StringLiteral'
+                        || path.parentPath.node.object.type === 'ThisExpression'
+                        || path.parentPath.node.object.type === 'CallExpression'
+                        || path.parentPath.node.object.type === 'NewExpression'
+                        || path.parentPath.node.object.type === 'ArrayExpression'
+                        || path.parentPath.node.object.type === 'ObjectExpression'
+                        || path.parentPath.node.object.type === 'FunctionExpression'
+                        || path.parentPath.node.object.type === 'BinaryExpression')
+                    && utils.isValidVariableName(path.node.value)) {
+                    //
+                    path.parentPath.node.computed = false;
+                    path.replaceInline(utils.inheritLocation(types.identifier(path.node.value), path.node));
+                }
+            }
+        },
+        SwitchStatement: {
+            exit(path) {
+                // switch 流程分化
+                // let array = "1|0".split('|');
+                // let index = 0;
+                // while(true){
+                //     switch(array[index++]){
+                //         case '0':
+                //             break;
+                //         case '1':
+                //             break;
+                //     }
+                //     break;
+                // }
+                //
+                // 同时支持:
+                // - for(;;) | while(!![]) | while(1)
+                // - 顺序数组 ['1','0'] | '1|0'['split']('|')
+                // - var array='1|0'.split('|'),index=0; 合并声明
+                // - 嵌套的流程平坦化(由内向外依次还原)
+                if (transforms.unflattenControlFlow && context.unflattenSwitch(path)) {
+                    report.switchesUnflattened++;
+                }
+            }
+        },
+        TemplateLiteral: {
+            exit(path) {
+                // e.g. `a${1 + 1}` -> 'a2'
+                // 标签模板的 quasi 必须是 TemplateLiteral e.g. html`<b>x</b>`
+                if (path.parentPath.isTaggedTemplateExpression()) {
+                    return;
+                }
+
+                context.foldConstant(path);
+            }
+        },
+        UnaryExpression: {
+            exit(path) {
+                if (path.node.operator === '!') {
+                    // - !'' -> true
+                    // - !0 -> true
+                    // - !false -> true
+                    // - ![] -> false 仅是空数组
+                    // - !{} -> false 仅是空对象
+                    // - !undefined
+                    let booleanValue = null;
+                    switch (path.node.argument.type) {
+                        case 'NumericLiteral':
+                            booleanValue = path.node.argument.value === 0;
+                            break
+                        case 'StringLiteral':
+                            booleanValue = path.node.argument.value === '';
+                            break
+                        case 'BooleanLiteral':
+                            booleanValue = path.node.argument.value === false;
+                            break
+                        case 'ArrayExpression':
+                            if (path.node.argument.elements.length === 0) {
+                                booleanValue = false;
+                            }
+
+                            break
+                        case 'ObjectExpression':
+                            if (path.node.argument.properties.length === 0) {
+                                booleanValue = false;
+                            }
+
+                            break
+                        case 'Identifier':
+                            if (path.node.argument.name === 'undefined') {
+                                booleanValue = true;
+                            }
+                            break
+                        default:
+                            break;
+                    }
+
+                    if (booleanValue != null) {
+                        // 这里请不要 traverse 了
+                        path.replaceInline(utils.inheritLocation(types.booleanLiteral(booleanValue), path.node));
+                    }
+                } else if (path.node.operator === '+') {
+                    // e.g. +123 -> 123
+                    switch (path.node.argument.type) {
+                        case 'NumericLiteral':
+                            path.replaceInline(utils.inheritLocation(path.node.argument, path.node));
+                            break
+                        default:
+                            break
+                    }
+                }
+
+                // e.g. typeof 'a' -> 'string' | ~5 -> -6
+                if (path.isUnaryExpression()) {
+                    context.foldConstant(path);
+                }
+            }
+        },
+        VariableDeclaration: {
+            enter(path) {
+                // 对象声明后的连续赋值合并回字面量(先于代理对象检测)
+                // e.g. var obj = {}; obj['abcde'] = 'str'; obj.fghij = function(){}; -> var obj = {abcde: 'str', fghij: function(){}};
+                if (transforms.foldObjectAssignments) {
+                    context.foldObjectAssignments(path);
+                    context.inlineTemporaryObjects(path);
+                }
+            }
+        },
+        VariableDeclarator: {
+            exit(path) {
+                // 移除引用对象/加密函数(值类型则不可以)
+                // e.g. let refObj=obj;
+                if (path.node.id.type === 'Identifier'
+                    && path.node.init
+                    && path.node.init.type === 'Identifier'
+                    && !utils.isExportedBinding(path.scope.getBinding(path.node.id.name))) {
+                    //
+                    let decoderName = context.getDecoderName(path, path.node.init.name);
+                    let proxyObject;
+                    if (decoderName && transforms.decodeStrings) {
+                        context.addDecoderAlias(path, decoderName);
+                    } else if (transforms.inlineProxies && (proxyObject = context.getProxyObject(path.get('init')))) {
+                        // 代理对象别名: 以别名的绑定登记同一个代理对象, 引用处直接内联
+                        cache.proxyObjects.set(path.node.id, proxyObject);
+                        proxyObject.aliasPaths.push(path);
+                    }
+                }
+            }
+        },
+        enter(path) {
+            // 移除未使用的变量
+            if (transforms.removeDeadCode && path.node.type === 'VariableDeclarator') {
+                let id = path.node.id;
+                let binding = path.scope.getBinding(id.name);
+
+                if (!binding || binding.constantViolations.length > 0) {
+                    return;
+                }
+
+                // 模块导出的变量 / for(const x of list) 的循环变量
+                if (utils.isExportedBinding(binding)
+                    || (path.parentPath.parentPath.isFor() && path.parentPath.key !== 'init')) {
+                    return;
+                }
+
+                // 初值有副作用时保留, 由 eliminate 阶段处理
+                if (binding.referencePaths.length === 0 && (!path.node.init || utils.isDiscardableNode(path.node.init, path.scope))) {
+                    try {
+                        path.remove();
+                    } catch (e) {
+                        context.warn('removeFailed', `path remove fail: ${e.message}`, path.node);
+                    }
+                }
+            }
+        }
+    };
+    let visitorWrappers = {
+        'FunctionDeclaration|FunctionExpression': {
+            exit(path) {
+                context.detectWrapperFunction(path);
+            }
+        },
+        VariableDeclarator(path) {
+            // 加密函数别名 e.g. var _0x5 = _0x1a2b;
+            let node = path.node;
+            let decoderName = node.id.type === 'Identifier' && node.init && node.init.type === 'Identifier'
+                ? context.getDecoderName(path, node.init.name)
+                : null;
+            if (decoderName && !utils.isExportedBinding(path.scope.getBinding(node.id.name))) {
+                context.addDecoderAlias(path, decoderName);
+            }
+        }
+    };
+    let visitorGuards = {
+        CallExpression(path) {
+            // 保护代码都由单次调用的 controller 执行
+            // e.g. var guard = controller(this, function(){...}); guard();
+            // e.g. controller(this, function(){...})();
+            let node = path.node;
+            if (node.callee.type === 'Identifier'
+                && node.arguments.length === 2
+                && node.arguments[0].type === 'ThisExpression'
+                && node.arguments[1].type === 'FunctionExpression') {
+                //
+                let guardType = context.getGuardType(path.get('arguments.1'));
+                if (guardType) {
+                    cache.guardPaths.push({type: guardType, path});
+                }
+            }
+        },
+        StringLiteral(path) {
+            // 反调试函数
+            // e.g. function(){return true}.constructor('debugger').call('action')
+            let parentNode = path.parentPath.node;
+            if (path.node.value === 'debugger'
+                && parentNode.type === 'CallExpression'
+                && parentNode.arguments[0] === path.node
+                && parentNode.callee.type === 'MemberExpression'
+                && !parentNode.callee.computed
+                && parentNode.callee.property.name === 'constructor') {
+                //
+                let functionPath = context.getDebuggerFunctionPath(path);
+                if (functionPath && !cache.debuggerPaths.some(itemPath => itemPath.node === functionPath.node)) {
+                    cache.debuggerPaths.push(functionPath);
+                }
+            }
+        }
+    };
+    let visitorDeadCode = {
+        'ReturnStatement|ThrowStatement|BreakStatement|ContinueStatement'(path) {
+            // 之后的语句不可达, 函数声明和 var 会提升, 保留声明
+            // e.g. return a; console.log(a); var b = 1; -> return a; var b;
+            if (!path.inList) {
+                return;
+            }
+
+            for (let siblingPath of path.getAllNextSiblings()) {
+                let node = siblingPath.node;
+                if (node.type === 'FunctionDeclaration'
+                    || (node.type === 'VariableDeclaration' && node.kind !== 'var')
+                    || node.type === 'ClassDeclaration') {
+                    continue;
+                }
+
+                if (node.type === 'VariableDeclaration') {
+                    if (node.declarations.some(declarator => declarator.init)) {
+                        node.declarations.forEach(declarator => {
+                            declarator.init = null;
+                        });
+                        context.addRemovedDeadCode();
+                    }
+
+                    continue;
+                }
+
+                siblingPath.remove();
+                context.addRemovedDeadCode();
+            }
+        },
+        EmptyStatement(path) {
+            if (path.inList) {
+                path.remove();
+                context.addRemovedDeadCode();
+            }
+        },
+        BlockStatement(path) {
+            // 独立的空代码块 e.g. {}
+            if (path.inList && path.node.body.length === 0 && path.node.directives.length === 0) {
+                path.remove();
+                context.addRemovedDeadCode();
+            }
+        },
+        ExpressionStatement(path) {
+            // 无副作用的表达式 e.g. 'abc'; 0x1;
+            if (utils.isDiscardableNode(path.node.expression, path.scope)) {
+                path.remove();
+                context.addRemovedDeadCode();
+            }
+        },
+        IfStatement: {
+            exit(path) {
+                let node = path.node;
+                if (node.alternate && utils.isEmptyStatement(node.alternate)) {
+                    // if(a){b()}else{} -> if(a){b()}
+                    path.get('alternate').remove();
+                    context.addRemovedDeadCode();
+                } else if (utils.isEmptyStatement(node.consequent) && node.alternate) {
+                    // if(a){}else{b()} -> if(!a){b()}
+                    path.replaceWith(utils.inheritLocation(types.ifStatement(types.unaryExpression('!', node.test), node.alternate), node));
+                    context.addRemovedDeadCode();
+                } else if (utils.isEmptyStatement(node.consequent)) {
+                    // if(a){} -> a;
+                    if (utils.isDiscardableNode(node.test, path.scope)) {
+                        path.remove();
+                    } else {
+                        path.replaceWith(utils.inheritLocation(types.expressionStatement(node.test), node));
+                    }
+
+                    context.addRemovedDeadCode();
+                }
+            }
+        },
+        FunctionDeclaration(path) {
+            // 未使用的函数(递归调用自身不算使用)
+            let id = path.node.id;
+            let binding = id ? path.parentPath.scope.getBinding(id.name) : null;
+            if (binding && binding.path.node === path.node && context.isRemovableBinding(binding)) {
+                path.remove();
+                context.addRemovedDeadCode();
+            }
+        },
+        VariableDeclarator(path) {
+            // 未使用且初值无副作用的变量
+            let node = path.node;
+            if (node.id.type !== 'Identifier'
+                || (node.init && !utils.isDiscardableNode(node.init, path.scope))
+                || (path.parentPath.parentPath.isFor() && path.parentPath.key !== 'init')) {
+                //
+                return;
+            }
+
+            let binding = path.scope.getBinding(node.id.name);
+            if (binding && binding.path.node === node && context.isRemovableBinding(binding)) {
+                path.remove();
+                context.addRemovedDeadCode();
+            }
+        }
+    };
+    let visitorSplitDeclarations = {
+        VariableDeclaration(path) {
+            // var a = 1, b = a; -> var a = 1; var b = a; (保持顺序, TDZ 不变)
+            // 跳过 for (var i = 0, n = a.length; ...) / export var a, b; 等不在语句列表中的声明
+            let node = path.node;
+            if (!path.inList || node.declarations.length < 2) {
+                return;
+            }
+
+            let newNodes = node.declarations.map(declarator => utils.inheritLocation(types.variableDeclaration(node.kind, [declarator]), declarator));
+            types.inheritLeadingComments(newNodes[0], node);
+            types.inheritTrailingComments(newNodes[newNodes.length - 1], node);
+            path.replaceWithMultiple(newNodes);
+            path.skip();
+        }
+    };
+    let visitorNormalize = {
+        UnaryExpression(path) {
+            // void 0 -> undefined(未被局部变量遮蔽时)
+            if (path.node.operator === 'void'
+                && path.node.argument.type === 'NumericLiteral'
+                && !path.scope.getBinding('undefined')) {
+                //
+                path.replaceWith(utils.inheritLocation(types.identifier('undefined'), path.node));
+                return;
+            }
+
+            // !(a === b) -> a !== b
+            let argument = path.node.argument;
+            if (path.node.operator === '!'
+                && argument.type === 'BinaryExpression'
+                && ['==', '!=', '===', '!=='].includes(argument.operator)) {
+                //
+                path.replaceWith(utils.inheritLocation(utils.getNegatedNode(argument), path.node));
+            }
+        },
+        BinaryExpression: {
+            exit(path) {
+                // 'undefined' === typeof a -> typeof a === 'undefined'
+                // 10 < a -> a > 10
+                // void 0 === a -> a === undefined(左侧的 void 0 已先替换)
+                let operators = {'==': '==', '!=': '!=', '===': '===', '!==': '!==', '<': '>', '>': '<', '<=': '>=', '>=': '<='};
+                let node = path.node;
+                let isConstant = (item) => (types.isLiteral(item)
+                    && !(item.type === 'TemplateLiteral' && item.expressions.length > 0))
+                    || (item.type === 'Identifier' && item.name === 'undefined' && !path.scope.getBinding('undefined'));
+                if (operators[node.operator]
+                    && isConstant(node.left)
+                    && !isConstant(node.right)) {
+                    //
+                    path.replaceWith(utils.inheritLocation(types.binaryExpression(operators[node.operator], node.right, node.left), node));
+                }
+            }
+        },
+        ExpressionStatement(path) {
+            // - a && b() -> if (a) { b(); }
+            // - a ? b() : c() -> if (a) { b(); } else { c(); }
+            // - a(), b() -> a(); b();
+            let expression = path.node.expression;
+            if (!(expression.type === 'SequenceExpression'
+                || expression.type === 'ConditionalExpression'
+                || (expression.type === 'LogicalExpression' && expression.operator !== '??'))) {
+                //
+                return;
+            }
+
+            context.replaceWithStatements(path, context.getNormalizedStatements(expression));
+        },
+        'ReturnStatement|ThrowStatement'(path) {
+            // return a(), b; -> a(); return b;
+            let argument = path.node.argument;
+            if (!argument || argument.type !== 'SequenceExpression') {
+                return;
+            }
+
+            let expressions = argument.expressions;
+            let lastNode = path.isReturnStatement()
+                ? types.returnStatement(expressions[expressions.length - 1])
+                : types.throwStatement(expressions[expressions.length - 1]);
+            context.replaceWithStatements(path, [
+                ...context.getNormalizedStatements(types.sequenceExpression(expressions.slice(0, -1))),
+                utils.inheritLocation(lastNode, path.node)
+            ]);
+        },
+        ForStatement(path) {
+            // for (a(), i = 0; ...) -> a(); for (i = 0; ...)
+            let init = path.node.init;
+            if (!init || init.type !== 'SequenceExpression') {
+                return;
+            }
+
+            // 带标签的循环整体前移, 否则 continue label 会指向代码块
+            // e.g. outer: for (a(), i = 0; ...) -> a(); outer: for (i = 0; ...)
+            let statementPath = path;
+            while (statementPath.parentPath.isLabeledStatement()) {
+                statementPath = statementPath.parentPath;
+            }
+
+            // 循环节点替换后不会再被遍历, 先处理循环内部
+            path.traverse(visitorNormalize);
+
+            let expressions = init.expressions;
+            path.node.init = expressions[expressions.length - 1];
+            context.replaceWithStatements(statementPath, [
+                ...context.getNormalizedStatements(types.sequenceExpression(expressions.slice(0, -1))),
+                statementPath.node
+            ]);
+        }
+    };
+    let visitorBeautify = {
+        Identifier(path) {
+            let id = path.node;
+            // 更改变量名(在声明处), 名字来自用法/初值/所在位置
+            let binding = path.scope.getBinding(id.name);
+            if (binding && cache.isObfuscatedName(id.name, binding)) {
+                let sugVarName = binding && binding.identifier === id ? context.getSuggestedName(path, binding) : null;
+                if (sugVarName) {
+                    context.renameBinding(binding, sugVarName);
+                }
+            }
+
+            // 变量命名:
+            // var obj={
+            // name: _var1
+            // }
+            // ->
+            // var obj={
+            // name: _name
+            // }
+            if (path.parentPath.node.type === 'ObjectProperty'
+                && id === path.parentPath.node.key
+                && !id.name.startsWith('_')
+                && path.parentPath.node.value.type === 'Identifier'
+                && path.parentPath.node.value.name.startsWith('_')) {
+                //
+                let binding = path.scope.getBinding(path.parentPath.node.value.name);
+                if (binding) {
+                    context.renameBinding(binding, id.name);
+                }
+            }
+        },
+        MemberExpression(path) {
+            // 如果发现代理对象存在name属性则该变量名
+            // e.g. var proxyObj={name:'util',...} -> var util={name:'util'};
+            if (path.parentPath.node.type === 'AssignmentExpression'
+                && path.node.object
+                && path.node.object.type === 'Identifier'
+                && path.node.property.type === 'Identifier') {
+                //
+                let sugVarName = null;
+                if (path.node.property.name === 'name'
+                    && path.parentPath.node.right.type === 'StringLiteral') {
+                    sugVarName = path.parentPath.node.right.value;
+                } else if (path.node.property.name === 'define') {
+                    sugVarName = 'lib';
+                }
+
+                let binding = sugVarName ? path.scope.getBinding(path.node.object.name) : null;
+                if (binding) {
+                    context.renameBinding(binding, sugVarName);
+                }
+            }
+        }
+    };
+    let context = {
+        /**
+         * 重复执行 visitor 直到 AST 不再变化(或达到次数上限)
+         * e.g. 解密字符串 -> 代理对象调用 -> 'abc' === 'abd' -> 死代码 if
+         */
+        transformToFixpoint() {
+            let rounds = 0;
+            let converged = false;
+            let prevHash = utils.getAstHash(ast);
+            while (rounds < options.maxRounds) {
+                // 重新收集作用域, 否则上一轮替换后的引用计数不准确
+                let start = utils.now();
+                if (rounds > 0) {
+                    traverse.cache.clear();
+                }
+
+                traverse(ast, visitor);
+                rounds++;
+
+                let hash = utils.getAstHash(ast);
+                timings.rounds.push(utils.roundMs(utils.now() - start));
+                if (hash === prevHash) {
+                    converged = true;
+                    break;
+                }
+
+                prevHash = hash;
+            }
+
+            report.rounds = rounds;
+            report.converged = converged;
+        },
+        /**
+         * 拆分逗号变量声明
+         * NOTE: 放在 transform/cleanup 之后, 此前缓存的 NodePath 和绑定都指向合并的声明; 拆分后重新收集作用域
+         */
+        splitDeclarations() {
+            traverse.cache.clear();
+            traverse(ast, visitorSplitDeclarations);
+            traverse.cache.clear();
+        },
+        /**
+         * 作为语句的表达式转换为 if/else 和独立语句
+         * @param {Node} expression
+         * @returns {Statement[]}
+         */
+        getNormalizedStatements(expression) {
+            let toBlock = (node) => types.blockStatement(context.getNormalizedStatements(node));
+            switch (expression.type) {
+                case 'SequenceExpression':
+                    return [].concat(...expression.expressions.map(context.getNormalizedStatements));
+                case 'LogicalExpression':
+                    if (expression.operator === '??') {
+                        break
+                    }
+
+                    return [types.ifStatement(
+                        expression.operator === '&&' ? expression.left : utils.getNegatedNode(expression.left),
+                        toBlock(expression.right)
+                    )];
+                case 'ConditionalExpression': {
+                    // a ? b() : c ? d() : e() -> if/else if/else
+                    let alternate = context.getNormalizedStatements(expression.alternate);
+                    return [types.ifStatement(
+                        expression.test,
+                        toBlock(expression.consequent),
+                        alternate.length === 1 && alternate[0].type === 'IfStatement' ? alternate[0] : types.blockStatement(alternate)
+                    )];
+                }
+                default:
+                    break
+            }
+
+            return [types.expressionStatement(expression)];
+        },
+        /**
+         * 替换为多条语句, 不在语句列表中时(e.g. if (a) return b(), c;)包一层代码块
+         * @param {NodePath} path
+         * @param {Statement[]} statements
+         */
+        replaceWithStatements(path, statements) {
+            statements = utils.inheritLocation(statements, path.node);
+            if (path.inList) {
+                path.replaceWithMultiple(statements);
+            } else {
+                path.replaceWith(types.blockStatement(statements));
+            }
+        },
+        /**
+         * 移除不可达/未使用的代码, 直到没有可移除的为止
+         * e.g. 代理内联后不再被引用的辅助函数 -> 它引用的变量
+         */
+        eliminateDeadCode() {
+            let removed;
+            do {
+                // 每轮重新收集作用域, 上一轮移除后引用计数已变化
+                removed = report.deadCodeRemoved;
+                traverse.cache.clear();
+                traverse(ast, visitorDeadCode);
+            } while (report.deadCodeRemoved > removed);
+        },
+        /**
+         * 绑定是否可以移除: 只在自身声明内被引用, 没有重新赋值
+         * NOTE: script 的顶层绑定是全局变量, 可能被其他脚本使用
+         * @param {Binding} binding
+         * @returns {boolean}
+         */
+        isRemovableBinding(binding) {
+            return !utils.isExportedBinding(binding)
+                && binding.constantViolations.length === 0
+                && !context.isGlobalBinding(binding)
+                && context.isUnusedBinding(binding, binding.path);
+        },
+        /**
+         * script 的顶层变量(即全局变量, 其它脚本/window 可能访问)
+         * @param {Binding} binding
+         * @returns {boolean}
+         */
+        isGlobalBinding(binding) {
+            return binding.scope.path.isProgram() && ast.program.sourceType !== 'module';
+        },
+        addRemovedDeadCode() {
+            report.deadCodeRemoved++;
+        },
+        /**
+         * 捕获加密函数, 以及源码中已有的代理解密函数/别名(transform 中出现的之后再登记)
+         * NOTE: 拆分逗号表达式后引用路径已失效, 需重新收集作用域
+         */
+        detectEncrypt() {
+            traverse.cache.clear();
+            traverse(ast, visitorDetectEncrypt);
+            // 代理解密函数可能调用在它之后声明的代理解密函数
+            let size = 0;
+            while (cache.decoderNames.size > size) {
+                size = cache.decoderNames.size;
+                traverse(ast, visitorWrappers);
+            }
+        },
+        /**
+         * 记录 transform 之前的混淆特征, 供 detect 推断
+         * - stringArrays: 字符串数组的存储方式/乱序/编码/下标偏移
+         * - wrapperKinds/wrappersPerScope: detect 阶段登记的代理解密函数/别名
+         * - bindings: 变量名风格
+         * - guards: 保护代码类型, 字符串常量通过加密函数求值
+         * - flattenedSwitches/deadBranches/proxyObjects: 控制流平坦化和死代码注入的痕迹
+         * - strings/numberExpressions/emptyObjectAssignments: 字面量和对象的变换痕迹
+         */
+        collectFingerprint() {
+            let bundle = findBundle(ast);
+            let wrappers = report.decoders.filter(decoder => decoder.kind === 'wrapper' || decoder.kind === 'alias');
+            fingerprint = {
+                stringArrays: [],
+                wrapperKinds: [...new Set(wrappers.map(decoder => decoder.kind))],
+                // 同一函数/顶层中最多的代理解密函数个数
+                wrappersPerScope: Math.max(0, ...cache.wrapperCounts.values()),
+                bindings: {total: 0, hexadecimal: 0, mangled: 0},
+                guards: [],
+                flattenedSwitches: 0,
+                deadBranches: 0,
+                proxyObjects: 0,
+                strings: {total: 0, escaped: 0, concatenated: 0},
+                numberExpressions: 0,
+                emptyObjectAssignments: 0,
+                compact: sourceCode.length > 500 && sourceCode.split('\n').length < 5,
+                bundler: bundle ? bundle.type : null
+            };
+
+            for (let arrayName in cache.stringArrays) {
+                let stringArray = cache.stringArrays[arrayName];
+                let encodings = new Set();
+                let indexShift = false;
+                for (let decoderPath of stringArray.decoderPaths) {
+                    let code = generate(decoderPath.node).code;
+                    if (/%\s*(?:0x100|256)\b/.test(code)) {
+                        encodings.add('rc4');
+                    } else if (/[a-z]{26}[A-Z]{26}0123456789\+\/=|[A-Z]{26}[a-z]{26}0123456789\+\/=/.test(code)) {
+                        encodings.add('base64');
+                    } else {
+                        encodings.add('none');
+                    }
+
+                    // e.g. _0x27062a = _0x27062a - 0xa3
+                    let shift = /([\w$]+)\s*=\s*\1\s*-\s*(0x[\da-f]+|\d+)/i.exec(code);
+                    indexShift = indexShift || (!!shift && Number(shift[2]) !== 0);
+                }
+
+                fingerprint.stringArrays.push({
+                    storage: stringArray.path.node.type === 'FunctionDeclaration' ? 'function' : 'variable',
+                    rotated: stringArray.rotatePaths.length > 0,
+                    encodings: [...encodings],
+                    indexShift
+                });
+            }
+
+            // 解密函数和保护代码里的拼接不是 splitStrings 的痕迹
+            let excludedNodes = new Set([...Object.values(cache.corePaths), ...cache.coreRefPaths, ...cache.wrapperPaths]
+                .map(currentPath => currentPath.node));
+            let guardTypes = new Set();
+            traverse.cache.clear();
+            traverse(ast, {
+                CallExpression(path) {
+                    let node = path.node;
+                    // e.g. controller(this, function(){...})
+                    if (node.callee.type === 'Identifier'
+                        && node.arguments.length === 2
+                        && node.arguments[0].type === 'ThisExpression'
+                        && node.arguments[1].type === 'FunctionExpression') {
+                        //
+                        let guardType = context.getGuardType(path.get('arguments.1'));
+                        if (guardType) {
+                            guardTypes.add(guardType);
+                            excludedNodes.add(node);
+                        }
+                    }
+
+                    // e.g. function(){return true}.constructor('debu' + 'gger').call('action')
+                    if (node.callee.type === 'MemberExpression'
+                        && node.arguments.length === 1
+                        && context.getStringValue(path.get('arguments.0')) === 'debugger'
+                        && context.getPropertyName(path.get('callee')) === 'constructor') {
+                        //
+                        let functionPath = context.getDebuggerFunctionPath(path);
+                        guardTypes.add('debugProtection');
+                        if (functionPath) {
+                            excludedNodes.add(functionPath.node);
+                            // 调用 setInterval 的函数 e.g. (function(){ var that = Function('return (function() ' + '{}.constructor("return this")( )' + ');')(); that.setInterval(debuggerFunc, 4000); })();
+                            let binding = functionPath.node.id ? functionPath.parentPath.scope.getBinding(functionPath.node.id.name) : null;
+                            for (let refPath of binding ? binding.referencePaths : []) {
+                                let parentFunctionPath = refPath.listKey === 'arguments' ? refPath.getFunctionParent() : null;
+                                if (parentFunctionPath) {
+                                    excludedNodes.add(parentFunctionPath.node);
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+            fingerprint.guards = [...guardTypes];
+
+            let isNumberTree = (node) => node.type === 'NumericLiteral'
+                || (node.type === 'UnaryExpression' && node.operator === '-' && isNumberTree(node.argument))
+                || (node.type === 'BinaryExpression' && isNumberTree(node.left) && isNumberTree(node.right));
+            // 字符串片段或常量参数的解密调用
+            let isStringChunks = (node) => node.type === 'StringLiteral'
+                || (node.type === 'CallExpression'
+                    && node.callee.type === 'Identifier'
+                    && node.arguments.length > 0
+                    && node.arguments.every(arg => arg.type === 'NumericLiteral' || arg.type === 'StringLiteral'))
+                || (node.type === 'BinaryExpression' && node.operator === '+' && isStringChunks(node.left) && isStringChunks(node.right));
+            // 代理对象(及别名)的绑定
+            let proxyBindings = new Set();
+            // 死代码注入的条件: 两个字符串常量比较, 常量也可以是代理对象的成员
+            // e.g. 'abcde' === 'fghij' | proxyObj['abcde'](_0x1a2b('0x1'), proxyObj['fghij'])
+            let isStringOperand = (path) => context.getStringValue(path) !== null
+                || (path.isMemberExpression()
+                    && path.get('object').isIdentifier()
+                    && proxyBindings.has(path.scope.getBinding(path.node.object.name)));
+            let isStringComparison = (path) => {
+                let operandPaths = [];
+                if (path.isBinaryExpression() && ['===', '!=='].includes(path.node.operator)) {
+                    operandPaths = [path.get('left'), path.get('right')];
+                } else if (path.isCallExpression() && path.node.callee.type === 'MemberExpression' && path.node.arguments.length === 2) {
+                    operandPaths = path.get('arguments');
+                }
+
+                return operandPaths.length === 2 && operandPaths.every(isStringOperand);
+            };
+            // 代理对象: 5 个字母的随机 key, 值为字符串/数字或代理函数
+            // e.g. var _0x1 = {'rPPPt': function(a, b){return a + b;}, 'LaKiC': _0x1a2b(0x1fb)};
+            // e.g. var _0x1 = {}; _0x1[_0x1a2b(0x9b)] = function(a, b){return a + b;};
+            let getProxyEntries = (path) => {
+                let node = path.node;
+                if (node.init.properties.length > 0) {
+                    return path.get('init.properties').map(propertyPath => {
+                        let property = propertyPath.node;
+                        if (!propertyPath.isObjectProperty() || property.computed) {
+                            return [null, null];
+                        }
+
+                        return [property.key.type === 'Identifier' ? property.key.name : utils.getStringLiteralValue(property.key), propertyPath.get('value')];
+                    });
+                }
+
+                let isAssignment = (expressionPath) => expressionPath.isAssignmentExpression({operator: '='})
+                    && expressionPath.get('left').isMemberExpression()
+                    && expressionPath.get('left.object').isIdentifier({name: node.id.name});
+                let entries = [];
+                let siblingPaths = path.parentPath.inList ? path.parentPath.getAllNextSiblings() : [];
+                for (let siblingPath of siblingPaths) {
+                    let expressionPaths = siblingPath.isExpressionStatement() ? [siblingPath.get('expression')] : [];
+                    if (expressionPaths.length > 0 && expressionPaths[0].isSequenceExpression()) {
+                        expressionPaths = expressionPaths[0].get('expressions');
+                    }
+
+                    if (expressionPaths.length === 0 || !expressionPaths.every(isAssignment)) {
+                        break
+                    }
+
+                    entries.push(...expressionPaths.map(expressionPath => [context.getPropertyName(expressionPath.get('left')), expressionPath.get('right')]));
+                }
+
+                return entries;
+            };
+            let isProxyObject = (entries) => entries.length > 0
+                && entries.every(([key]) => typeof key === 'string' && /^[a-zA-Z]{5}$/.test(key))
+                && entries.some(([key]) => key !== key.toLowerCase())
+                && entries.every(([, valuePath]) => valuePath.isNumericLiteral()
+                    || context.isProxyFunction(valuePath.node)
+                    || context.getStringValue(valuePath) !== null);
+            // 除属性赋值外只被引用一次, 作为另一个变量的初值
+            let isTemporaryObject = (binding) => {
+                let valueRefPaths = binding ? binding.referencePaths.filter(refPath => !refPath.parentPath.isMemberExpression({object: refPath.node})) : [];
+                return valueRefPaths.length === 1
+                    && (valueRefPaths[0].parentPath.isVariableDeclarator({init: valueRefPaths[0].node})
+                        || valueRefPaths[0].parentPath.isAssignmentExpression({right: valueRefPaths[0].node}));
+            };
+            traverse.cache.clear();
+            traverse(ast, {
+                Scopable(path) {
+                    for (let name of Object.keys(path.scope.bindings)) {
+                        fingerprint.bindings.total++;
+                        if (utils.isHexVariableName(name)) {
+                            fingerprint.bindings.hexadecimal++;
+                        } else if (name.length <= 2) {
+                            fingerprint.bindings.mangled++;
+                        }
+                    }
+                },
+                StringLiteral(path) {
+                    fingerprint.strings.total++;
+                    if (path.node.extra && /\\x[\da-f]{2}|\\u[\da-f]{4}/i.test(path.node.extra.raw)) {
+                        fingerprint.strings.escaped++;
+                    }
+                },
+                BinaryExpression(path) {
+                    let node = path.node;
+                    // 'abc' + 'def' / _0x1a2b(0x1) + _0x1a2b(0x2)
+                    if (node.operator === '+'
+                        && !path.parentPath.isBinaryExpression({operator: '+'})
+                        && isStringChunks(node)
+                        && !path.findParent(itemPath => excludedNodes.has(itemPath.node))) {
+                        //
+                        fingerprint.strings.concatenated++;
+                    }
+
+                    // -0x1 * 0x1f0 + 0x2 * 0x7d + 0x1d6
+                    if (!path.parentPath.isBinaryExpression()
+                        && node.left.type === 'BinaryExpression'
+                        && isNumberTree(node)) {
+                        fingerprint.numberExpressions++;
+                        path.skip();
+                    }
+                },
+                SwitchStatement(path) {
+                    // e.g. while (!![]) { switch (order[index++]) {...} break; }
+                    let discriminant = path.node.discriminant;
+                    if (discriminant.type === 'MemberExpression'
+                        && discriminant.computed
+                        && discriminant.property.type === 'UpdateExpression'
+                        && discriminant.property.operator === '++'
+                        && path.parentPath.isBlockStatement()
+                        && path.parentPath.parentPath.isLoop()) {
+                        //
+                        fingerprint.flattenedSwitches++;
+                    }
+                },
+                'IfStatement|ConditionalExpression'(path) {
+                    if (isStringComparison(path.get('test'))) {
+                        fingerprint.deadBranches++;
+                    }
+                },
+                VariableDeclarator(path) {
+                    let node = path.node;
+                    if (node.id.type === 'Identifier'
+                        && node.init
+                        && node.init.type === 'ObjectExpression'
+                        && isProxyObject(getProxyEntries(path))) {
+                        //
+                        fingerprint.proxyObjects++;
+                        proxyBindings.add(path.scope.getBinding(node.id.name));
+                    } else if (node.id.type === 'Identifier'
+                        && node.init
+                        && node.init.type === 'Identifier'
+                        && proxyBindings.has(path.scope.getBinding(node.init.name))) {
+                        //
+                        proxyBindings.add(path.scope.getBinding(node.id.name));
+                    }
+
+                    // var _0x1a2b = {}; _0x1a2b['key'] = value; var obj = _0x1a2b;
+                    let nextPath = path.parentPath.inList ? path.parentPath.getSibling(path.parentPath.key + 1) : null;
+                    let expression = nextPath && nextPath.isExpressionStatement() ? nextPath.node.expression : null;
+                    if (node.id.type === 'Identifier'
+                        && node.init
+                        && node.init.type === 'ObjectExpression'
+                        && node.init.properties.length === 0
+                        && expression
+                        && expression.type === 'AssignmentExpression'
+                        && expression.left.type === 'MemberExpression'
+                        && expression.left.object.type === 'Identifier'
+                        && expression.left.object.name === node.id.name
+                        && isTemporaryObject(path.scope.getBinding(node.id.name))) {
+                        fingerprint.emptyObjectAssignments++;
+                    }
+                }
+            });
+        },
+        /**
+         * 在沙箱中调用加密函数, 参数都是常量时按参数缓存结果
+         * e.g. _0xabc('0x1f') 多次调用只执行一次
+         * @param {NodePath} path CallExpression
+         * @param {string} decoderName 沙箱中的名字
+         * @returns {*}
+         */
+        callDecoder(path, decoderName) {
+            let args = [];
+            for (let argPath of path.get('arguments')) {
+                let result = argPath.isSpreadElement() ? {confident: false} : context.evaluate(argPath);
+                let valueType = typeof result.value;
+                if (!result.confident || !(valueType === 'string' || valueType === 'number' || valueType === 'boolean')) {
+                    args = null;
+                    break
+                }
+
+                args.push(result.value);
+            }
+
+            // 非常量参数: 生成代码执行, 不缓存
+            if (!args) {
+                return sandbox.run(generate(types.callExpression(types.identifier(decoderName), path.node.arguments)).code);
+            }
+
+            // NaN/Infinity/-0 不能用 JSON 表示
+            let code = `${decoderName}(${args.map(value => typeof value === 'number' ? utils.getNumberCode(value) : JSON.stringify(value)).join(',')})`;
+            let cached = cache.decodedValues.get(code);
+            if (!cached) {
+                timings.decoderCache.misses++;
+                try {
+                    cached = {value: sandbox.run(code)};
+                } catch (e) {
+                    cached = {error: e};
+                }
+
+                cache.decodedValues.set(code, cached);
+            } else {
+                timings.decoderCache.hits++;
+            }
+
+            if (cached.error) {
+                throw new Error(`${cached.error.message} ${code}`);
+            }
+
+            return cached.value;
+        },
+        /**
+         * 记录警告(带源码位置), 只写入 report.warnings, 不输出到控制台
+         * @param {string} type evalReplaceFailed | decodeFailed | removeFailed
+         * @param {string} message
+         * @param {Node|null} node
+         */
+        warn(type, message, node) {
+            let start = node && node.loc ? node.loc.start : null;
+            let warning = {
+                type,
+                message,
+                line: start ? start.line : null,
+                column: start ? start.column : null
+            };
+            // transform 每一轮都会重复同样的警告
+            if (report.warnings.some(item => item.type === type && item.message === message
+                && item.line === warning.line && item.column === warning.column)) {
+                //
+                return;
+            }
+
+            report.warnings.push(warning);
+        },
+        /**
+         * @param {Identifier} id
+         * @param {string} kind decoder | wrapper | alias
+         * @param {Scope} [scope] wrapper | alias 声明所在的作用域
+         */
+        addReportedDecoder(id, kind, scope) {
+            report.decoders.push({name: id.name, kind, line: id.loc ? id.loc.start.line : null});
+            if (scope) {
+                let block = (scope.getFunctionParent() || scope.getProgramParent()).block;
+                cache.wrapperCounts.set(block, (cache.wrapperCounts.get(block) || 0) + 1);
+            }
+        },
+        /**
+         * @param {Identifier} id
+         */
+        addReportedProxyObject(id) {
+            report.proxyObjects.push({name: id.name, line: id.loc ? id.loc.start.line : null});
+        },
+        /**
+         * 重命名混淆的变量
+         */
+        beautify() {
+            cache.isObfuscatedName = context.createNameDetector(options.obfuscatedNames);
+            traverse(ast, visitorBeautify);
+        },
+        /**
+         * 导出重命名映射/应用手工重命名(在自动重命名和清理之后)
+         */
+        applyRenames() {
+            if (!cache.isObfuscatedName) {
+                cache.isObfuscatedName = context.createNameDetector(options.obfuscatedNames);
+            }
+
+            let entries = context.collectRenameEntries();
+            if (options.renameMap) {
+                context.applyRenameMap(entries, options.renameMap);
+            }
+
+            if (options.renames) {
+                renames = {
+                    names: entries.map(entry => {
+                        let functionScope = entry.binding.scope.getFunctionParent();
+                        let functionId = functionScope ? functionScope.block.id : null;
+                        return {
+                            key: entry.key,
+                            original: entry.original,
+                            name: entry.binding.identifier.name,
+                            kind: entry.binding.kind,
+                            scope: functionId ? functionId.name : null,
+                            line: entry.line
+                        };
+                    })
+                };
+            }
+        },
+        /**
+         * 收集混淆变量(及已重命名的变量)的稳定 key(按声明在源码中的顺序)
+         * - key: 声明语句(参数为所在函数)的结构指纹:声明序号, 结构相同的再加 #n
+         * @returns {{key: string, original: string, line: number|null, binding: Binding}[]}
+         */
+        collectRenameEntries() {
+            let entries = [];
+            let hashes = new WeakMap();
+            let keyCounts = {};
+            traverse.cache.clear();
+            traverse(ast, {
+                Identifier(path) {
+                    let binding = path.scope.getBinding(path.node.name);
+                    if (!binding || binding.identifier !== path.node) {
+                        return;
+                    }
+
+                    let original = cache.originalNames.get(path.node) || path.node.name;
+                    if (!cache.originalNames.has(path.node) && !cache.isObfuscatedName(original, binding)) {
+                        return;
+                    }
+
+                    // 范围越小, 其它地方的改动越不影响 key
+                    let ownerPath = binding.kind === 'param' ? binding.scope.path : binding.path.getStatementParent() || binding.path;
+
+                    if (!hashes.has(ownerPath.node)) {
+                        hashes.set(ownerPath.node, context.getStructureHash(ownerPath));
+                    }
+
+                    let structure = hashes.get(ownerPath.node);
+                    let key = `${structure.hash}:${structure.declarations.indexOf(path.node)}`;
+                    keyCounts[key] = (keyCounts[key] || 0) + 1;
+                    entries.push({
+                        key: keyCounts[key] > 1 ? `${key}#${keyCounts[key]}` : key,
+                        original,
+                        line: path.node.loc ? path.node.loc.start.line : null,
+                        binding
+                    });
+                }
+            });
+            return entries;
+        },
+        /**
+         * 结构指纹: 节点类型/字面量/全局变量名/属性名, 局部变量名不计入
+         * @param {NodePath} path
+         * @returns {{hash: string, declarations: Identifier[]}} declarations: 其中声明变量的标识符(遍历顺序)
+         */
+        getStructureHash(path) {
+            let hash = crypto.createHash('md5');
+            let declarations = [];
+            let ignoredKeys = ['type', 'start', 'end', 'loc', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments'];
+            let update = (itemPath) => {
+                let node = itemPath.node;
+                hash.update(`|${node.type}`);
+                if (node.type === 'Identifier' && (itemPath.isReferencedIdentifier() || itemPath.isBindingIdentifier())) {
+                    let binding = itemPath.scope.getBinding(node.name);
+                    if (binding) {
+                        if (binding.identifier === node) {
+                            declarations.push(node);
+                        }
+
+                        return;
+                    }
+                }
+
+                let visitorKeys = types.VISITOR_KEYS[node.type] || [];
+                for (let key in node) {
+                    let value = node[key];
+                    // 跳过 babel 内部字段 e.g. __clone
+                    if (ignoredKeys.indexOf(key) === -1 && visitorKeys.indexOf(key) === -1 && !key.startsWith('_')
+                        && (value === null || ['string', 'number', 'boolean'].includes(typeof value))) {
+                        //
+                        hash.update(`,${key}=${value}`);
+                    }
+                }
+            };
+
+            update(path);
+            path.traverse({
+                enter: update
+            });
+            return {hash: hash.digest('hex').substr(0, 16), declarations};
+        },
+        /**
+         * 按 key 应用手工重命名
+         * @param {{key: string, binding: Binding}[]} entries
+         * @param {Object|Object[]} renameMap 参见 DEFAULT_OPTIONS.renameMap
+         */
+        applyRenameMap(entries, renameMap) {
+            let bindings = {};
+            for (let entry of entries) {
+                bindings[entry.key] = entry.binding;
+            }
+
+            for (let item of Array.isArray(renameMap) ? renameMap : renameMap.names || []) {
+                let binding = utils.getMappedValue(bindings, [item.key]);
+                if (!binding) {
+                    context.warn('renameNotFound', `rename ${item.key} -> ${item.name}: declaration not found`, null);
+                    continue;
+                }
+
+                let oldName = binding.identifier.name;
+                if (item.name === oldName) {
+                    continue;
+                }
+
+                if (!types.isValidIdentifier(item.name) || !context.isNameAvailable(binding, item.name)) {
+                    context.warn('renameConflict', `rename ${oldName} -> ${item.name}: invalid or already used`, binding.identifier);
+                    continue;
+                }
+
+                context.rename(binding.scope, oldName, item.name);
+            }
+        },
+        /**
+         * @param {string|RegExp|function} strategy 参见 DEFAULT_OPTIONS.obfuscatedNames
+         * @returns {function(string, Binding): boolean}
+         */
+        createNameDetector(strategy) {
+            if (strategy instanceof RegExp) {
+                return (name) => {
+                    strategy.lastIndex = 0;
+                    return strategy.test(name);
+                };
+            }
+
+            if (typeof strategy === 'function') {
+                return strategy;
+            }
+
+            let stats = context.getBindingNameStats();
+            let isLocal = (binding) => !context.isGlobalBinding(binding);
+            let isMangled = (name, binding) => isLocal(binding) && name.length <= 3 && !name.startsWith('_') && !COMMON_SHORT_NAMES.has(name);
+            let isDictionary = (name, binding) => isLocal(binding)
+                && (stats.dictionaryNames.has(name.toLowerCase()) || stats.dictionaryScopes.has(binding.scope.block));
+            switch (strategy) {
+                case 'hexadecimal':
+                    return (name) => utils.isHexVariableName(name);
+                case 'mangled':
+                    return isMangled;
+                case 'dictionary':
+                    return isDictionary;
+                default:
+                    return (name, binding) => utils.isHexVariableName(name)
+                        || (stats.generator === 'mangled' && isMangled(name, binding))
+                        || (stats.generator === 'dictionary' && isDictionary(name, binding));
+            }
+        },
+        /**
+         * 统计局部变量名的分布(不含 _0x 名字)
+         * - 加密函数/字符串数组的名字一定是生成的, 有非 _0x 的名字时按它们判断: 短名字占多数时为 mangled, 否则为 dictionary
+         * - 否则只识别压缩代码: 短名字占多数, 种类少、在多个作用域中重复, 分布的熵明显低于正常代码
+         *   (正常代码中 options/value 等名字同样重复, 不能据此判断为 dictionary)
+         * - dictionaryNames: 生成的名字和在多个作用域中重复的名字
+         * - dictionaryScopes: 一半以上的名字在 dictionaryNames 中的作用域(其余名字也是生成的 e.g. 只用过一次的 foo)
+         * @returns {{generator: string|null, dictionaryNames: Set<string>, dictionaryScopes: Set<Node>}}
+         */
+        getBindingNameStats() {
+            let scopeCounts = new Map();
+            let scopeNames = new Map();
+            let seenScopes = new Set();
+            let total = 0;
+            let shortCount = 0;
+            traverse.cache.clear();
+            traverse(ast, {
+                Scopable(path) {
+                    let scope = path.scope;
+                    if (seenScopes.has(scope) || (scope.path.isProgram() && ast.program.sourceType !== 'module')) {
+                        return;
+                    }
+
+                    seenScopes.add(scope);
+                    let names = [];
+                    scopeNames.set(scope.block, names);
+                    for (let name of Object.keys(scope.bindings)) {
+                        if (utils.isHexVariableName(name) || name.startsWith('_')) {
+                            continue;
+                        }
+
+                        // 大小写变体算同一个名字 e.g. xyzzy | Xyzzy
+                        let key = name.toLowerCase();
+                        names.push(key);
+                        scopeCounts.set(key, (scopeCounts.get(key) || 0) + 1);
+                        total++;
+                        shortCount += name.length <= 2 ? 1 : 0;
+                    }
+                }
+            });
+
+            let generatedNames = [...Object.keys(cache.stringArrays), ...[...cache.decoderNames.keys()].map(id => id.name)]
+                .filter(name => !utils.isHexVariableName(name) && !name.startsWith('_'));
+            let generator = null;
+            if (generatedNames.length > 0) {
+                generator = generatedNames.filter(name => name.length <= 2).length / generatedNames.length >= 0.5 ? 'mangled' : 'dictionary';
+            } else if (total >= 8 && shortCount / total >= 0.5 && utils.getNormalizedEntropy([...scopeCounts.values()]) < 0.75) {
+                generator = 'mangled';
+            }
+
+            let dictionaryNames = new Set([
+                ...generatedNames.map(name => name.toLowerCase()),
+                ...[...scopeCounts.keys()].filter(key => scopeCounts.get(key) >= 2)
+            ]);
+            let dictionaryScopes = new Set();
+            for (let [block, names] of scopeNames) {
+                if (names.length > 0 && names.filter(name => dictionaryNames.has(name)).length * 2 >= names.length) {
+                    dictionaryScopes.add(block);
+                }
+            }
+
+            return {generator, dictionaryNames, dictionaryScopes};
+        },
+        /**
+         * 推断变量名
+         * - for 循环计数器 -> i | j | k
+         * - catch 参数 -> error
+         * - 解构 {name: _0x1} -> name
+         * - 回调参数 a.then(function (_0x1) {}) -> result
+         * - 初值 new Image() -> image | document.getElementById() -> element
+         * - 用法 _0x1.length -> list | JSON.parse(_0x1) -> jsonStr
+         * - 都推断不出 -> param | value
+         * @param {NodePath} path 声明处的 Identifier
+         * @param {Binding} binding
+         * @returns {string|null}
+         */
+        getSuggestedName(path, binding) {
+            // 函数/类声明, import, 函数表达式自身的名字不改
+            if (!(binding.kind === 'var' || binding.kind === 'let' || binding.kind === 'const' || binding.kind === 'param')
+                || binding.path.isClassDeclaration()
+                || utils.isExportedBinding(binding)) {
+                //
+                return null;
+            }
+
+            let loopCounterName = context.getLoopCounterName(binding);
+            if (loopCounterName) {
+                return loopCounterName;
+            }
+
+            if (path.parentPath.isCatchClause()) {
+                return 'error';
+            }
+
+            // {name: _0x1} | {name: _0x1 = 1}
+            let targetPath = path.parentPath.isAssignmentPattern({left: path.node}) ? path.parentPath : path;
+            if (targetPath.parentPath.isObjectProperty({value: targetPath.node})
+                && targetPath.parentPath.parentPath.isObjectPattern()) {
+                //
+                let key = targetPath.parentPath.node.key;
+                let keyName = targetPath.parentPath.node.computed ? null : key.type === 'Identifier' ? key.name : utils.getStringLiteralValue(key);
+                if (keyName && utils.isValidVariableName(keyName)) {
+                    return keyName;
+                }
+            }
+
+            let callbackParamName = binding.kind === 'param' ? context.getCallbackParamName(targetPath) : null;
+            if (callbackParamName) {
+                return callbackParamName;
+            }
+
+            // 具体的初值名字优先, 字面量类型(array/str/num...)次于用法
+            let init = binding.path.isVariableDeclarator({id: path.node}) ? binding.path.node.init : null;
+            let initName = init ? context.getInitName(init) : null;
+            let isLiteralInit = init && (init.type === 'ArrayExpression' || init.type === 'ObjectExpression');
+            if (initName && !isLiteralInit) {
+                return initName;
+            }
+
+            let usageName = context.getUsageName(binding);
+            if (usageName || initName) {
+                return usageName || initName;
+            }
+
+            if (targetPath.parentPath.isArrayPattern()) {
+                return 'item';
+            }
+
+            // 未知/计算得到的初值 e.g. const _0x22 = list[0]
+            return binding.kind === 'param' ? 'param' : 'value';
+        },
+        /**
+         * for 循环计数器按嵌套层数命名
+         * e.g. for (var _0x1 = 0; _0x1 < n; _0x1++) -> i
+         * @param {Binding} binding
+         * @returns {string|null}
+         */
+        getLoopCounterName(binding) {
+            let forPath = binding.path.isVariableDeclarator() ? binding.path.parentPath.parentPath : null;
+            if (!forPath
+                || !forPath.isForStatement()
+                || binding.path.parentPath.key !== 'init'
+                || !forPath.node.update
+                || !binding.constantViolations.some(itemPath => (itemPath.isUpdateExpression() || itemPath.isAssignmentExpression({operator: '+='}) || itemPath.isAssignmentExpression({operator: '-='}))
+                    && (itemPath.node === forPath.node.update || itemPath.parentPath.node === forPath.node.update))) {
+                //
+                return null;
+            }
+
+            // 同一函数内外层的 for 循环
+            let depth = 0;
+            forPath.findParent(parentPath => {
+                if (parentPath.isForStatement() && parentPath.node.update) {
+                    depth++;
+                }
+
+                return parentPath.isFunction();
+            });
+            return ['i', 'j', 'k'][depth] || 'index';
+        },
+        /**
+         * 回调函数的参数名
+         * e.g. list.forEach(function (_0x1, _0x2) {}) -> item, index
+         * @param {NodePath} path 参数
+         * @returns {string|null}
+         */
+        getCallbackParamName(path) {
+            let functionPath = path.parentPath;
+            if (!functionPath.isFunction()
+                || path.listKey !== 'params'
+                || functionPath.listKey !== 'arguments'
+                || !(functionPath.parentPath.isCallExpression() || functionPath.parentPath.isNewExpression())) {
+                //
+                return null;
+            }
+
+            let callbacks = utils.getMappedValue(USAGE_NAMES.callbacks, utils.getCalleeNames(functionPath.parentPath.node.callee));
+            let names = callbacks ? callbacks[functionPath.key] : null;
+            return names && names[path.key] || null;
+        },
+        /**
+         * 根据初值命名
+         * @param {Node} init
+         * @returns {string|null}
+         */
+        getInitName(init) {
+            switch (init.type) {
+                case 'ArrayExpression':
+                    return 'array';
+                case 'AwaitExpression':
+                    return init.argument ? context.getInitName(init.argument) : null;
+                case 'BinaryExpression':
+                    // 'a' + b -> str | a * 2 -> num
+                    if (init.operator === '+') {
+                        return [init.left, init.right].some(node => node.type === 'StringLiteral' || node.type === 'TemplateLiteral') ? 'str' : null;
+                    }
+
+                    return ['-', '*', '/', '%', '**', '|', '&', '^', '<<', '>>', '>>>'].includes(init.operator) ? 'num' : null;
+                case 'BooleanLiteral':
+                    return 'bool';
+                case 'CallExpression':
+                    switch (init.callee.type) {
+                        case 'Identifier':
+                            // _0x1a2b() / _func() 的名字没有意义
+                            if (init.callee.name.startsWith('_')) {
+                                return null;
+                            }
+
+                            return utils.getMappedValue(USAGE_NAMES.results, [init.callee.name])
+                                || utils.getInstantiatedName(init.callee.name);
+                        case 'FunctionExpression':
+                        case 'ArrowFunctionExpression':
+                            return 'funcValue';
+                        case 'MemberExpression':
+                            return utils.getMappedValue(USAGE_NAMES.results, utils.getCalleeNames(init.callee));
+                        default:
+                            return null;
+                    }
+                case 'ArrowFunctionExpression':
+                case 'FunctionExpression':
+                    return 'func';
+                case 'MemberExpression': {
+                    let propertyName = utils.getMemberPropertyName(init);
+                    return propertyName !== null && utils.isValidVariableName(propertyName) ? propertyName : null;
+                }
+                case 'NewExpression':
+                    // 首字母小写
+                    return init.callee.type === 'Identifier' ? utils.getInstantiatedName(init.callee.name) : null;
+                case 'NumericLiteral':
+                    return 'num';
+                case 'ObjectExpression':
+                    return 'obj';
+                case 'StringLiteral':
+                case 'TemplateLiteral':
+                    return 'str';
+                case 'ThisExpression':
+                    return 'self';
+                default:
+                    return null;
+            }
+        },
+        /**
+         * 根据引用处的用法命名(取最多的)
+         * @param {Binding} binding
+         * @returns {string|null}
+         */
+        getUsageName(binding) {
+            let counts = new Map();
+            for (let refPath of binding.referencePaths) {
+                let parentPath = refPath.parentPath;
+                let name = null;
+                if (parentPath.isMemberExpression({object: refPath.node})) {
+                    // _0x1[0] -> list
+                    let propertyName = utils.getMemberPropertyName(parentPath.node);
+                    name = parentPath.node.computed && parentPath.node.property.type === 'NumericLiteral'
+                        ? 'list'
+                        : propertyName !== null ? utils.getMappedValue(USAGE_NAMES.members, [propertyName]) : null;
+                } else if (parentPath.isCallExpression({callee: refPath.node})) {
+                    name = binding.kind === 'param' ? 'callback' : 'func';
+                } else if (parentPath.isCallExpression() && refPath.listKey === 'arguments') {
+                    name = utils.getMappedValue(USAGE_NAMES.arguments, utils.getCalleeNames(parentPath.node.callee));
+                }
+
+                if (name) {
+                    counts.set(name, (counts.get(name) || 0) + 1);
+                }
+            }
+
+            let usageName = null;
+            for (let [name, count] of counts) {
+                if (!usageName || count > counts.get(usageName)) {
+                    usageName = name;
+                }
+            }
+
+            return usageName;
+        },
+        /**
+         * 生成不冲突的名字: 引用处都看不到同名变量时即可使用, 不同函数中可以重复
+         * 优先使用原名, 冲突(或是保留字)时才加前缀/序号
+         * e.g. list -> list | _list | _list2
+         * @param {Binding} binding
+         * @param {string} name
+         * @returns {string}
+         */
+        generateName(binding, name) {
+            name = types.toIdentifier(name).replace(/^_+/, '').replace(/\d+$/, '') || 'temp';
+            for (let i = 0; ; i++) {
+                let newName = i === 0 ? name : i > 1 ? `_${name}${i}` : `_${name}`;
+                if (i === 0 && !types.isValidIdentifier(newName)) {
+                    continue;
+                }
+
+                if (newName === binding.identifier.name) {
+                    return newName;
+                }
+
+                if (context.isNameAvailable(binding, newName)) {
+                    return newName;
+                }
+            }
+        },
+        /**
+         * 声明和引用处都看不到同名变量
+         * @param {Binding} binding
+         * @param {string} name
+         * @returns {boolean}
+         */
+        isNameAvailable(binding, name) {
+            let paths = [binding.path, ...binding.referencePaths, ...binding.constantViolations];
+            return !binding.scope.hasGlobal(name)
+                && !binding.scope.hasLabel(name)
+                && paths.every(itemPath => !itemPath.scope.hasBinding(name));
+        },
+        /**
+         * @param {Binding} binding
+         * @param {string} name 建议的名字
+         */
+        renameBinding(binding, name) {
+            let newName = context.generateName(binding, name);
+            if (newName !== binding.identifier.name) {
+                context.rename(binding.scope, binding.identifier.name, newName);
+            }
+        },
+        /**
+         * 重命名并记录
+         * @param {Scope} scope
+         * @param {string} oldName
+         * @param {string} newName
+         */
+        rename(scope, oldName, newName) {
+            let binding = scope.getBinding(oldName);
+            let id = binding ? binding.identifier : null;
+            if (id && !cache.originalNames.has(id)) {
+                cache.originalNames.set(id, oldName);
+            }
+
+            report.renamed.push({from: oldName, to: newName, line: id && id.loc ? id.loc.start.line : null});
+            scope.rename(oldName, newName);
+        },
+        removePath(path) {
+            // node可能为空(则直接返回)
+            let outPath = path.find(itemPath => !itemPath.node
+                || (itemPath.node.type === 'VariableDeclaration'
+                    || itemPath.node.type === 'VariableDeclarator'
+                    || itemPath.node.type === 'ExpressionStatement'
+                    || itemPath.node.type === 'FunctionDeclaration'));
+            if (!outPath || outPath.removed || !outPath.node) {
+                return;
+            }
+
+            if (context.isAttached(outPath)) {
+                outPath.remove();
+            }
+        },
+        /**
+         * 节点是否仍在 AST 中
+         * 可能已被后续遍历(另一个 NodePath)移除, 此时它或某个祖先已不在父节点的容器中
+         * @param {NodePath} path
+         * @returns {boolean}
+         */
+        isAttached(path) {
+            let currentPath = path;
+            while (currentPath.parentPath) {
+                let container = currentPath.container;
+                let isContained = Array.isArray(container)
+                    ? container.indexOf(currentPath.node) > -1
+                    : container && container[currentPath.key] === currentPath.node;
+                if (!isContained) {
+                    return false;
+                }
+
+                currentPath = currentPath.parentPath;
+            }
+
+            return currentPath.node === ast.program || currentPath.node === ast;
+        },
+        /**
+         * 声明的变量是否仍在 declaratorPaths 之外被引用(重新收集作用域)
+         * @param {NodePath} path VariableDeclarator | FunctionDeclaration
+         * @param {NodePath[]} declaratorPaths
+         * @returns {boolean}
+         */
+        hasOuterReferences(path, declaratorPaths) {
+            // 函数声明的 path.scope 是函数自身的作用域
+            let scope = path.isFunctionDeclaration() ? path.parentPath.scope : path.scope;
+            scope.crawl();
+            let binding = scope.getBinding(path.node.id.name);
+            if (!binding) {
+                return true;
+            }
+
+            return binding.referencePaths.some(refPath => !refPath.findParent(itemPath => declaratorPaths
+                .some(declaratorPath => declaratorPath.node === itemPath.node)));
+        },
+        cleanup() {
+            // 字符串数组/加密函数/代理解密函数: 还有未解密的调用(e.g. 沙箱执行失败)时全部保留
+            let decoderPaths = [...Object.values(cache.corePaths), ...cache.coreRefPaths, ...cache.wrapperPaths]
+                .filter(currentPath => context.isAttached(currentPath));
+            let declaratorPaths = decoderPaths
+                .map(currentPath => currentPath.isVariableDeclaration() ? currentPath.get('declarations.0') : currentPath)
+                .filter(currentPath => currentPath.node.id && currentPath.node.id.type === 'Identifier');
+            if (declaratorPaths.every(currentPath => !context.hasOuterReferences(currentPath, decoderPaths))) {
+                decoderPaths.forEach(context.removePath);
+            }
+
+            // 代理对象及其别名: 引用全部内联后才移除
+            for (let proxyObject of new Set(cache.proxyObjects.values())) {
+                if (cache.proxyObjects.get(proxyObject.id) !== proxyObject) {
+                    continue;
+                }
+
+                context.addReportedProxyObject(proxyObject.id);
+                let declaratorPaths = [proxyObject.path.parentPath, ...proxyObject.aliasPaths]
+                    .filter(currentPath => context.isAttached(currentPath));
+                if (declaratorPaths.every(currentPath => !context.hasOuterReferences(currentPath, declaratorPaths))) {
+                    declaratorPaths.forEach(context.removePath);
+                }
+            }
+        },
+        /**
+         * 发现是否加密函数
+         * @param {NodePath} path FunctionDeclaration | FunctionExpression
+         */
+        isEncryptFunction(path) {
+            let id;
+            let params;
+            let body;
+            switch (path.node.type) {
+                case 'FunctionDeclaration':
+                    id = path.node.id;
+                    params = path.node.params;
+                    body = path.node.body;
+                    break
+                case 'FunctionExpression':
+                    if (path.parentPath.node.type !== 'VariableDeclarator') {
+                        return false;
+                    }
+
+                    id = path.parentPath.node.id;
+                    params = path.node.params;
+                    body = path.node.body;
+                    break
+                default:
+                    return false;
+            }
+
+            if (params.length !== 2) {
+                return false;
+            }
+
+            let destNode;
+
+            // level low
+            if (body.type === 'BlockStatement'
+                && body.body.length === 1
+                && body.body[0].type === 'ReturnStatement'
+                && (destNode = body.body[0].argument)
+                && destNode.type === 'SequenceExpression'
+                && destNode.expressions.length === 2
+                && destNode.expressions[0].type === 'AssignmentExpression'
+                && destNode.expressions[1].type === 'CallExpression'
+                && destNode.expressions[0].left.type === 'Identifier'
+                && destNode.expressions[1].callee.type === 'Identifier'
+                && destNode.expressions[0].left.name === destNode.expressions[1].callee.name) {
+                //
+                return true;
+            }
+
+            // level low+
+            // ...
+
+            return false;
+        },
+        /**
+         * 是否字符串数组
+         * - var arr=['a','b'];
+         * - function arr(){var a=['a','b'];arr=function(){return a;};return arr();} 自替换函数
+         * @param {NodePath} path VariableDeclarator | FunctionDeclaration
+         * @returns {boolean}
+         */
+        isStringArrayPath(path) {
+            let node = path.node;
+            if (node.type === 'VariableDeclarator') {
+                return node.id.type === 'Identifier'
+                    && utils.isStringArrayExpression(node.init);
+            }
+
+            if (node.type !== 'FunctionDeclaration'
+                || !node.id
+                || node.params.length !== 0
+                || !node.body.body.some(statement => statement.type === 'VariableDeclaration'
+                    && statement.declarations.length === 1
+                    && utils.isStringArrayExpression(statement.declarations[0].init))) {
+                //
+                return false;
+            }
 
-                        if (!(propertyNameLength === 2 || propertyNameLength === 5) || propertyNameLength !== cacheObj.prevKeyLength) {
-                            delete cache.doubtedProxyPathInfos[objectName];
-                        } else {
-                            // 转换为ObjectProperty
-                            if (utils.findProperty(cacheObj.properties, propertyName) === null) {
-                                let newNode = types.objectProperty(types.stringLiteral(propertyName), path.node.right, true);
-                                cacheObj.properties.push(newNode);
-                                cacheObj.originPaths.push(path);
-                            }
-                        }
+            // 自身被重新赋值
+            let isReassigned = false;
+            path.traverse({
+                AssignmentExpression(itemPath) {
+                    if (itemPath.node.left.type === 'Identifier' && itemPath.node.left.name === node.id.name) {
+                        isReassigned = true;
+                        itemPath.stop();
                     }
                 }
-            }
+            });
+
+            return isReassigned;
         },
-        BinaryExpression: {
-            exit(path) {
-                let node = path.node;
-                switch (node.operator) {
-                    case '+':
-                    case '-':
-                    case '*':
-                    case '/':
-                    case '===':
-                    case '!==':
-                        // 相同类型的相加减乘除:
-                        // - 'hello' + ' world '+ 2021 + true -> 'hello world 2021true'
-                        // - 123 + 456 -> 579
-                        // - -1059744 + 5959 * -94 + 21176 * 107 -> 645942
-                        // - "str" === "stfrr" -> true
-                        // - "str" !== "str" -> false
-                        if (node.left.type.endsWith('Literal')
-                            && node.left.type === node.right.type) {
-                            //
-                            let code = generate(node).code;
-                            let retVal = global.eval(code);
+        /**
+         * 是否字符串数组的乱序立即函数
+         * e.g. (function(array,count){while(!![]){...array['push'](array['shift']())}})(arr,0x123);
+         * @param {NodePath} path
+         * @param {string} arrayName
+         * @returns {boolean}
+         */
+        isRotateStatement(path, arrayName) {
+            let node = path.node;
+            return node.type === 'ExpressionStatement'
+                && node.expression.type === 'CallExpression'
+                && node.expression.callee.type === 'FunctionExpression'
+                && node.expression.arguments.some(argument => argument.type === 'Identifier' && argument.name === arrayName);
+        },
+        /**
+         * 获取声明加密函数的 Identifier
+         * @param {NodePath} path FunctionDeclaration | VariableDeclaration
+         * @returns {Identifier|null}
+         */
+        getEncryptFunctionId(path) {
+            let node = path.node;
+            if (node.type === 'FunctionDeclaration') {
+                return node.id && node.params.length === 2 ? node.id : null;
+            }
 
-                            path.replaceInline(utils.getLiteralNode(retVal));
-                        } else {
-                            let code;
-                            if ((node.left.type === 'UnaryExpression'
-                                && node.left.operator === '-'
-                                && node.left.argument.type === 'NumericLiteral')
-                                || node.left.type === 'NumericLiteral') {
-                                //
-                                code = generate(node.left).code;
-                                if ((node.right.type === 'UnaryExpression'
-                                    && node.right.operator === '-'
-                                    && node.right.argument.type === 'NumericLiteral')
-                                    || node.right.type === 'NumericLiteral') {
-                                    //
-                                    code = `${code} ${node.operator} ${generate(node.right).code}`;
-                                    let retVal = global.eval(code);
-                                    path.replaceInline(utils.getLiteralNode(retVal));
-                                }
-                            }
-                        }
-                        break
-                    default:
-                        break;
-                }
+            if (node.type === 'VariableDeclaration'
+                && node.declarations.length === 1
+                && node.declarations[0].id.type === 'Identifier'
+                && node.declarations[0].init
+                && node.declarations[0].init.type === 'FunctionExpression'
+                && node.declarations[0].init.params.length === 2) {
+                //
+                return node.declarations[0].id;
             }
+
+            return null;
         },
-        CallExpression: {
-            exit(path) {
-                // e.g. eval()
-                let node = path.node;
-                if (node.callee.type === 'Identifier'
-                    && node.callee.name === 'eval') {
-                    //
-                    let gr = generate(node);
-                    let currentJsCode = gr.code.replace(/eval/, '');
-                    try {
-                        path.replaceInline(currentJsCode);
-                    } catch (e) {
-                        console.warn('replace eval() fail: ' + path);
-                    }
+        /**
+         * 获取调用名对应的沙箱加密函数名(通过作用域绑定, 支持同名/遮蔽)
+         * @param {NodePath} path 调用所在路径
+         * @param {string} name
+         * @returns {string|null}
+         */
+        getDecoderName(path, name) {
+            let binding = path.scope.getBinding(name);
+            return (binding && cache.decoderNames.get(binding.identifier)) || null;
+        },
+        /**
+         * 移除运行时保护代码, 并记录到 report.guards
+         * - selfDefending: 函数 toString 正则检查
+         * - debugProtection: debugger 构造循环及其初始化调用
+         * - debugProtectionInterval: setInterval 重复调用反调试函数
+         * - disableConsoleOutput: 覆盖 console 方法
+         * - domainLock: 域名检查
+         */
+        removeGuards() {
+            let removed = [];
+            let addRemoved = (type, node) => removed.push({type, line: node.loc ? node.loc.start.line : null});
+            let controllerBindings = new Set();
 
-                    return;
+            traverse.cache.clear();
+            traverse(ast, visitorGuards);
+
+            for (let {type, path} of cache.guardPaths) {
+                if (!context.isAttached(path)) {
+                    continue;
                 }
 
-                // - proxyObj['add'](1,2) | proxyObj.add(1,2) -> 3
-                // - proxyObj['add'](arg,2) -> arg + 2
-                // - proxyObj['typeof'](arg,'string') -> typeof arg === 'string'
-                // - proxyObj.dec(arg,2) -> arg - 2
-                node = path.node;
-                if (node.callee.type === 'MemberExpression'
-                    && node.callee.object.type === 'Identifier'
-                    && (node.callee.property.type === 'StringLiteral'
-                        || node.callee.property.type === 'Identifier')) {
-                    //
-                    if (cache.getValidProxyPath(node.callee.object.name)) {
-                        let propertyName = utils.getStringLiteralValue(node.callee.property);
-                        let proxyProperty = cache.getValidProxyPathProperty(node.callee.object.name, propertyName);
-                        if (proxyProperty) {
-                            let newNode = context.getReplacedCallObjectPropertyNode(proxyProperty, node.arguments);
-                            if (newNode) {
-                                path.replaceInline(newNode);
-                            }
+                let controllerBinding = path.scope.getBinding(path.node.callee.name);
+                if (controllerBinding) {
+                    controllerBindings.add(controllerBinding);
+                }
+
+                if (path.parentPath.isVariableDeclarator()
+                    && path.parentPath.node.init === path.node
+                    && path.parentPath.node.id.type === 'Identifier') {
+                    // var guard = controller(this, function(){...}); guard();
+                    let binding = path.scope.getBinding(path.parentPath.node.id.name);
+                    for (let refPath of binding.referencePaths) {
+                        if (refPath.parentPath.isCallExpression()
+                            && refPath.parentPath.node.callee === refPath.node
+                            && refPath.parentPath.parentPath.isExpressionStatement()) {
+                            //
+                            context.removeGuardStatement(refPath.parentPath.parentPath);
                         }
                     }
+
+                    if (context.isUnusedBinding(binding, path.parentPath)) {
+                        addRemoved(type, path.node);
+                        path.parentPath.remove();
+                    }
+                } else if (path.parentPath.isCallExpression()
+                    && path.parentPath.node.callee === path.node
+                    && path.parentPath.parentPath.isExpressionStatement()) {
+                    // controller(this, function(){...})();
+                    addRemoved(type, path.node);
+                    context.removeGuardStatement(path.parentPath.parentPath);
                 }
+            }
 
-                // 解密加密函数; 排除代理解密函数特征
-                // e.g. core(1,2)
-                node = path.node;
-                if (node.callee.type === 'Identifier'
-                    && node.callee.name in cache.corePaths
-                    && node.callee.name in global
-                    && !(path.parentPath.node.type === 'ReturnStatement'
-                        && path.parentPath.parentPath.node.type === 'BlockStatement'
-                        && path.parentPath.parentPath.node.body.length === 1)) {
-                    //
-                    let gr = generate(node);
-                    try {
-                        let retVal = global.eval(gr.code);
-                        let literalNode = utils.getLiteralNode(retVal);
-                        if (literalNode) {
-                            path.replaceInline(literalNode);
-                        }
-                    } catch (e) {
-                        console.warn(`Decode function error: ${e} ${gr.code}`);
+            for (let functionPath of cache.debuggerPaths) {
+                if (!context.isAttached(functionPath) || !functionPath.node.id) {
+                    continue;
+                }
+
+                // setInterval(debuggerFunc, 4000) | setInterval(function(){debuggerFunc()}, 4000)
+                let binding = functionPath.parentPath.scope.getBinding(functionPath.node.id.name);
+                for (let refPath of binding.referencePaths) {
+                    let callPath = context.isAttached(refPath) && refPath.findParent(itemPath => itemPath.isCallExpression()
+                        && ((itemPath.node.callee.type === 'Identifier' && itemPath.node.callee.name === 'setInterval')
+                            || (itemPath.node.callee.type === 'MemberExpression'
+                                && !itemPath.node.callee.computed
+                                && itemPath.node.callee.property.name === 'setInterval')));
+                    if (callPath && callPath.parentPath.isExpressionStatement()) {
+                        addRemoved('debugProtectionInterval', callPath.node);
+                        context.removeGuardStatement(callPath.parentPath);
                     }
                 }
 
-                // - function(a,b){return a(b)}(navigator,'userAgent') -> navigator['userAgent'] 注意: 这是自身替换后生成的错误语法
-                node = path.node;
-                if (node.callee
-                    && node.callee.type === 'FunctionExpression'
-                    && node.callee.body.type === 'BlockStatement'
-                    && node.callee.body.body.length === 1
-                    && node.callee.body.body[0].type === 'ReturnStatement') {
+                if (context.isUnusedBinding(binding, functionPath)) {
+                    addRemoved('debugProtection', functionPath.node);
+                    functionPath.remove();
+                }
+            }
+
+            // 不再使用的 controller
+            for (let binding of controllerBindings) {
+                if (context.isAttached(binding.path)
+                    && binding.path.isVariableDeclarator()
+                    && context.isUnusedBinding(binding, binding.path)) {
                     //
-                    let newNode = context.getFunctionExpressionCallNode(node.callee, node.arguments);
-                    if (newNode) {
-                        path.replaceInline(newNode);
-                    }
+                    binding.path.remove();
                 }
             }
+
+            report.guards = removed;
         },
-        ConditionalExpression: {
-            exit(path) {
-                // 移除死代码
-                // e.g. true?console.log('Action...'):console.log('No action');
-                let node = path.node;
-                if (node.test.type === 'BooleanLiteral') {
-                    let newNode = node.test.value ? node.consequent : node.alternate;
-                    path.parentPath.replaceWith(newNode);
+        /**
+         * 获取保护代码类型
+         * @param {NodePath} functionPath controller(this, function(){...}) 的回调
+         * @returns {string|null}
+         */
+        getGuardType(functionPath) {
+            let guardType = null;
+            functionPath.traverse({
+                'StringLiteral|BinaryExpression|CallExpression'(itemPath) {
+                    let parentPath = itemPath.parentPath;
+                    switch (context.getStringValue(itemPath)) {
+                        case '(((.+)+)+)+$':
+                        case '^([^ ]+( +[^ ]+)+)+[^ ]}':
+                            guardType = 'selfDefending';
+                            break
+                        case 'function *\\( *\\)':
+                            guardType = 'debugProtection';
+                            break
+                        case 'exception':
+                            // ['log', 'warn', 'info', 'error', 'exception', 'table', 'trace']
+                            if (parentPath.isArrayExpression()) {
+                                guardType = 'disableConsoleOutput';
+                            }
+
+                            break
+                        case ';':
+                            // domains.replace(regExp, '').split(';')
+                            if (parentPath.isCallExpression()
+                                && parentPath.node.callee.type === 'MemberExpression'
+                                && context.getPropertyName(parentPath.get('callee')) === 'split'
+                                && parentPath.node.callee.object.type === 'CallExpression'
+                                && parentPath.node.callee.object.callee.type === 'MemberExpression'
+                                && context.getPropertyName(parentPath.get('callee.object.callee')) === 'replace') {
+                                //
+                                guardType = 'domainLock';
+                            }
+
+                            break
+                        default:
+                            break
+                    }
+
+                    if (guardType) {
+                        itemPath.stop();
+                    }
                 }
+            });
+
+            return guardType;
+        },
+        /**
+         * 字符串常量的值: 字面量, 拼接, 常量参数的解密调用
+         * transform 之前保护代码里的字符串还在字符串数组中
+         * @param {NodePath} path
+         * @returns {string|null}
+         */
+        getStringValue(path) {
+            if (path.isStringLiteral()) {
+                return path.node.value;
+            }
+
+            if (path.isBinaryExpression({operator: '+'})) {
+                let left = context.getStringValue(path.get('left'));
+                let right = left === null ? null : context.getStringValue(path.get('right'));
+                return right === null ? null : left + right;
+            }
+
+            let decoderName = path.isCallExpression() && path.node.callee.type === 'Identifier'
+                ? context.getDecoderName(path, path.node.callee.name)
+                : null;
+            if (!decoderName || !path.get('arguments').every(argPath => !argPath.isSpreadElement() && context.evaluate(argPath).confident)) {
+                return null;
+            }
+
+            try {
+                let value = context.callDecoder(path, decoderName);
+                return typeof value === 'string' ? value : null;
+            } catch (e) {
+                return null;
             }
         },
-        FunctionDeclaration: {
-            exit(path) {
-                // 代理解密函数
-                // e.g. function proxyCore(a,b,c,d,e){return core(a-123,b);}
-                let node = path.node;
-                let destNode;
-                if (node.body.type === 'BlockStatement'
-                    && node.body.body.length === 1
-                    && (destNode = node.body.body[0])
-                    && destNode.type === 'ReturnStatement'
-                    && destNode.argument.type === 'CallExpression'
-                    && destNode.argument.callee
-                    && destNode.argument.callee.name in global) {
+        /**
+         * 成员属性名, 计算属性按 getStringValue 求值 e.g. obj[_0x1a2b('0x1')]
+         * @param {NodePath} path MemberExpression
+         * @returns {string|null}
+         */
+        getPropertyName(path) {
+            let node = path.node;
+            if (!node.computed) {
+                return node.property.type === 'Identifier' ? node.property.name : null;
+            }
+
+            return context.getStringValue(path.get('property'));
+        },
+        /**
+         * 获取反调试函数声明
+         * function debuggerFunc(ret){ function loop(counter){...}; try{...}catch(e){} }
+         * @param {NodePath} path 'debugger'
+         * @returns {NodePath|null}
+         */
+        getDebuggerFunctionPath(path) {
+            let functionPath = path.findParent(itemPath => itemPath.isFunctionDeclaration());
+            if (!functionPath) {
+                return null;
+            }
+
+            let outerPath = functionPath.parentPath.parentPath;
+            return functionPath.parentPath.isBlockStatement() && outerPath.isFunctionDeclaration()
+                ? outerPath
+                : functionPath;
+        },
+        /**
+         * 移除保护代码语句; 若所在 IIFE 只剩变量声明/取全局对象的 try 则整体移除
+         * e.g. (function(){ var that = getGlobal(); that.setInterval(debuggerFunc, 4000); })();
+         * e.g. (function(){ var that; try { that = Function('return this')(); } catch (e) { that = window; } that.setInterval(...); })();
+         * @param {NodePath} statementPath
+         */
+        removeGuardStatement(statementPath) {
+            let isDeclaration = (node) => node.type === 'VariableDeclaration'
+                || (node.type === 'ExpressionStatement'
+                    && node.expression.type === 'AssignmentExpression'
+                    && node.expression.left.type === 'Identifier');
+            let isSetup = (node) => node.type === 'VariableDeclaration'
+                || (node.type === 'TryStatement'
+                    && node.handler
+                    && !node.finalizer
+                    && node.block.body.every(isDeclaration)
+                    && node.handler.body.body.every(isDeclaration));
+            let targetPath = statementPath;
+            while (true) {
+                let blockPath = targetPath.parentPath;
+                let functionPath = blockPath.parentPath;
+                let callPath = functionPath && functionPath.parentPath;
+                if (!(blockPath.isBlockStatement()
+                    && functionPath.isFunctionExpression()
+                    && callPath.isCallExpression()
+                    && callPath.node.callee === functionPath.node
+                    && callPath.parentPath.isExpressionStatement()
+                    && blockPath.node.body.every(node => node === targetPath.node || isSetup(node)))) {
                     //
-                    let gr = generate(node);
-                    global.eval(gr.code);
-                    cache.corePaths[node.id.name] = path;
-                    path.skip();
+                    break
                 }
+
+                targetPath = callPath.parentPath;
+            }
+
+            if (context.isAttached(targetPath)) {
+                targetPath.remove();
             }
         },
-        FunctionExpression: {
-            exit(path) {
-                // 代理解密函数
-                // e.g. let proxyCore=function(a,b,c,d,e){return core(a-123,b);}
-                let node = path.node;
-                let destNode;
-                if (path.parentPath.type === 'VariableDeclarator'
-                    && node.body.type === 'BlockStatement'
-                    && node.body.body.length === 1
-                    && (destNode = node.body.body[0])
-                    && destNode.type === 'ReturnStatement'
-                    && destNode.argument.type === 'CallExpression'
-                    && destNode.argument.callee
-                    && destNode.argument.callee.name in global) {
-                    //
-                    let gr = generate(path.parentPath.node);
-                    global.eval(gr.code);
-                    cache.corePaths[path.parentPath.node.id.name] = path;
-                    path.skip();
+        /**
+         * 绑定是否只在自身声明内被引用(其他引用已移除)
+         * @param {Binding} binding
+         * @param {NodePath} declarationPath
+         * @returns {boolean}
+         */
+        isUnusedBinding(binding, declarationPath) {
+            return binding.referencePaths.every(refPath => !context.isAttached(refPath)
+                || refPath.findParent(itemPath => itemPath.node === declarationPath.node));
+        },
+        /**
+         * eval 的代码能否直接展开到调用处
+         * - 调用处和代码本身都不是严格模式
+         * - 代码顶层没有 let/const/class
+         * - 声明的 var/function 不与外层的 let/const/class/import 重名
+         * @param {NodePath} path eval(...) 调用
+         * @param {File} file 解析后的 eval 代码
+         * @returns {boolean}
+         */
+        canInlineEval(path, file) {
+            if (path.isInStrictMode()
+                || file.program.directives.some(directive => directive.value.value === 'use strict')) {
+                //
+                return false;
+            }
+
+            let bindings = {};
+            traverse(file, {
+                Program(programPath) {
+                    bindings = programPath.scope.bindings;
+                    programPath.stop();
                 }
+            });
+            return Object.keys(bindings).every(name => {
+                if (!['var', 'hoisted'].includes(bindings[name].kind)) {
+                    return false;
+                }
+
+                let binding = path.scope.getBinding(name);
+                return !binding || ['var', 'hoisted', 'param'].includes(binding.kind);
+            });
+        },
+        /**
+         * 折叠纯表达式为字面量
+         * - 'a' + 1 -> 'a1'
+         * - const k = 5; k * 2 -> 10
+         * - 'a,b'.split(',')[1] -> 'b'
+         * - String.fromCharCode(97) -> 'a'
+         * @param {NodePath} path
+         * @returns {boolean}
+         */
+        foldConstant(path) {
+            let parentNode = path.parentPath.node;
+            // 赋值目标 / delete 操作数不处理
+            if (!transforms.foldConstants
+                || utils.isFoldedNode(path.node)
+                || (parentNode.type === 'AssignmentExpression' && parentNode.left === path.node)
+                || (parentNode.type === 'UpdateExpression')
+                || (parentNode.type === 'UnaryExpression' && parentNode.operator === 'delete')) {
+                //
+                return false;
             }
+
+            let result = context.evaluate(path);
+            let newNode = result.confident ? utils.getLiteralNode(result.value) : null;
+            if (!newNode) {
+                return false;
+            }
+
+            path.replaceInline(utils.inheritLocation(newNode, path.node));
+            report.constantsFolded++;
+            return true;
         },
-        IfStatement: {
-            exit(path) {
-                // 移除死代码
-                // if(false){
-                //  // 这里永远不会执行
-                // }
-                let node = path.node;
-                if (node.test.type === 'BooleanLiteral') {
-                    let newNode = node.test.value === true ? node.consequent : node.alternate;
-                    if (newNode) {
-                        // else if(xxx)
-                        if (newNode.type === 'IfStatement') {
-                            path.replaceInline(newNode);
-                        } else {
-                            // 带花括号的语句(body属性)和不带花括号的
-                            path.replaceInline(newNode.body ? newNode.body : newNode);
+        /**
+         * 求值纯表达式(基于作用域传播常量, 不生成代码也不使用 eval)
+         * @param {NodePath} path
+         * @returns {{confident: boolean, value: *}}
+         */
+        evaluate(path) {
+            let value;
+            try {
+                value = context.evaluatePath(path, new Set());
+            } catch (e) {
+                // e.g. decodeURIComponent('%')
+                value = NOT_CONSTANT;
+            }
+
+            return value === NOT_CONSTANT
+                ? {confident: false, value: undefined}
+                : {confident: true, value};
+        },
+        /**
+         * @param {NodePath} path
+         * @param {Set<Binding>} seenBindings 防止循环引用
+         * @returns {*} 无法求值时返回 NOT_CONSTANT
+         */
+        evaluatePath(path, seenBindings) {
+            let node = path.node;
+            switch (node.type) {
+                case 'StringLiteral':
+                case 'NumericLiteral':
+                case 'BooleanLiteral':
+                    return node.value;
+                case 'NullLiteral':
+                    return null;
+                case 'Identifier':
+                    return context.evaluateIdentifier(path, seenBindings);
+                case 'TemplateLiteral': {
+                    // 非法转义时 cooked 为 null(仅标签模板允许)
+                    if (node.quasis.some(quasi => typeof quasi.value.cooked !== 'string')) {
+                        return NOT_CONSTANT;
+                    }
+
+                    let value = node.quasis[0].value.cooked;
+                    for (let i = 0; i < node.expressions.length; i++) {
+                        let itemValue = context.evaluatePath(path.get(`expressions.${i}`), seenBindings);
+                        if (itemValue === NOT_CONSTANT || (itemValue !== null && typeof itemValue === 'object')) {
+                            return NOT_CONSTANT;
                         }
-                    } else {
-                        path.remove();
+
+                        value += String(itemValue) + node.quasis[i + 1].value.cooked;
                     }
+
+                    return value;
                 }
-            }
-        },
-        MemberExpression: {
-            exit(path) {
-                // 代理对象的属性读取(但不是赋值, 被赋值)
-                // - proxyObj.abcde -> 123
-                // - proxyObj['12345'] -> 456
-                // - this.name = proxyObj.abcde -> this.name = 123
-                if (!(path.parentPath.node.type === 'AssignmentExpression'
-                    && path.parentPath.node.left === path.node)
-                    && path.node.object.type === 'Identifier'
-                    && (path.node.property.type === 'Identifier'
-                        || path.node.property.type === 'StringLiteral')
-                    && utils.isValidVariableName(path.node.object.name)) {
-                    //
-                    if (cache.getValidProxyPath(path.node.object.name)) {
-                        let propertyName = utils.getStringLiteralValue(path.node.property);
-                        let proxyProperty = cache.getValidProxyPathProperty(path.node.object.name, propertyName);
-                        if (proxyProperty) {
-                            let newNode = proxyProperty.value;
-                            if (newNode) {
-                                path.replaceInline(newNode);
-                            }
+                case 'UnaryExpression': {
+                    let value = context.evaluatePath(path.get('argument'), seenBindings);
+                    return value === NOT_CONSTANT ? NOT_CONSTANT : utils.computeUnary(node.operator, value);
+                }
+                case 'BinaryExpression': {
+                    let left = context.evaluatePath(path.get('left'), seenBindings);
+                    let right = left === NOT_CONSTANT ? NOT_CONSTANT : context.evaluatePath(path.get('right'), seenBindings);
+                    return right === NOT_CONSTANT ? NOT_CONSTANT : utils.computeBinary(node.operator, left, right);
+                }
+                case 'LogicalExpression': {
+                    let left = context.evaluatePath(path.get('left'), seenBindings);
+                    if (left === NOT_CONSTANT) {
+                        return NOT_CONSTANT;
+                    }
+
+                    // 短路时右侧不会执行
+                    let isShortCircuit = node.operator === '&&' ? !left
+                        : node.operator === '||' ? !!left
+                            : left !== null && left !== undefined;
+                    return isShortCircuit ? left : context.evaluatePath(path.get('right'), seenBindings);
+                }
+                case 'ConditionalExpression': {
+                    let test = context.evaluatePath(path.get('test'), seenBindings);
+                    if (test === NOT_CONSTANT) {
+                        return NOT_CONSTANT;
+                    }
+
+                    return context.evaluatePath(path.get(test ? 'consequent' : 'alternate'), seenBindings);
+                }
+                case 'ArrayExpression': {
+                    let values = [];
+                    for (let elementPath of path.get('elements')) {
+                        // 空位 / ...spread
+                        if (!elementPath.node || elementPath.isSpreadElement()) {
+                            return NOT_CONSTANT;
                         }
+
+                        let value = context.evaluatePath(elementPath, seenBindings);
+                        if (value === NOT_CONSTANT) {
+                            return NOT_CONSTANT;
+                        }
+
+                        values.push(value);
+                    }
+
+                    return values;
+                }
+                case 'MemberExpression': {
+                    // 'abc'.length | 'abc'[0] | [1,2][1]
+                    let object = context.evaluatePath(path.get('object'), seenBindings);
+                    if (!(typeof object === 'string' || Array.isArray(object))) {
+                        return NOT_CONSTANT;
+                    }
+
+                    let property = node.computed
+                        ? context.evaluatePath(path.get('property'), seenBindings)
+                        : node.property.name;
+                    if (property === 'length') {
+                        return object.length;
                     }
+
+                    // 字符串下标须是规范形式 e.g. '1', 不是 '01' | '1.0'
+                    let index = typeof property === 'number' || (typeof property === 'string' && String(Number(property)) === property)
+                        ? Number(property)
+                        : NaN;
+                    if (Number.isInteger(index) && index >= 0 && index < object.length) {
+                        //
+                        return object[index];
+                    }
+
+                    return NOT_CONSTANT;
                 }
+                case 'CallExpression':
+                    return context.evaluateCall(path, seenBindings);
+                default:
+                    return NOT_CONSTANT;
             }
         },
-        NumericLiteral: {
-            exit(path) {
-                // 0x123 -> 291
-                // NOTE: 代码生成的不存在属性 extra
-                let node = path.node;
-                if (node.extra) {
-                    node.extra.raw = node.value.toString();
+        /**
+         * 常量绑定传播(仅原始值, 数组/对象可能被修改)
+         * @param {NodePath} path
+         * @param {Set<Binding>} seenBindings
+         * @returns {*}
+         */
+        evaluateIdentifier(path, seenBindings) {
+            let binding = path.scope.getBinding(path.node.name);
+            if (!binding) {
+                // 未被覆盖的全局常量
+                switch (path.node.name) {
+                    case 'undefined':
+                        return undefined;
+                    case 'NaN':
+                        return NaN;
+                    case 'Infinity':
+                        return Infinity;
+                    default:
+                        return NOT_CONSTANT;
                 }
             }
-        },
-        ObjectExpression: {
-            exit(path) {
-                // 捕获 代理对象特征
-                if (path.parentPath.type === 'VariableDeclarator') {
-                    let prevKeyLength = 0;
-                    let conformed = true;
-
-                    // #空对象声明后续赋值
-                    // 标记
-                    if (path.node.properties.length === 0) {
-                        // 公用cache对象, 要先判断是否已经添加
-                        if (!(path.parentPath.node.id.name in cache.doubtedProxyPathInfos)) {
-                            cache.doubtedProxyPathInfos[path.parentPath.node.id.name] = {
-                                prevKeyLength: 0,
-                                path: path,
-                                properties: [],
-                                originPaths: []
-                            };
-                        }
-                    } else {
-                        for (let property of path.node.properties) {
-                            if (!(property.key.type === 'Identifier' || property.key.type === 'StringLiteral')) {
-                                conformed = false;
-                                break
-                            }
 
-                            let keyLength = utils.getStringLiteralValue(property.key).length;
-                            if (prevKeyLength === 0) {
-                                prevKeyLength = keyLength;
-                                continue;
-                            }
+            if (!binding.constant
+                || !binding.path.isVariableDeclarator()
+                || binding.path.node.id !== binding.identifier
+                || !binding.path.node.init
+                || seenBindings.has(binding)
+                || !context.isDeclaredBefore(binding, path)) {
+                //
+                return NOT_CONSTANT;
+            }
 
-                            if (keyLength !== 5 || keyLength !== prevKeyLength) {
-                                conformed = false;
-                                break;
-                            }
-                        }
+            seenBindings.add(binding);
+            let value = context.evaluatePath(binding.path.get('init'), seenBindings);
+            seenBindings.delete(binding);
+
+            return value !== null && typeof value === 'object' ? NOT_CONSTANT : value;
+        },
+        /**
+         * 引用是否一定在声明执行之后(同一语句列表, 且不经过会提升的函数声明)
+         * @param {Binding} binding
+         * @param {NodePath} refPath
+         * @returns {boolean}
+         */
+        isDeclaredBefore(binding, refPath) {
+            let declarationPath = binding.path.parentPath;
+            if (!declarationPath.inList) {
+                return false;
+            }
 
-                        if (conformed) {
-                            cache.proxyPaths[path.parentPath.node.id.name] = path;
-                        }
-                    }
+            let itemPath = refPath;
+            while (itemPath && itemPath.container !== declarationPath.container) {
+                if (itemPath.isFunctionDeclaration()) {
+                    return false;
                 }
+
+                itemPath = itemPath.parentPath;
             }
+
+            return !!itemPath
+                && !itemPath.isFunctionDeclaration()
+                && itemPath.key > declarationPath.key;
         },
-        ObjectProperty: {
-            exit(path) {
-                // e.g. {'name':'nameValue'} -> {name:'nameValue'}
-                if (path.node.key.type === 'StringLiteral'
-                    && utils.isValidVariableName(path.node.key.value)) {
-                    path.node.key = types.identifier(path.node.key.value)
+        /**
+         * 白名单内的纯函数/方法调用
+         * - String.fromCharCode(97) | atob('YQ==') | Math.max(1,2)
+         * - 'a,b'.split(',') | [1,2].join('') | (255).toString(16)
+         * @param {NodePath} path
+         * @param {Set<Binding>} seenBindings
+         * @returns {*}
+         */
+        evaluateCall(path, seenBindings) {
+            let callee = path.node.callee;
+            let args = [];
+            for (let argPath of path.get('arguments')) {
+                let value = argPath.isSpreadElement() ? NOT_CONSTANT : context.evaluatePath(argPath, seenBindings);
+                if (value === NOT_CONSTANT) {
+                    return NOT_CONSTANT;
                 }
+
+                args.push(value);
             }
-        },
-        StringLiteral: {
-            exit(path) {
-                // NOTE:
-                // - window['console'] -> window.console
-                // - '1,2,3'['split']
-                // - this['name']
-                // - proxyCall()['add']
-                // - new Date()['getTime']
-                // - []['split']
-                // - {}['split']
-                // - (function(){})['call']
-                // - (''+2/1)['length']
-                if (path.parentPath.node.type === 'MemberExpression'
-                    && (path.parentPath.node.object.type === 'MemberExpression'
-                        || path.parentPath.node.object.type === 'Identifier'
-                        || path.parentPath.node.object.type === 'StringLiteral'
-                        || path.parentPath.node.object.type === 'ThisExpression'
-                        || path.parentPath.node.object.type === 'CallExpression'
-                        || path.parentPath.node.object.type === 'NewExpression'
-                        || path.parentPath.node.object.type === 'ArrayExpression'
-                        || path.parentPath.node.object.type === 'ObjectExpression'
-                        || path.parentPath.node.object.type === 'FunctionExpression'
-                        || path.parentPath.node.object.type === 'BinaryExpression')
-                    && utils.isValidVariableName(path.node.value)) {
+
+            let functionName = utils.getPureFunctionName(callee);
+            if (functionName) {
+                // 全局对象不能被局部变量覆盖
+                let rootName = functionName.split('.')[0];
+                if (path.scope.getBinding(rootName)
+                    || args.some(value => value !== null && typeof value === 'object')) {
                     //
-                    path.parentPath.node.computed = false;
-                    path.replaceInline(types.identifier(path.node.value));
+                    return NOT_CONSTANT;
                 }
+
+                return PURE_FUNCTIONS[functionName](...args);
             }
-        },
-        SwitchStatement: {
-            exit(path) {
-                // switch 流程分化
-                // let array = "1|0".split('|');
-                // let index = 0;
-                // while(true){
-                //     switch(array[index++]){
-                //         case '0':
-                //             break;
-                //         case '1':
-                //             break;
-                //     }
-                //     break;
-                // }
-                if (path.parentPath.node.type === 'BlockStatement'
-                    && path.parentPath.parentPath.node
-                    && path.parentPath.parentPath.node.type === 'WhileStatement'
-                    && path.parentPath.node.body.length === 2
-                    && path.parentPath.node.body[1].type === 'BreakStatement'
-                    && path.node.discriminant.object.type === 'Identifier'
-                    && path.node.discriminant.property.type === 'UpdateExpression'
-                    && path.node.discriminant.property.operator === '++'
-                    && path.node.discriminant.property.argument.type === 'Identifier') {
-                    //
-                    let id = path.node.discriminant.object;
-                    let idInt = path.node.discriminant.property.argument;
-                    let bindingStr = path.scope.getBinding(id.name);
-                    let bindingInt = path.scope.getBinding(idInt.name);
-                    let pad;
-                    let padOperator;
-                    bindingStr && bindingStr.path.traverse({
-                        StringLiteral(path) {
-                            if (path.parentPath.node.type === 'MemberExpression') {
-                                pad = path.node.value;
-                            } else if (path.parentPath.node.type === 'CallExpression') {
-                                padOperator = path.node.value;
-                            }
-                        }
-                    });
-                    if (pad && padOperator) {
-                        let steps = pad.split(padOperator);
-                        let newNodes = [];
-                        let cases = path.node.cases;
-
-                        for (let i = 0; i < steps.length; i++) {
-                            let step = steps[i];
-                            let switchCase = cases.find(switchCase => switchCase.test.value === step);
-                            if (switchCase) {
-                                // 去除 continue
-                                newNodes.push(...switchCase.consequent.filter(item => item.type !== 'ContinueStatement'));
-                            }
-                        }
 
-                        // 移除 step 数组 和 后面的变量
-                        bindingStr.path.remove();
-                        bindingInt.path.remove();
+            if (callee.type !== 'MemberExpression'
+                || (callee.computed ? callee.property.type !== 'StringLiteral' : callee.property.type !== 'Identifier')) {
+                //
+                return NOT_CONSTANT;
+            }
 
-                        path.parentPath.parentPath.replaceInline(newNodes);
-                        path.parentPath.parentPath.skip();
-                    }
-                }
+            let object = context.evaluatePath(path.get('callee.object'), seenBindings);
+            let methodName = utils.getStringLiteralValue(callee.property);
+            let objectType = Array.isArray(object) ? 'array' : typeof object;
+            if (!(objectType in PURE_METHODS) || !PURE_METHODS[objectType].includes(methodName)) {
+                return NOT_CONSTANT;
+            }
+
+            // 避免生成超长字符串
+            if ((methodName === 'repeat' || methodName === 'padStart' || methodName === 'padEnd')
+                && !(Number(args[0]) * (methodName === 'repeat' ? object.length : 1) <= MAX_FOLDED_LENGTH)) {
+                //
+                return NOT_CONSTANT;
             }
+
+            return object[methodName](...args);
         },
-        UnaryExpression: {
-            exit(path) {
-                if (path.node.operator === '!') {
-                    // - !'' -> true
-                    // - !0 -> true
-                    // - !false -> true
-                    // - ![] -> false 仅是空数组
-                    // - !{} -> false 仅是空对象
-                    // - !undefined
-                    let booleanValue = null;
-                    switch (path.node.argument.type) {
-                        case 'NumericLiteral':
-                            booleanValue = path.node.argument.value === 0;
-                            break
-                        case 'StringLiteral':
-                            booleanValue = path.node.argument.value === '';
-                            break
-                        case 'BooleanLiteral':
-                            booleanValue = path.node.argument.value === false;
-                            break
-                        case 'ArrayExpression':
-                            if (path.node.argument.elements.length === 0) {
-                                booleanValue = false;
-                            }
+        /**
+         * 还原 switch 流程平坦化, 无法确认时不做任何修改
+         * @param {NodePath} path SwitchStatement
+         * @returns {boolean}
+         */
+        unflattenSwitch(path) {
+            // switch(array[index++])
+            let discriminant = path.node.discriminant;
+            if (!(discriminant.type === 'MemberExpression'
+                && discriminant.computed
+                && discriminant.object.type === 'Identifier'
+                && discriminant.property.type === 'UpdateExpression'
+                && discriminant.property.operator === '++'
+                && !discriminant.property.prefix
+                && discriminant.property.argument.type === 'Identifier')) {
+                //
+                return false;
+            }
 
-                            break
-                        case 'ObjectExpression':
-                            if (path.node.argument.properties.length === 0) {
-                                booleanValue = false;
-                            }
+            // 循环体仅有 [switch, break]
+            let blockPath = path.parentPath;
+            let loopPath = blockPath.parentPath;
+            if (!blockPath.isBlockStatement()
+                || !context.isInfiniteLoop(loopPath)
+                || !loopPath.inList
+                || blockPath.node.body.length !== 2
+                || blockPath.node.body[0] !== path.node
+                || blockPath.node.body[1].type !== 'BreakStatement'
+                || blockPath.node.body[1].label) {
+                //
+                return false;
+            }
 
-                            break
-                        case 'Identifier':
-                            if (path.node.argument.name === 'undefined') {
-                                booleanValue = true;
-                            }
-                            break
-                        default:
-                            break;
-                    }
+            // 顺序数组和下标只能在这里使用, 且在循环之前声明
+            // 循环体内的 var 声明自身也会记为 constantViolation
+            let stepsBinding = path.scope.getBinding(discriminant.object.name);
+            let indexBinding = path.scope.getBinding(discriminant.property.argument.name);
+            let isDeclaredBefore = (binding) => binding
+                && binding.path.isVariableDeclarator()
+                && binding.path.parentPath.parentPath.node === loopPath.parentPath.node
+                && binding.path.parentPath.key < loopPath.key;
+            let isDeclarator = (binding, itemPath) => itemPath.node === binding.path.node;
+            if (!isDeclaredBefore(stepsBinding)
+                || !isDeclaredBefore(indexBinding)
+                || stepsBinding === indexBinding
+                || !stepsBinding.constantViolations.every(itemPath => isDeclarator(stepsBinding, itemPath))
+                || stepsBinding.referencePaths.length !== 1
+                || !indexBinding.constantViolations.every(itemPath => isDeclarator(indexBinding, itemPath) || itemPath.node === discriminant.property)
+                || !indexBinding.referencePaths.every(itemPath => itemPath.parentPath.node === discriminant.property)) {
+                //
+                return false;
+            }
 
-                    if (booleanValue != null) {
-                        // 这里请不要 traverse 了
-                        path.replaceInline(types.booleanLiteral(booleanValue));
-                    }
-                } else if (path.node.operator === '+') {
-                    // e.g. +123 -> 123
-                    switch (path.node.argument.type) {
-                        case 'NumericLiteral':
-                            path.replaceInline(path.node.argument);
-                            break
-                        default:
-                            break
-                    }
-                }
+            let steps = utils.getFlattenedSteps(stepsBinding.path.node.init);
+            let startNode = indexBinding.path.node.init;
+            if (!steps || !startNode || startNode.type !== 'NumericLiteral') {
+                return false;
             }
-        },
-        VariableDeclarator: {
-            exit(path) {
-                // 移除引用对象/加密函数(值类型则不可以)
-                // e.g. let refObj=obj;
-                if (path.node.id.type === 'Identifier'
-                    && path.node.init
-                    && path.node.init.type === 'Identifier'
-                    && (path.node.init.name in cache.corePaths || cache.getValidProxyPath(path.node.init.name))) {
+
+            let casePaths = new Map();
+            for (let casePath of path.get('cases')) {
+                let test = casePath.node.test;
+                if (!test || !(test.type === 'StringLiteral' || test.type === 'NumericLiteral')
+                    || casePaths.has(String(test.value))) {
                     //
-                    path.scope.rename(path.node.id.name, path.node.init.name);
-                    path.remove();
+                    return false;
                 }
+
+                casePaths.set(String(test.value), casePath);
             }
-        },
-        enter(path) {
-            // 移除未使用的变量
-            if (path.node.type === 'VariableDeclarator') {
-                let id = path.node.id;
-                let binding = path.scope.getBinding(id.name);
 
-                if (!binding || binding.constantViolations.length > 0) {
-                    return;
+            let newNodes = [];
+            for (let i = startNode.value; i < steps.length; i++) {
+                // 找不到 case 时原代码会直接跳出循环, 不做处理
+                let casePath = casePaths.get(steps[i]);
+                if (!casePath) {
+                    return false;
                 }
 
-                if (binding.referencePaths.length === 0) {
-                    try {
-                        path.remove();
-                    } catch (e) {
-                        console.warn('path remove fail: ' + path);
-                    }
+                let consequent = casePath.node.consequent;
+                let lastNode = consequent[consequent.length - 1];
+                let isContinue = lastNode && lastNode.type === 'ContinueStatement' && !lastNode.label;
+                // 没有 continue 时必须是 return/throw, 否则会贯穿到下一个 case
+                if (!isContinue && !(lastNode && (lastNode.type === 'ReturnStatement' || lastNode.type === 'ThrowStatement'))) {
+                    return false;
+                }
+
+                if (context.hasFlattenedJump(casePath, path, isContinue ? lastNode : null)) {
+                    return false;
+                }
+
+                newNodes.push(...(isContinue ? consequent.slice(0, -1) : consequent));
+                if (!isContinue) {
+                    break;
                 }
             }
-        }
-    };
-    let visitorBeautify = {
-        Identifier(path) {
-            let id = path.node;
-            // 更改变量名
-            if (utils.isHexVariableName(id.name)) {
-                //
-                let sugVarName = null;
-                if (path.parentPath.node.type === 'VariableDeclarator'
-                    && path.parentPath.node.id === id) {
-                    //
-                    let init = path.parentPath.node.init;
-                    if (init) {
-                        switch (init.type) {
-                            case 'ArrayExpression':
-                                sugVarName = 'array';
-                                break
-                            case 'BooleanLiteral':
-                                sugVarName = 'bool';
-                                break
-                            case 'CallExpression':
-                                switch (init.callee.type) {
-                                    case 'Identifier':
-                                        sugVarName = utils.getInstantiatedName(init.callee.name);
-                                        break
-                                    case 'FunctionExpression':
-                                        sugVarName = 'funcValue';
-                                        break
-                                }
-                                break
-                            case 'FunctionDeclaration':
-                                sugVarName = init.id.name || 'func';
-                                break
-                            case 'FunctionExpression':
-                                sugVarName = 'func';
-                                break
-                            case 'MemberExpression':
-                                if (init.property.type === 'Identifier') {
-                                    sugVarName = init.property.name;
-                                } else if (init.property.type === 'StringLiteral') {
-                                    sugVarName = init.property.value;
-                                }
-                                break
-                            case 'NewExpression':
-                                if (init.callee
-                                    && init.callee.type === 'Identifier') {
-                                    // 首字母小写
-                                    sugVarName = init.callee.name;
-                                    sugVarName = utils.getInstantiatedName(sugVarName);
-                                }
-                                break
-                            case 'NumericLiteral':
-                                sugVarName = 'num';
-                                break
-                            case 'ObjectExpression':
-                                sugVarName = 'obj';
-                                break
-                            case 'StringLiteral':
-                                sugVarName = 'str';
-                                break
-                            case 'ThisExpression':
-                                sugVarName = 'self';
-                                break
-                            default:
-                                break
-                        }
+
+            // 移除 step 数组 和 下标变量
+            stepsBinding.path.remove();
+            indexBinding.path.remove();
+
+            if (newNodes.length > 0) {
+                loopPath.replaceInline(utils.inheritLocation(newNodes, loopPath.node));
+            } else {
+                loopPath.remove();
+            }
+
+            return true;
+        },
+        /**
+         * 是否死循环 while(true) | while(!![]) | for(;;)
+         * @param {NodePath} path
+         * @returns {boolean}
+         */
+        isInfiniteLoop(path) {
+            if (path.isWhileStatement()) {
+                return path.get('test').evaluateTruthy() === true;
+            }
+
+            if (path.isForStatement()) {
+                return !path.node.init
+                    && !path.node.update
+                    && (!path.node.test || path.get('test').evaluateTruthy() === true);
+            }
+
+            return false;
+        },
+        /**
+         * case 中是否有跳出/继续平坦化循环的语句(除了结尾的 continue)
+         * @param {NodePath} casePath
+         * @param {NodePath} switchPath
+         * @param {Node|null} ignoredNode
+         * @returns {boolean}
+         */
+        hasFlattenedJump(casePath, switchPath, ignoredNode) {
+            let loopNode = switchPath.parentPath.parentPath.node;
+            let hasJump = false;
+            casePath.traverse({
+                Function(itemPath) {
+                    itemPath.skip();
+                },
+                'BreakStatement|ContinueStatement'(itemPath) {
+                    if (itemPath.node === ignoredNode) {
+                        return;
                     }
-                } else if (path.parentPath.node.type === 'CatchClause') {
-                    sugVarName = 'error';
-                } else if ((path.parentPath.node.type === 'FunctionDeclaration'
-                    || path.parentPath.node.type === 'FunctionExpression')
-                    && path.parentPath.node.id !== id) {
-                    // 方法参数名
-                    // e.g. _0x123 -> param1
-                    sugVarName = 'param';
-                }
 
-                if (sugVarName) {
-                    let newNode = path.scope.generateUidIdentifier(sugVarName);
-                    path.scope.rename(id.name, newNode.name);
+                    // 带标签的跳转可能指向外层, 无法确认
+                    if (itemPath.node.label) {
+                        hasJump = true;
+                        itemPath.stop();
+                        return;
+                    }
+
+                    let isBreak = itemPath.isBreakStatement();
+                    let targetPath = itemPath.findParent(parentPath => parentPath.isLoop()
+                        || (isBreak && parentPath.isSwitchStatement()));
+                    if (targetPath.node === switchPath.node || targetPath.node === loopNode) {
+                        hasJump = true;
+                        itemPath.stop();
+                    }
                 }
+            });
+
+            return hasJump;
+        },
+        /**
+         * 代理解密函数: 只有一条 return 的函数声明或变量初值, 调用加密函数/代理解密函数
+         * e.g. function proxyCore(a,b,c,d,e){return core(a-123,b);}
+         * e.g. let proxyCore=function(a,b,c,d,e){return core(a-123,b);}
+         * @param {NodePath} path FunctionDeclaration | FunctionExpression
+         */
+        detectWrapperFunction(path) {
+            let node = path.node;
+            let id = path.isFunctionDeclaration() ? node.id : null;
+            if (path.isFunctionExpression()
+                && path.parentPath.isVariableDeclarator()
+                && path.parentPath.node.id.type === 'Identifier') {
+                //
+                id = path.parentPath.node.id;
             }
 
-            // 变量命名:
-            // var obj={
-            // name: _var1
-            // }
-            // ->
-            // var obj={
-            // name: _name
-            // }
-            if (path.parentPath.node.type === 'ObjectProperty'
-                && id === path.parentPath.node.key
-                && !id.name.startsWith('_')
-                && path.parentPath.node.value.type === 'Identifier'
-                && path.parentPath.node.value.name.startsWith('_')) {
+            let destNode;
+            if (id
+                && node.body.type === 'BlockStatement'
+                && node.body.body.length === 1
+                && (destNode = node.body.body[0])
+                && destNode.type === 'ReturnStatement'
+                && destNode.argument
+                && destNode.argument.type === 'CallExpression'
+                && destNode.argument.callee.type === 'Identifier') {
                 //
-                let uid = path.scope.generateUidIdentifier(id.name);
-                path.scope.rename(path.parentPath.node.value.name, uid.name);
+                context.addWrapperFunction(path, id);
             }
         },
-        MemberExpression(path) {
-            // 如果发现代理对象存在name属性则该变量名
-            // e.g. var proxyObj={name:'util',...} -> var util={name:'util'};
-            if (path.parentPath.node.type === 'AssignmentExpression'
-                && path.node.object
-                && path.node.object.type === 'Identifier'
-                && path.node.property.type === 'Identifier') {
-                //
-                let sugVarName = null;
-                if (path.node.property.name === 'name'
-                    && path.parentPath.node.right.type === 'StringLiteral') {
-                    sugVarName = path.parentPath.node.right.value;
-                } else if (path.node.property.name === 'define') {
-                    sugVarName = 'lib';
+        /**
+         * 加密函数别名: 保留绑定直到 cleanup, 否则同名的外层绑定会被误认
+         * e.g. let alias=core;
+         * @param {NodePath} path VariableDeclarator
+         * @param {string} decoderName 沙箱中的名字
+         */
+        addDecoderAlias(path, decoderName) {
+            if (!cache.decoderNames.has(path.node.id)) {
+                cache.decoderNames.set(path.node.id, decoderName);
+                cache.wrapperPaths.push(path);
+                context.addReportedDecoder(path.node.id, 'alias', path.scope);
+            }
+        },
+        /**
+         * 添加代理解密函数(可链式调用其他代理解密函数)
+         * e.g. function proxyCore(a,b,c,d,e){return core(a-123,b);}
+         * @param {NodePath} path FunctionDeclaration | FunctionExpression
+         * @param {Identifier} id
+         */
+        addWrapperFunction(path, id) {
+            if (cache.decoderNames.has(id)) {
+                return;
+            }
+
+            let node = path.node;
+            let callNode = node.body.body[0].argument;
+            let targetName = context.getDecoderName(path, callNode.callee.name);
+            if (!targetName) {
+                return;
+            }
+
+            // 沙箱中使用唯一的名字, 调用目标替换为目标在沙箱中的名字
+            let sandboxName = `_$decoder${cache.decoderNames.size}`;
+            let wrapperNode = types.functionDeclaration(
+                types.identifier(sandboxName),
+                node.params,
+                types.blockStatement([
+                    types.returnStatement(types.callExpression(types.identifier(targetName), callNode.arguments))
+                ])
+            );
+            let gr = generate(wrapperNode);
+            try {
+                sandbox.run(gr.code);
+            } catch (e) {
+                context.warn('decodeFailed', `Decode function error: ${e.message} ${gr.code}`, node);
+                return;
+            }
+
+            cache.decoderNames.set(id, sandboxName);
+            cache.wrapperPaths.push(path);
+            context.addReportedDecoder(id, 'wrapper', path.parentPath.scope);
+        },
+        /**
+         * 找到加密函数引用的字符串数组
+         * @param {NodePath} path FunctionDeclaration | VariableDeclaration
+         * @returns {NodePath|null} VariableDeclarator | FunctionDeclaration
+         */
+        findStringArrayPath(path) {
+            let arrayPath = null;
+            path.traverse({
+                Identifier(itemPath) {
+                    if (!itemPath.isReferencedIdentifier()) {
+                        return;
+                    }
+
+                    let binding = itemPath.scope.getBinding(itemPath.node.name);
+                    if (binding && binding.path !== path && context.isStringArrayPath(binding.path)) {
+                        arrayPath = binding.path;
+                        itemPath.stop();
+                    }
                 }
+            });
 
-                if (sugVarName) {
-                    let uid = path.scope.generateUidIdentifier(sugVarName);
-                    path.scope.rename(path.node.object.name, uid.name);
-                }
-            }
-        }
-    };
-    let context = {
-        removePath(path) {
-            // node可能为空(则直接返回)
-            let outPath = path.find(itemPath => !itemPath.node
-                || (itemPath.node.type === 'VariableDeclaration'
-                    || itemPath.node.type === 'VariableDeclarator'
-                    || itemPath.node.type === 'ExpressionStatement'
-                    || itemPath.node.type === 'FunctionDeclaration'));
-            if (outPath && !outPath.removed) {
-                outPath.remove();
-            }
+            return arrayPath;
         },
-        cleanup() {
-            for (let key in cache.corePaths) {
-                context.removePath(cache.corePaths[key]);
+        /**
+         * 添加字符串数组及其全部加密函数(none | base64 | rc4 可混用同一数组)
+         * 数组只能被加密函数和乱序立即函数引用, 否则不是混淆产生的数组
+         * @param {NodePath} arrayPath VariableDeclarator | FunctionDeclaration
+         * @returns {boolean}
+         */
+        addStringArray(arrayPath) {
+            let arrayName = arrayPath.node.id.name;
+            if (arrayName in cache.stringArrays) {
+                return true;
             }
 
-            for (let currentPath of cache.coreRefPaths) {
-                context.removePath(currentPath);
+            let isFunction = arrayPath.node.type === 'FunctionDeclaration';
+            let statementPath = isFunction ? arrayPath : arrayPath.parentPath;
+            let binding = arrayPath.scope.getBinding(arrayName);
+            if (!binding || binding.referencePaths.length === 0) {
+                return false;
             }
 
-            for (let key in cache.proxyPaths) {
-                context.removePath(cache.proxyPaths[key]);
+            // 自替换函数只允许在自身内部重新赋值
+            let isOwnViolation = (itemPath) => isFunction && itemPath.findParent(parentPath => parentPath.node === statementPath.node);
+            if (!binding.constantViolations.every(isOwnViolation)) {
+                return false;
             }
 
-            for (let key in cache.doubtedProxyPathInfos) {
-                let currentPathInfo = cache.doubtedProxyPathInfos[key];
-                if (currentPathInfo.properties.length === 0) {
-                    continue;
+            // 引用所在的同级语句
+            let decoderPaths = [];
+            let rotatePaths = [];
+            for (let refPath of binding.referencePaths) {
+                let ownerPath = refPath.find(itemPath => itemPath.parentPath
+                    && itemPath.parentPath.node === statementPath.parentPath.node
+                    && itemPath.listKey === statementPath.listKey);
+                if (!ownerPath) {
+                    return false;
                 }
 
-                context.removePath(currentPathInfo.path);
-
-                for (let currentPath of currentPathInfo.originPaths) {
-                    context.removePath(currentPath);
+                if (ownerPath.node === statementPath.node) {
+                    continue;
                 }
-            }
-        },
-        /**
-         * 发现是否加密函数
-         * @param {NodePath} path FunctionDeclaration | FunctionExpression
-         */
-        isEncryptFunction(path) {
-            let id;
-            let params;
-            let body;
-            switch (path.node.type) {
-                case 'FunctionDeclaration':
-                    id = path.node.id;
-                    params = path.node.params;
-                    body = path.node.body;
-                    break
-                case 'FunctionExpression':
-                    if (path.parentPath.node.type !== 'VariableDeclarator') {
-                        return false;
-                    }
 
-                    id = path.parentPath.node.id;
-                    params = path.node.params;
-                    body = path.node.body;
-                    break
-                default:
+                if (context.isRotateStatement(ownerPath, arrayName)) {
+                    if (rotatePaths.every(itemPath => itemPath.node !== ownerPath.node)) {
+                        rotatePaths.push(ownerPath);
+                    }
+                } else if (context.getEncryptFunctionId(ownerPath)) {
+                    if (decoderPaths.every(itemPath => itemPath.node !== ownerPath.node)) {
+                        decoderPaths.push(ownerPath);
+                    }
+                } else {
                     return false;
+                }
             }
 
-            if (params.length !== 2) {
+            if (decoderPaths.length === 0) {
                 return false;
             }
 
-            let destNode;
+            // 执行顺序: 数组 -> 加密函数 -> 乱序
+            let code = isFunction ? generate(arrayPath.node).code : `var ${generate(arrayPath.node).code};`;
+            for (let currentPath of decoderPaths.concat(rotatePaths)) {
+                code += generate(currentPath.node).code;
+            }
 
-            // level low
-            if (body.type === 'BlockStatement'
-                && body.body.length === 1
-                && body.body[0].type === 'ReturnStatement'
-                && (destNode = body.body[0].argument)
-                && destNode.type === 'SequenceExpression'
-                && destNode.expressions.length === 2
-                && destNode.expressions[0].type === 'AssignmentExpression'
-                && destNode.expressions[1].type === 'CallExpression'
-                && destNode.expressions[0].left.type === 'Identifier'
-                && destNode.expressions[1].callee.type === 'Identifier'
-                && destNode.expressions[0].left.name === destNode.expressions[1].callee.name) {
-                //
-                return true;
+            // 去除代码检测(会引起堆栈溢出) 只要正则表达式任意通过即可(e.g. .)
+            // - '\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*'
+            // - '[\x27|\x22].+[\x27|\x22];?\x20*}'
+            code = code.replace('\\x5cw+\\x20*\\x5c(\\x5c)\\x20*{\\x5cw+\\x20*', '').replace('[\\x27|\\x22].+[\\x27|\\x22];?\\x20*}', '.');
+
+            try {
+                sandbox.run(code);
+            } catch (e) {
+                context.warn('decodeFailed', `Decode function error: ${e.message} ${arrayName}`, arrayPath.node);
+                return false;
             }
 
-            // level low+
-            // ...
+            cache.stringArrays[arrayName] = {
+                path: arrayPath,
+                decoderPaths,
+                rotatePaths
+            };
+            cache.coreRefPaths.push(arrayPath, ...rotatePaths);
+            for (let decoderPath of decoderPaths) {
+                let id = context.getEncryptFunctionId(decoderPath);
+                cache.corePaths[id.name] = decoderPath;
+                cache.decoderNames.set(id, id.name);
+                context.addReportedDecoder(id, 'decoder');
+            }
 
-            return false;
+            arrayPath.skip();
+            return true;
         },
         /**
-         * 添加加密函数
-         * @param {NodePath} path FunctionDeclaration | FunctionExpression
+         * 添加加密函数(连同它引用的字符串数组)
+         * @param {NodePath} path FunctionDeclaration | VariableDeclaration
          */
         addEncryptFunction(path) {
-            let node = path.node;
-            let destId = node.type === 'FunctionDeclaration' ? node.id : node.declarations[0].id;
-
-            // 找到上一个数组 e.g. let coreFuncKeyFunc=[]; 必须
-            // 找到上一个/下一个数组后紧跟的立即函数 (function(a,b){}) 可选
-            let path1 = null;
-            let path2 = null;
-            let isPath2After = false;
-            let prevPaths = path.getAllPrevSiblings();
-            let findPath2Callback = (value) => value.node.type === 'ExpressionStatement'
-                && value.node.expression.type === 'CallExpression'
-                && value.node.expression.callee.type === 'FunctionExpression'
-                && value.node.expression.callee.params.length === 2
-                && value.node.expression.arguments.length === 2
-                && value.node.expression.arguments[0].type === 'Identifier';
-            let pathIndex1 = prevPaths.findIndex((value) => value.node.type === 'VariableDeclaration'
-                && value.node.declarations.length === 1
-                && value.node.declarations[0].init.type === 'ArrayExpression');
-            let pathIndex2 = prevPaths.findIndex(findPath2Callback);
-            if (pathIndex2 === -1) {
-                let nextPaths = path.getAllNextSiblings();
-                pathIndex2 = nextPaths.findIndex(findPath2Callback);
-                path2 = nextPaths[pathIndex2];
-                isPath2After = true;
-            } else {
-                path2 = prevPaths[pathIndex2];
-            }
-
-            path1 = prevPaths[pathIndex1];
-
-            if (path1) {
-                let gr1 = generate(path1.node)
-                let gr2 = path2 ? generate(path2.node) : {code: ''};
-                let gr3 = generate(node);
-                let code = gr1.code + (isPath2After ? gr3.code + gr2.code : gr2.code + gr3.code);
-
-                // 去除代码检测(会引起堆栈溢出) 只要正则表达式任意通过即可(e.g. .)
-                // - '\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*'
-                // - '[\x27|\x22].+[\x27|\x22];?\x20*}'
-                code = code.replace('\\x5cw+\\x20*\\x5c(\\x5c)\\x20*{\\x5cw+\\x20*', '').replace('[\\x27|\\x22].+[\\x27|\\x22];?\\x20*}', '.');
-
-                global.eval(code);
-                cache.coreRefPaths.push(path1);
-                if (path2) {
-                    cache.coreRefPaths.push(path2);
-                }
-
-                cache.corePaths[destId.name] = path;
-                path1.skip();
+            let arrayPath = context.findStringArrayPath(path);
+            if (arrayPath) {
+                context.addStringArray(arrayPath);
             }
         },
         /**
-         *
-         * @param statement
-         * @param arguments_
+         * 代理函数调用替换为函数体的返回表达式; 形参须与实参一一对应且按顺序只使用一次
+         * @param {FunctionExpression} statement
+         * @param {Node[]} arguments_
          * @returns {Node|null}
          */
         getFunctionExpressionCallNode(statement, arguments_) {
@@ -1013,7 +5196,7 @@ function optimize(jsCode) {
             // 两种情况:
             // - 仅有一条return语句
             // - 无用的变量声明, return语句
-            if (statement.body.type === 'BlockStatement'
+            if (!(statement.body.type === 'BlockStatement'
                 && (destNode = statement.body)
                 && ((destNode.body.length === 1
                     && destNode.body[0].type === 'ReturnStatement'
@@ -1021,42 +5204,77 @@ function optimize(jsCode) {
                     || (destNode.body.length === 2
                         && destNode.body[0].type === 'VariableDeclaration'
                         && destNode.body[1].type === 'ReturnStatement'
-                        && (destNode = destNode.body[1])))) {
-                // e.g. a + b
-                if (destNode.argument.type === 'BinaryExpression'
-                    && arguments_.length === 2) {
-                    return types.binaryExpression(destNode.argument.operator, arguments_[0], arguments_[1]);
-                } else if (destNode.argument.type === 'Identifier') {
+                        && (destNode = destNode.body[1]))))) {
+                return null;
+            }
+
+            let params = statement.params;
+            let argument = destNode.argument;
+            if (!argument
+                || params.length !== arguments_.length
+                || !params.every(param => param.type === 'Identifier')
+                || arguments_.some(item => item.type === 'SpreadElement')) {
+                return null;
+            }
+
+            let isParam = (node, index) => node.type === 'Identifier' && node.name === params[index].name;
+            switch (argument.type) {
+                case 'BinaryExpression':
+                    // e.g. function(a, b){return a + b}
+                    if (params.length === 2 && isParam(argument.left, 0) && isParam(argument.right, 1)) {
+                        return types.binaryExpression(argument.operator, arguments_[0], arguments_[1]);
+                    }
+                    break
+                case 'LogicalExpression':
+                    // e.g. function(a, b){return a || b}
+                    if (params.length === 2 && isParam(argument.left, 0) && isParam(argument.right, 1)) {
+                        return types.logicalExpression(argument.operator, arguments_[0], arguments_[1]);
+                    }
+                    break
+                case 'Identifier': {
                     // e.g.
                     // function a(x){return x};
                     // a(123);
                     // ->
                     // 123
-                    let argumentIndex = utils.indexOfArgument(statement.params, destNode.argument.name);
-                    if (argumentIndex > -1) {
+                    let argumentIndex = utils.indexOfArgument(params, argument.name);
+                    if (argumentIndex > -1
+                        && arguments_.every((item, index) => index === argumentIndex || utils.isPureNode(item))) {
                         return arguments_[argumentIndex];
                     }
-                } else if (destNode.argument.type.endsWith('Literal')) {
-                    return destNode.argument;
-                } else if (destNode.argument.type === 'CallExpression') {
+                    break
+                }
+                case 'CallExpression': {
                     // Replace call function
-                    // - call(1)
-                    // - proxyObj.call(1)
-                    destNode = destNode.argument;
-                    if (destNode.callee.type === 'Identifier') {
-                        let argumentIndex = utils.indexOfArgument(statement.params, destNode.callee.name);
-                        if (argumentIndex > -1) {
-                            let newCallee = arguments_[argumentIndex];
-                            let newArguments = arguments_.filter((item, index) => index !== argumentIndex);
-                            return types.callExpression(newCallee, newArguments);
-                        }
-                    } else if (destNode.callee.type === 'MemberExpression'
-                        && destNode.callee.object.type === 'Identifier'
-                        && destNode.callee.property.type === 'Identifier') {
-                        return types.callExpression(destNode.callee, arguments_);
+                    // - function(a, b){return a(b)} -> call(1)
+                    // - function(a, b){return proxyObj.call(a, b)} -> proxyObj.call(1, 2)
+                    let callee = argument.callee;
+                    if (isParam(callee, 0)
+                        && argument.arguments.length === params.length - 1
+                        && argument.arguments.every((item, index) => isParam(item, index + 1))) {
+                        return types.callExpression(arguments_[0], arguments_.slice(1));
+                    }
+
+                    if (callee.type === 'MemberExpression'
+                        && callee.object.type === 'Identifier'
+                        && utils.indexOfArgument(params, callee.object.name) === -1
+                        && utils.getMemberPropertyName(callee) !== null
+                        && argument.arguments.length === params.length
+                        && argument.arguments.every((item, index) => isParam(item, index))) {
+                        return types.callExpression(types.cloneNode(callee), arguments_);
                     }
+                    break
                 }
+                default:
+                    // e.g. function(){return 'abc'}
+                    if (types.isLiteral(argument)
+                        && argument.type !== 'TemplateLiteral'
+                        && arguments_.every(item => utils.isPureNode(item))) {
+                        return types.cloneNode(argument);
+                    }
             }
+
+            return null;
         },
         /**
          * 替换call类型对象成员
@@ -1069,29 +5287,409 @@ function optimize(jsCode) {
                 throw new Error('Must be "ObjectProperty"');
             }
 
-            switch (property.value.type) {
-                case 'BooleanLiteral':
-                case 'NumberLiteral':
-                case 'StringLiteral':
-                    return property.value;
-                case 'FunctionExpression':
-                    return context.getFunctionExpressionCallNode(property.value, arguments_);
-                default:
-                    break
+            // 字面量成员不可调用, 保留原样
+            if (property.value.type === 'FunctionExpression') {
+                return context.getFunctionExpressionCallNode(property.value, arguments_);
             }
+
             return null;
         },
+        /**
+         * 是否代理函数: 仅转发参数的单条 return
+         * @param {Node} node
+         * @returns {boolean}
+         */
+        isProxyFunction(node) {
+            return node.type === 'FunctionExpression'
+                && !node.async
+                && !node.generator
+                && node.body.body.length === 1
+                && node.params.every(param => param.type === 'Identifier')
+                && !!context.getFunctionExpressionCallNode(node, node.params.map(param => types.identifier(param.name)));
+        },
+        /**
+         * 是否代理对象
+         * - 成员全部为字符串/数字字面量或代理函数, key 不重复
+         * - 绑定不被重新赋值, 且所有引用都是已有成员的读取(函数成员只能被调用)或别名声明
+         * @param {NodePath} path ObjectExpression, 父节点为 VariableDeclarator
+         * @returns {boolean}
+         */
+        isProxyObject(path) {
+            let properties = path.node.properties;
+            if (properties.length === 0) {
+                return false;
+            }
+
+            let keys = new Set();
+            for (let property of properties) {
+                if (property.type !== 'ObjectProperty'
+                    || property.computed
+                    || !(property.key.type === 'Identifier' || property.key.type === 'StringLiteral')) {
+                    return false;
+                }
+
+                let key = utils.getStringLiteralValue(property.key);
+                if (keys.has(key) || key === '__proto__') {
+                    return false;
+                }
+
+                keys.add(key);
+                if (!(property.value.type === 'StringLiteral'
+                    || property.value.type === 'NumericLiteral'
+                    || context.isProxyFunction(property.value))) {
+                    return false;
+                }
+            }
+
+            let binding = path.scope.getBinding(path.parentPath.node.id.name);
+            return !!binding
+                && binding.identifier === path.parentPath.node.id
+                && context.isProxyReferences(binding, properties, 0);
+        },
+        /**
+         * @param {Binding} binding 代理对象或别名的绑定
+         * @param {ObjectProperty[]} properties
+         * @param {number} depth 别名层数
+         * @returns {boolean}
+         */
+        isProxyReferences(binding, properties, depth) {
+            if (!binding.constant || utils.isExportedBinding(binding) || context.isGlobalBinding(binding)) {
+                return false;
+            }
+
+            return binding.referencePaths.every(refPath => {
+                let parentPath = refPath.parentPath;
+                // e.g. var alias = proxyObj
+                if (parentPath.isVariableDeclarator()
+                    && parentPath.node.init === refPath.node
+                    && parentPath.node.id.type === 'Identifier') {
+                    let aliasBinding = parentPath.scope.getBinding(parentPath.node.id.name);
+                    return depth < 3
+                        && !!aliasBinding
+                        && aliasBinding !== binding
+                        && aliasBinding.identifier === parentPath.node.id
+                        && context.isProxyReferences(aliasBinding, properties, depth + 1);
+                }
+
+                if (!(parentPath.isMemberExpression() && parentPath.node.object === refPath.node)) {
+                    return false;
+                }
+
+                let propertyName = utils.getMemberPropertyName(parentPath.node);
+                let property = propertyName === null ? null : utils.findProperty(properties, propertyName);
+                if (!property) {
+                    return false;
+                }
+
+                let outerPath = parentPath.parentPath;
+                if (property.value.type === 'FunctionExpression') {
+                    return outerPath.isCallExpression() && outerPath.node.callee === parentPath.node;
+                }
+
+                // 只读
+                return !(outerPath.isAssignmentExpression() && outerPath.node.left === parentPath.node)
+                    && !outerPath.isUpdateExpression()
+                    && !(outerPath.isUnaryExpression() && outerPath.node.operator === 'delete')
+                    && !(outerPath.isForXStatement() && outerPath.node.left === parentPath.node);
+            });
+        },
+        /**
+         * 标识符指向的代理对象(必须是本轮仍然有效的登记)
+         * @param {NodePath} path Identifier
+         * @returns {Object|null} id, path, aliasPaths
+         */
+        getProxyObject(path) {
+            if (!path.isIdentifier()) {
+                return null;
+            }
+
+            let binding = path.scope.getBinding(path.node.name);
+            let proxyObject = binding ? cache.proxyObjects.get(binding.identifier) : null;
+            return proxyObject && cache.proxyObjects.get(proxyObject.id) === proxyObject ? proxyObject : null;
+        },
+        /**
+         * 代理对象成员读取对应的属性
+         * @param {NodePath} path MemberExpression e.g. proxyObj.abcde | proxyObj['abcde']
+         * @returns {ObjectProperty|null}
+         */
+        getProxyProperty(path) {
+            let propertyName = utils.getMemberPropertyName(path.node);
+            let proxyObject = propertyName === null ? null : context.getProxyObject(path.get('object'));
+            let property = proxyObject ? utils.findProperty(proxyObject.path.node.properties, propertyName) : null;
+            if (!property) {
+                return null;
+            }
+
+            // 代理函数引用的外部对象在使用处须指向同一绑定
+            // e.g. function(a, b){return other.call(a, b)}
+            let argument = property.value.type === 'FunctionExpression' ? property.value.body.body[0].argument : null;
+            if (argument
+                && argument.type === 'CallExpression'
+                && argument.callee.type === 'MemberExpression'
+                && path.scope.getBinding(argument.callee.object.name) !== proxyObject.path.scope.getBinding(argument.callee.object.name)) {
+                return null;
+            }
+
+            return property;
+        },
+        /**
+         * 对象声明后紧跟的成员赋值合并回对象字面量
+         * - 仅合并静态 key, 值无副作用且不引用该对象
+         * - 跳过中间的函数声明, 遇到第一条不满足的语句即停止
+         * - return 的逗号表达式中开头的赋值也合并 e.g. return obj.a = 1, obj;
+         * @param {NodePath} path VariableDeclaration
+         * @returns {boolean}
+         */
+        foldObjectAssignments(path) {
+            let declarations = path.node.declarations;
+            let declarator = declarations[declarations.length - 1];
+            if (!path.inList
+                || declarator.id.type !== 'Identifier'
+                || !declarator.init
+                || declarator.init.type !== 'ObjectExpression'
+                || !declarator.init.properties.every(property => property.type === 'ObjectProperty' && !property.computed)) {
+                return false;
+            }
+
+            let name = declarator.id.name;
+            let isFoldable = (expression) => {
+                if (!(expression.type === 'AssignmentExpression'
+                    && expression.operator === '='
+                    && expression.left.type === 'MemberExpression'
+                    && expression.left.object.type === 'Identifier'
+                    && expression.left.object.name === name)) {
+                    //
+                    return false;
+                }
+
+                let propertyName = utils.getMemberPropertyName(expression.left);
+                return propertyName !== null && propertyName !== '__proto__' && utils.isPureNode(expression.right, name);
+            };
+            let statementPaths = [];
+            let expressions = [];
+            for (let statementPath of path.getAllNextSiblings()) {
+                // 函数声明已提升, 不影响执行顺序 e.g. 字符串数组函数插在中间
+                if (statementPath.isFunctionDeclaration()) {
+                    continue;
+                }
+
+                if (statementPath.isExpressionStatement() && isFoldable(statementPath.node.expression)) {
+                    statementPaths.push(statementPath);
+                    expressions.push(statementPath.node.expression);
+                    continue;
+                }
+
+                // return obj.a = 1, obj.b = 2, obj; -> return obj;
+                let argument = statementPath.isReturnStatement() ? statementPath.node.argument : null;
+                if (argument && argument.type === 'SequenceExpression') {
+                    let count = 0;
+                    while (count < argument.expressions.length - 1 && isFoldable(argument.expressions[count])) {
+                        count++;
+                    }
+
+                    expressions.push(...argument.expressions.splice(0, count));
+                    if (argument.expressions.length === 1) {
+                        statementPath.get('argument').replaceWith(argument.expressions[0]);
+                    }
+                }
+
+                break
+            }
+
+            for (let expression of expressions) {
+                let propertyName = utils.getMemberPropertyName(expression.left);
+                // 已有的 key 保持原位置(枚举顺序不变), 原值无副作用时只替换值
+                let property = utils.findProperty(declarator.init.properties, propertyName);
+                if (property && utils.isPureNode(property.value)) {
+                    property.value = expression.right;
+                } else {
+                    let key = utils.isValidVariableName(propertyName) ? types.identifier(propertyName) : types.stringLiteral(propertyName);
+                    declarator.init.properties.push(utils.inheritLocation(types.objectProperty(key, expression.right), expression));
+                }
+            }
+
+            for (let statementPath of statementPaths) {
+                statementPath.remove();
+            }
+
+            return expressions.length > 0;
+        },
+        /**
+         * 前一条语句声明的只使用一次的对象放回使用处(transformObjectKeys 的临时对象)
+         * - 使用处之前的求值都没有副作用: 声明的初值 | 赋值 | 调用的参数 | return, 或其中对象字面量的属性值
+         * e.g. var _0x1 = {a: 1}; var obj = {b: _0x1}; -> var obj = {b: {a: 1}};
+         * @param {NodePath} path VariableDeclaration | ExpressionStatement | ReturnStatement
+         */
+        inlineTemporaryObjects(path) {
+            while (path.inList && path.key > 0) {
+                let previousPath = path.getSibling(path.key - 1);
+                let declarators = previousPath.isVariableDeclaration() ? previousPath.get('declarations') : [];
+                let declaratorPath = declarators[declarators.length - 1];
+                if (!declaratorPath
+                    || !declaratorPath.get('id').isIdentifier()
+                    || !declaratorPath.get('init').isObjectExpression()) {
+                    //
+                    return;
+                }
+
+                let binding = path.scope.getBinding(declaratorPath.node.id.name);
+                let refPath = binding && binding.referencePaths.length === 1 ? binding.referencePaths[0] : null;
+                if (!refPath
+                    || binding.path !== declaratorPath
+                    || binding.constantViolations.length > 0
+                    || cache.proxyObjects.has(binding.identifier)
+                    || utils.isExportedBinding(binding)
+                    || !context.isFirstEvaluated(refPath, path)) {
+                    //
+                    return;
+                }
+
+                refPath.replaceWith(declaratorPath.node.init);
+                if (declarators.length > 1) {
+                    declaratorPath.remove();
+                    return;
+                }
+
+                previousPath.remove();
+            }
+        },
+        /**
+         * 语句中在该表达式之前的求值都没有副作用
+         * @param {NodePath} path
+         * @param {NodePath} statementPath
+         * @returns {boolean}
+         */
+        isFirstEvaluated(path, statementPath) {
+            // {a: 1, b: _0x1} 其他属性值无副作用时整体看作该位置
+            while (path.parentPath.isObjectProperty({value: path.node})
+                && !path.parentPath.node.computed
+                && path.parentPath.parentPath.node.properties.every(property => property.type === 'ObjectProperty'
+                    && !property.computed
+                    && (property === path.parentPath.node || utils.isPureNode(property.value)))) {
+                //
+                path = path.parentPath.parentPath;
+            }
+
+            let parentPath = path.parentPath;
+            if (parentPath.node === statementPath.node) {
+                return statementPath.isReturnStatement();
+            }
+
+            if (parentPath.parentPath.node !== statementPath.node) {
+                return false;
+            }
+
+            if (parentPath.isVariableDeclarator({init: path.node})) {
+                return statementPath.node.declarations.slice(0, parentPath.key).every(declarator => !declarator.init || utils.isPureNode(declarator.init));
+            }
+
+            if (parentPath.isAssignmentExpression({operator: '=', right: path.node})) {
+                return parentPath.node.left.type === 'Identifier';
+            }
+
+            return parentPath.isCallExpression()
+                && path.listKey === 'arguments'
+                && parentPath.node.callee.type === 'Identifier'
+                && parentPath.node.arguments.slice(0, path.key).every(argument => utils.isPureNode(argument));
+        },
+    };
+
+    let pipeline = [
+        {name: 'sequence', enabled: transforms.splitSequence, run: () => traverse(ast, visitorFirst)},
+        {name: 'detect', enabled: transforms.decodeStrings, run: context.detectEncrypt},
+        {name: 'fingerprint', enabled: options.detect, run: context.collectFingerprint},
+        {name: 'transform', enabled: true, run: context.transformToFixpoint},
+        {name: 'guards', enabled: transforms.removeGuards, run: context.removeGuards},
+        {name: 'beautify', enabled: transforms.rename, run: context.beautify},
+        {name: 'cleanup', enabled: true, run: context.cleanup},
+        {name: 'eliminate', enabled: transforms.removeDeadCode, run: context.eliminateDeadCode},
+        {name: 'split', enabled: transforms.splitDeclarations, run: context.splitDeclarations},
+        {name: 'renames', enabled: options.renames || !!options.renameMap, run: context.applyRenames},
+        {name: 'normalize', enabled: transforms.normalize, run: () => traverse(ast, visitorNormalize)}
+    ];
+    let runPlugins = (point) => {
+        for (let plugin of options.plugins) {
+            if (plugin.at === point) {
+                traverse(ast, plugin.visitor);
+            }
+        }
+    };
+
+    if (unpacked.error) {
+        context.warn('unpackFailed', `unpack ${unpacked.error.type} fail: ${unpacked.error.message}`, null);
+    }
+
+    try {
+        for (let stage of pipeline) {
+            runPlugins(`before:${stage.name}`);
+            if (stage.enabled) {
+                measure(stage.name, stage.run);
+            }
+            runPlugins(`after:${stage.name}`);
+            if (stage.name === lastStage) {
+                break
+            }
+        }
+    } finally {
+        sandbox.dispose();
+    }
+
+    if (lastStage) {
+        return {detect: inferObfuscator(fingerprint, report.unpacked)};
+    }
+
+    let generateOptions = {
+        sourceMaps: options.sourceMaps,
+        sourceFileName: options.sourceFileName
     };
+    let {code, map} = measure('generate', () => generate(ast, generateOptions, sourceCode));
+    if (options.benchmark) {
+        report.timings = timings;
+    }
+
+    if (options.sourceMaps || options.report || options.verify || options.unbundle || options.detect || options.renames) {
+        let result = {code};
+        if (options.sourceMaps) {
+            result.map = map;
+        }
 
-    traverse(ast, visitorFirst);
-    traverse(ast, visitorDetectEncrypt);
-    traverse(ast, visitor);
-    traverse(ast, visitorBeautify);
-    context.cleanup();
+        if (options.report) {
+            result.report = report;
+        }
+
+        if (options.verify) {
+            result.verify = ast.program.sourceType === 'module'
+                ? {equivalent: false, skipped: 'ES modules cannot run in the sandbox', effects: 0, differences: []}
+                : measure('verify', () => verifyCode(jsCode, code, options.sandbox));
+        }
+
+        if (options.detect) {
+            result.detect = inferObfuscator(fingerprint, report.unpacked);
+        }
+
+        if (options.unbundle) {
+            result.bundle = measure('unbundle', () => unbundleAst(ast));
+        }
+
+        if (options.renames) {
+            result.renames = renames;
+        }
+
+        return result;
+    }
 
-    let generateOptions = {};
-    let {code} = generate(ast, generateOptions);
     return code;
 }
 
-exports.optimize = optimize;
\ No newline at end of file
+/**
+ * 识别混淆工具和开启的选项: 只执行到 fingerprint 阶段, 不做 transform 和代码生成
+ * @param {string} jsCode
+ * @param {Object} [options] 参见 DEFAULT_OPTIONS
+ * @returns {Object} 参见 DEFAULT_OPTIONS.detect
+ */
+function detect(jsCode, options) {
+    return optimize(jsCode, Object.assign({}, options, {detect: true}), 'fingerprint').detect;
+}
+
+exports.optimize = optimize;
+exports.detect = detect;
\ No newline at end of file
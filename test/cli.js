@@ -0,0 +1,144 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 命令行用例: 在临时目录中执行 bin/deobfuscator2.js, 检查退出码/输出文件/stdout
+let binPath = path.join(__dirname, '..', 'bin', 'deobfuscator2.js');
+let fsOptions = {
+    encoding: 'utf-8'
+};
+let source = 'var total = 0x1 + 0x2;\nconsole.log(total);\n';
+let cleaned = 'var total = 3;\nconsole.log(total);';
+let failedCount = 0;
+
+/**
+ * 在临时目录中创建文件
+ * @param {Object<string, string>} files 相对路径 -> 内容
+ * @returns {string} 目录
+ */
+let createDir = (files) => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deobfuscator2-'));
+    for (let name of Object.keys(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), {recursive: true});
+        fs.writeFileSync(path.join(dir, name), files[name], fsOptions);
+    }
+
+    return dir;
+};
+let run = (dir, argv, input) => childProcess.spawnSync(process.execPath, [binPath, ...argv], {
+    cwd: dir,
+    input: input === undefined ? '' : input,
+    encoding: 'utf-8',
+    timeout: 60000
+});
+let readFile = (dir, name) => fs.existsSync(path.join(dir, name)) ? fs.readFileSync(path.join(dir, name), fsOptions) : null;
+let cases = [
+    {
+        name: 'writes <name>-cleaned.js next to the input',
+        files: {'a.js': source},
+        argv: ['a.js'],
+        status: 0,
+        check: (dir) => readFile(dir, 'a-cleaned.js') === cleaned
+    },
+    {
+        name: '--suffix changes the output name',
+        files: {'a.js': source},
+        argv: ['a.js', '--suffix', '.out'],
+        status: 0,
+        check: (dir) => readFile(dir, 'a.out.js') === cleaned
+    },
+    {
+        name: 'directories skip earlier outputs and other extensions',
+        files: {'src/a.js': source, 'src/a-cleaned.js': 'old', 'src/b.txt': source},
+        argv: ['src'],
+        status: 0,
+        check: (dir) => readFile(dir, 'src/a-cleaned.js') === cleaned && readFile(dir, 'src/b-cleaned.txt') === null
+    },
+    {
+        name: 'globs expand below their base directory',
+        files: {'src/a.js': source, 'src/lib/b.js': source, 'other/c.js': source},
+        argv: ['src/**/*.js', '--out-dir', 'out'],
+        status: 0,
+        check: (dir) => readFile(dir, 'out/a.js') === cleaned
+            && readFile(dir, 'out/lib/b.js') === cleaned
+            && readFile(dir, 'out/c.js') === null
+    },
+    {
+        name: '--overwrite rewrites the input',
+        files: {'a.js': source},
+        argv: ['a.js', '--overwrite'],
+        status: 0,
+        check: (dir) => readFile(dir, 'a.js') === cleaned && readFile(dir, 'a-cleaned.js') === null
+    },
+    {
+        name: 'an empty suffix without --overwrite is refused',
+        files: {'a.js': source},
+        argv: ['a.js', '--suffix', ''],
+        status: 2,
+        check: (dir) => readFile(dir, 'a.js') === source
+    },
+    {
+        name: '--overwrite cannot be combined with --out-dir',
+        files: {'a.js': source},
+        argv: ['a.js', '--overwrite', '--out-dir', 'out'],
+        status: 2,
+        check: (dir) => readFile(dir, 'a.js') === source
+    },
+    {
+        name: 'unknown options are refused',
+        files: {},
+        argv: ['--unknown'],
+        status: 2
+    },
+    {
+        name: 'reads stdin and writes stdout',
+        files: {},
+        argv: ['-'],
+        input: source,
+        status: 0,
+        check: (dir, result) => result.stdout.trim() === cleaned
+    },
+    {
+        name: '--stdout writes no files',
+        files: {'a.js': source},
+        argv: ['a.js', '--stdout'],
+        status: 0,
+        check: (dir, result) => result.stdout.trim() === cleaned && readFile(dir, 'a-cleaned.js') === null
+    },
+    {
+        name: 'a file that fails to parse exits with 1, the others are still written',
+        files: {'a.js': source, 'b.js': 'var = ;'},
+        argv: ['a.js', 'b.js'],
+        status: 1,
+        check: (dir) => readFile(dir, 'a-cleaned.js') === cleaned && readFile(dir, 'b-cleaned.js') === null
+    },
+    {
+        name: 'no matching input exits with 1',
+        files: {},
+        argv: ['src/*.js'],
+        status: 1
+    },
+    {
+        name: 'inputs with the same output file are refused',
+        files: {'a/src/x.js': source, 'b/src/x.js': 'var other = 1;\n'},
+        argv: ['a/src/x.js', 'b/src/x.js', '--out-dir', 'out'],
+        status: 2,
+        check: (dir) => readFile(dir, 'out/x.js') === null
+    }
+];
+
+for (let item of cases) {
+    let dir = createDir(item.files);
+    let result = run(dir, item.argv, item.input);
+    if (result.status === item.status && (!item.check || item.check(dir, result))) {
+        console.log(`cli ok! ${item.name}`);
+    } else {
+        failedCount++;
+        console.error(`cli fail! ${item.name} (exit ${result.status})\n${result.stderr}`);
+    }
+
+    fs.rmSync(dir, {recursive: true, force: true});
+}
+
+process.exitCode = failedCount > 0 ? 1 : 0;
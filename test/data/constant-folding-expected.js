@@ -0,0 +1,10 @@
+var s = html`<b>x</b>`;
+var t = html`<i>${2}</i>`;
+var u = String.raw`\unicode and \xZZ`;
+var v = "a2b";
+console.log(s, t, u, v);
+var k = 3;
+var w = "6px";
+var x = "hi3";
+var y = "yes";
+console.log(w, x, y, "number", -3, k);
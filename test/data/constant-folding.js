@@ -0,0 +1,10 @@
+var s = html`<b>x</b>`;
+var t = html`<i>${1 + 1}</i>`;
+var u = String.raw`\unicode and \xZZ`;
+var v = `a${1 + 1}b`;
+console.log(s, t, u, v);
+var k = 3;
+var w = k * 2 + 'px';
+var x = String.fromCharCode(104, 105) + 'abc'.length;
+var y = !'' ? 'yes' : 'no';
+console.log(w, x, y, typeof k, -k, k);
@@ -0,0 +1,4 @@
+function pick() {
+  var b = 'abc'['01'] + [1, 2, 3]['1.0'] + 'abc'[true] + 'abc'[' 1'] + [1, 2, 3][3];
+  return "3bb3a" + b;
+}
@@ -0,0 +1,5 @@
+function pick() {
+    var a = 'abc'[1] + 'abc'['1'] + [1, 2, 3][2] + 'abc'[-0];
+    var b = 'abc'['01'] + [1, 2, 3]['1.0'] + 'abc'[true] + 'abc'[' 1'] + [1, 2, 3][3];
+    return 'abc'.length + a + b;
+}
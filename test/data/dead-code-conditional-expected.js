@@ -0,0 +1,11 @@
+function pick(a, b) {
+  var x;
+  x = a();
+  console.log(b(), x);
+  return x;
+}
+pick(function () {
+  return 1;
+}, function () {
+  return 2;
+});
@@ -0,0 +1,11 @@
+function pick(a, b) {
+    var x;
+    x = true ? a() : b();
+    console.log(false ? a() : b(), x);
+    return true ? x : b();
+}
+pick(function () {
+    return 1;
+}, function () {
+    return 2;
+});
@@ -0,0 +1,16 @@
+function read(o, key) {
+  key in o;
+  try {
+    undefinedGlobal;
+  } catch (e) {
+    return null;
+  }
+  var pending = o instanceof Object;
+  return o[key];
+}
+function unusedHelper() {
+  return 1;
+}
+read({
+  a: 1
+}, 'a');
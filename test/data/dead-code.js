@@ -0,0 +1,23 @@
+function read(o, key) {
+    0x1;
+    'unused';
+    o;
+    if (key in o) {
+    }
+    if (o) {
+    }
+    try {
+        undefinedGlobal;
+        typeof undefinedGlobal;
+    } catch (e) {
+        return null;
+    }
+    var unused = 1, pending = o instanceof Object;
+    return o[key];
+    console.log('unreachable');
+    var hoisted = 2;
+}
+function unusedHelper() {
+    return 1;
+}
+read({a: 1}, 'a');
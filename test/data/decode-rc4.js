@@ -0,0 +1 @@
+var _0x39d55a=_0x4572;function _0x5c30(){var _0x276c0a=['WRBdNSk1WOpcHGHUcW','AZXQWRNcRJxcVG3dRxJdMq','p8kjW4rBW6OSnWmJzSoUWRtdVq','WQJdNCoI','W4bKW7CEiSoWW7S','WROHxhRdLSkukCo4','WRiYn8kIWQ7dKmoSW5LOW6FcIg1r','kJWJWO4RW7HyC8k/wa','umo0AGRdO8kYWOJdICkYCrnLbq','dCkKm1VcPSoQ','W77cTgBcHg7cJXVcG8or','WPCukaBdLLOw','p8oVW4C','W6FcTwu','qmkpmuCCW6pcLM1uqNq','W5xcVmkjs8oxlq4','lHZdIZpdQmkTzhClfmoNW7pcJG','WO9oWQdcSa','W6xcU2/cHa','WR86js5GW7jDhCk5WQNcVv9T','omknW4ztW6GSmJWMDmowWRFdLG','WOldUsddHSoy','FWZdHaGMkSk8W4idg8oa','pCkmW4fuW6KQmJyGwSoqWPldJq','W4GBW6hdVuCXWPlcRfRdJ3xdTuu','k8kvW6ahkWRcO8kRgCoUbwBcHG','WRFdHSo3WOD/WQfOpfO','W4pcM8o+WQT5pCo4WOylW6RdThVcMG','W6JcV8kuFN/dOSoZ','W53dGvZdGvSnWQi','pCoMyG','WQzsBCo8W4Oqn8kD','WP9nW4ORCSkjW5BdH8osBmk8','WPnOWP/cUvW','WQGxW4ldScFdUW'];_0x5c30=function(){return _0x276c0a;};return _0x5c30();}(function(_0x4bd908,_0x1cb8cb){var _0x3c558f=_0x4572,_0x27ec2b=_0x4bd908();while(!![]){try{var _0x27c93d=-parseInt(_0x3c558f(0x1f8,'SWrP'))/0x1*(parseInt(_0x3c558f(0x206,'mLeI'))/0x2)+parseInt(_0x3c558f(0x20f,'h#B5'))/0x3+-parseInt(_0x3c558f(0x1fa,'h#B5'))/0x4+-parseInt(_0x3c558f(0x213,'L5bW'))/0x5+parseInt(_0x3c558f(0x207,'YG2O'))/0x6*(parseInt(_0x3c558f(0x208,'@%fC'))/0x7)+-parseInt(_0x3c558f(0x20b,'RZEm'))/0x8*(-parseInt(_0x3c558f(0x1f2,'d$bo'))/0x9)+-parseInt(_0x3c558f(0x1f5,'ko1l'))/0xa*(-parseInt(_0x3c558f(0x1ff,'sab3'))/0xb);if(_0x27c93d===_0x1cb8cb)break;else _0x27ec2b['push'](_0x27ec2b['shift']());}catch(_0x11ea1b){_0x27ec2b['push'](_0x27ec2b['shift']());}}}(_0x5c30,0x7fb66));function _0x4572(_0x58e146,_0x2cb993){_0x58e146=_0x58e146-0x1f1;var _0x5c3045=_0x5c30();var _0x4572e7=_0x5c3045[_0x58e146];if(_0x4572['CDbRxK']===undefined){var _0x4c5772=function(_0x153b96){var _0x30824e='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';var _0x360b04='',_0x40e795='';for(var _0x114ff=0x0,_0x3b0376,_0x28397b,_0x2cd6e1=0x0;_0x28397b=_0x153b96['charAt'](_0x2cd6e1++);~_0x28397b&&(_0x3b0376=_0x114ff%0x4?_0x3b0376*0x40+_0x28397b:_0x28397b,_0x114ff++%0x4)?_0x360b04+=String['fromCharCode'](0xff&_0x3b0376>>(-0x2*_0x114ff&0x6)):0x0){_0x28397b=_0x30824e['indexOf'](_0x28397b);}for(var _0x1c087f=0x0,_0x47a17b=_0x360b04['length'];_0x1c087f<_0x47a17b;_0x1c087f++){_0x40e795+='%'+('00'+_0x360b04['charCodeAt'](_0x1c087f)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x40e795);};var _0x1aa5dc=function(_0xd2cf69,_0x1f93d0){var _0x4c574b=[],_0x4b4173=0x0,_0x4beab1,_0x23072f='';_0xd2cf69=_0x4c5772(_0xd2cf69);var _0x19abf5;for(_0x19abf5=0x0;_0x19abf5<0x100;_0x19abf5++){_0x4c574b[_0x19abf5]=_0x19abf5;}for(_0x19abf5=0x0;_0x19abf5<0x100;_0x19abf5++){_0x4b4173=(_0x4b4173+_0x4c574b[_0x19abf5]+_0x1f93d0['charCodeAt'](_0x19abf5%_0x1f93d0['length']))%0x100,_0x4beab1=_0x4c574b[_0x19abf5],_0x4c574b[_0x19abf5]=_0x4c574b[_0x4b4173],_0x4c574b[_0x4b4173]=_0x4beab1;}_0x19abf5=0x0,_0x4b4173=0x0;for(var _0x2ba8f2=0x0;_0x2ba8f2<_0xd2cf69['length'];_0x2ba8f2++){_0x19abf5=(_0x19abf5+0x1)%0x100,_0x4b4173=(_0x4b4173+_0x4c574b[_0x19abf5])%0x100,_0x4beab1=_0x4c574b[_0x19abf5],_0x4c574b[_0x19abf5]=_0x4c574b[_0x4b4173],_0x4c574b[_0x4b4173]=_0x4beab1,_0x23072f+=String['fromCharCode'](_0xd2cf69['charCodeAt'](_0x2ba8f2)^_0x4c574b[(_0x4c574b[_0x19abf5]+_0x4c574b[_0x4b4173])%0x100]);}return _0x23072f;};_0x4572['opHAHs']=_0x1aa5dc,_0x4572['yMbdRK']={},_0x4572['CDbRxK']=!![];}var _0x4c8809=_0x5c3045[0x0];_0x4572['WXGnft']!==_0x4c8809&&(_0x4572['yMbdRK']={},_0x4572['WXGnft']=_0x4c8809);var _0x25e8fc=_0x4572['yMbdRK'][_0x58e146];return _0x25e8fc===undefined?(_0x4572['hGpUBp']===undefined&&(_0x4572['hGpUBp']=!![]),_0x4572e7=_0x4572['opHAHs'](_0x4572e7,_0x2cb993),_0x4572['yMbdRK'][_0x58e146]=_0x4572e7):_0x4572e7=_0x25e8fc,_0x4572e7;}function greet(_0x360b04){var _0x26cd9f=_0x4572,_0x40e795=_0x26cd9f(0x1f1,'f!!P')+_0x360b04+'!';return console[_0x26cd9f(0x205,'Oak%')](_0x40e795),_0x40e795[_0x26cd9f(0x1f7,'[iT2')];}function sum(_0x114ff){var _0x4ad731=_0x4572,_0x3b0376=0x0;for(var _0x28397b=0x0;_0x28397b<_0x114ff[_0x4ad731(0x201,'pjTq')];_0x28397b++){_0x3b0376+=_0x114ff[_0x28397b];}return _0x3b0376;}var items=[0x1,0x2,0x3,0x4];console[_0x39d55a(0x1f3,'4csO')](_0x39d55a(0x204,'$U3N'),sum(items)),greet(_0x39d55a(0x1f6,'&82o'));var obj={};obj[_0x39d55a(0x20a,'Oak%')]=_0x39d55a(0x209,'HH!%'),obj[_0x39d55a(0x20d,'mw[6')]=0x2a,console[_0x39d55a(0x1fb,'BBwj')](JSON[_0x39d55a(0x212,'BBwj')](obj));typeof window===_0x39d55a(0x202,'Oak%')&&console[_0x39d55a(0x1fb,'BBwj')](_0x39d55a(0x1fd,'4hJ3'));
\ No newline at end of file
@@ -0,0 +1,20 @@
+function greet(param) {
+  var str = "Hello, " + param + '!';
+  return console.log(str), str.length;
+}
+function sum(list) {
+  var num = 0;
+  for (var i = 0; i < list.length; i++) {
+    num += list[i];
+  }
+  return num;
+}
+var items = [1, 2, 3, 4];
+console.log("sum", sum(items));
+greet("world");
+var obj = {
+  name: "test",
+  value: 42
+};
+console.log(JSON.stringify(obj));
+typeof window === "undefined" && console.log('node\x20env');
@@ -0,0 +1 @@
+var _0x2fe7=['2163356HNTpRb','387PPPtnx','913916iCfJhx','log','1sEOkHO','666692SpLWvi','167DOIENj','838276cXqlmi','2346uLALaK','sum','undefined','test','8473jsGPzP','stringify','name','Hello,\x20','309838rAjvdx','world'];var _0x3661=function(_0x276df4,_0x356a9b){_0x276df4=_0x276df4-0x1f1;var _0x2fe701=_0x2fe7[_0x276df4];return _0x2fe701;};var _0x43512c=_0x3661;(function(_0x984a75,_0x3344d9){var _0x19638b=_0x3661;while(!![]){try{var _0x3d6263=parseInt(_0x19638b(0x1f2))*parseInt(_0x19638b(0x1f9))+parseInt(_0x19638b(0x1f3))+-parseInt(_0x19638b(0x201))*parseInt(_0x19638b(0x1f5))+-parseInt(_0x19638b(0x1f6))+-parseInt(_0x19638b(0x1f8))+-parseInt(_0x19638b(0x1fd))*parseInt(_0x19638b(0x1f7))+parseInt(_0x19638b(0x1f1));if(_0x3d6263===_0x3344d9)break;else _0x984a75['push'](_0x984a75['shift']());}catch(_0x4d3856){_0x984a75['push'](_0x984a75['shift']());}}}(_0x2fe7,0xb86b1));function greet(_0x2e0ef0){var _0x344670=_0x3661,_0x45403b=_0x344670(0x200)+_0x2e0ef0+'!';return console['log'](_0x45403b),_0x45403b['length'];}function sum(_0x58e146){var _0x2cb993=0x0;for(var _0x5c3045=0x0;_0x5c3045<_0x58e146['length'];_0x5c3045++){_0x2cb993+=_0x58e146[_0x5c3045];}return _0x2cb993;}var items=[0x1,0x2,0x3,0x4];console[_0x43512c(0x1f4)](_0x43512c(0x1fa),sum(items)),greet(_0x43512c(0x202));var obj={};obj[_0x43512c(0x1ff)]=_0x43512c(0x1fc),obj['value']=0x2a,console[_0x43512c(0x1f4)](JSON[_0x43512c(0x1fe)](obj));typeof window===_0x43512c(0x1fb)&&console[_0x43512c(0x1f4)]('node\x20env');
\ No newline at end of file
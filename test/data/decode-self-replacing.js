@@ -0,0 +1 @@
+var _0x2bada0=_0x4572;(function(_0x4bd908,_0x1cb8cb){var _0x5d8dc1=_0x4572,_0x27ec2b=_0x4bd908();while(!![]){try{var _0x27c93d=-parseInt(_0x5d8dc1(0x1f4))/0x1*(parseInt(_0x5d8dc1(0x1f3))/0x2)+parseInt(_0x5d8dc1(0x1fd))/0x3+-parseInt(_0x5d8dc1(0x205))/0x4+-parseInt(_0x5d8dc1(0x1fe))/0x5+parseInt(_0x5d8dc1(0x1f7))/0x6*(parseInt(_0x5d8dc1(0x203))/0x7)+-parseInt(_0x5d8dc1(0x1f5))/0x8*(-parseInt(_0x5d8dc1(0x1fb))/0x9)+-parseInt(_0x5d8dc1(0x1f8))/0xa*(-parseInt(_0x5d8dc1(0x202))/0xb);if(_0x27c93d===_0x1cb8cb)break;else _0x27ec2b['push'](_0x27ec2b['shift']());}catch(_0x11ea1b){_0x27ec2b['push'](_0x27ec2b['shift']());}}}(_0x5c30,0x7fb66));function greet(_0x360b04){var _0x29146c=_0x4572,_0x40e795=_0x29146c(0x201)+_0x360b04+'!';return console[_0x29146c(0x200)](_0x40e795),_0x40e795[_0x29146c(0x1ff)];}function sum(_0x114ff){var _0x2c8e11=_0x4572,_0x3b0376=0x0;for(var _0x28397b=0x0;_0x28397b<_0x114ff[_0x2c8e11(0x1ff)];_0x28397b++){_0x3b0376+=_0x114ff[_0x28397b];}return _0x3b0376;}var items=[0x1,0x2,0x3,0x4];function _0x4572(_0x58e146,_0x2cb993){_0x58e146=_0x58e146-0x1f1;var _0x5c3045=_0x5c30();var _0x4572e7=_0x5c3045[_0x58e146];if(_0x4572['pwgiJe']===undefined){var _0x4c5772=function(_0x1aa5dc){var _0x153b96='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';var _0x30824e='',_0x360b04='';for(var _0x40e795=0x0,_0x114ff,_0x3b0376,_0x28397b=0x0;_0x3b0376=_0x1aa5dc['charAt'](_0x28397b++);~_0x3b0376&&(_0x114ff=_0x40e795%0x4?_0x114ff*0x40+_0x3b0376:_0x3b0376,_0x40e795++%0x4)?_0x30824e+=String['fromCharCode'](0xff&_0x114ff>>(-0x2*_0x40e795&0x6)):0x0){_0x3b0376=_0x153b96['indexOf'](_0x3b0376);}for(var _0x2cd6e1=0x0,_0x1c087f=_0x30824e['length'];_0x2cd6e1<_0x1c087f;_0x2cd6e1++){_0x360b04+='%'+('00'+_0x30824e['charCodeAt'](_0x2cd6e1)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x360b04);};_0x4572['kYNikb']=_0x4c5772,_0x4572['wYkuFs']={},_0x4572['pwgiJe']=!![];}var _0x4c8809=_0x5c3045[0x0];_0x4572['YtYlYv']!==_0x4c8809&&(_0x4572['wYkuFs']={},_0x4572['YtYlYv']=_0x4c8809);var _0x25e8fc=_0x4572['wYkuFs'][_0x58e146];return _0x25e8fc===undefined?(_0x4572e7=_0x4572['kYNikb'](_0x4572e7),_0x4572['wYkuFs'][_0x58e146]=_0x4572e7):_0x4572e7=_0x25e8fc,_0x4572e7;}console[_0x2bada0(0x200)](_0x2bada0(0x1f9),sum(items)),greet(_0x2bada0(0x1fa));var obj={};function _0x5c30(){var _0x545ba2=['ndqWmta2mu9jru5Qsa','C3rYAw5NAwz5','mZaYoti2nhbmv3zPyW','DMfSDwu','BM9KzsbLBNy','BMfTzq','mtG3ntjbANzKEhm','ndzdzKPOEhi','ndGZoti2ne5uCfjIzG','Dw5KzwzPBMvK','nNnhuhPqra','mJq1mdbyqLH0vNi','C3vT','D29YBgq','oujJuvPxAa','DgvZDa','mtu3nJeWmuvpA0HpuW','mtC2nZyZmfHXBg1PAG','BgvUz3rO','Bg9N','sgvSBg8Sia','mtm3nwX1BerjBa'];_0x5c30=function(){return _0x545ba2;};return _0x5c30();}obj[_0x2bada0(0x1f2)]=_0x2bada0(0x1fc),obj[_0x2bada0(0x206)]=0x2a,console[_0x2bada0(0x200)](JSON[_0x2bada0(0x204)](obj));typeof window===_0x2bada0(0x1f6)&&console[_0x2bada0(0x200)](_0x2bada0(0x1f1));
\ No newline at end of file
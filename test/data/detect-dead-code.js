@@ -0,0 +1,2 @@
+// @options {"detect": true}
+(function(_0x207535,_0x321d09){var _0x5ecd93=_0x1bc3,_0x5a510d=_0x207535();while(!![]){try{var _0x549509=-parseInt(_0x5ecd93(0x194))/0x1+parseInt(_0x5ecd93(0x18a))/0x2+-parseInt(_0x5ecd93(0x1a4))/0x3*(parseInt(_0x5ecd93(0x19a))/0x4)+-parseInt(_0x5ecd93(0x18d))/0x5*(-parseInt(_0x5ecd93(0x18f))/0x6)+-parseInt(_0x5ecd93(0x190))/0x7+-parseInt(_0x5ecd93(0x1a5))/0x8*(parseInt(_0x5ecd93(0x19c))/0x9)+parseInt(_0x5ecd93(0x1a6))/0xa;if(_0x549509===_0x321d09)break;else _0x5a510d['push'](_0x5a510d['shift']());}catch(_0x1d0de3){_0x5a510d['push'](_0x5a510d['shift']());}}}(_0x3633,0x4076e));function f0(_0x385801){var _0x5378ff=_0x1bc3,_0x2961c8={'YEygx':function(_0xb53844,_0x4f1f62){return _0xb53844*_0x4f1f62;},'yxAbx':function(_0x312a3c,_0x1e43b9){return _0x312a3c+_0x1e43b9;},'ItXpR':function(_0x375afd,_0x5949f2){return _0x375afd>_0x5949f2;},'Hxnua':function(_0x5b1394,_0x3a6b05){return _0x5b1394<_0x3a6b05;},'hovva':function(_0x4d150d,_0x3dfedd){return _0x4d150d>_0x3dfedd;},'pQRGe':function(_0x472c47,_0x1bdcad){return _0x472c47<_0x1bdcad;},'iMdKV':function(_0x2971bc,_0x248899){return _0x2971bc===_0x248899;},'fZFuh':_0x5378ff(0x18c),'DlcWL':function(_0x18238b,_0x1331c3){return _0x18238b+_0x1331c3;},'hueoI':function(_0x2317f3,_0x259b22){return _0x2317f3!==_0x259b22;},'aVOyO':_0x5378ff(0x189)},_0x3151c1=[];for(var _0xad34b7=0x0;_0x2961c8[_0x5378ff(0x186)](_0xad34b7,_0x385801[_0x5378ff(0x185)]);_0xad34b7++){if(_0x2961c8[_0x5378ff(0x19d)](_0x2961c8[_0x5378ff(0x187)],_0x2961c8[_0x5378ff(0x187)]))_0x3151c1[_0x5378ff(0x193)](_0x2961c8[_0x5378ff(0x182)](_0x385801[_0xad34b7],0x0)),_0x3151c1[_0x5378ff(0x193)](_0x2961c8[_0x5378ff(0x199)]('x',_0xad34b7)),_0x2961c8[_0x5378ff(0x195)](_0xad34b7,0x2)&&(_0x2961c8[_0x5378ff(0x181)](_0x2961c8[_0x5378ff(0x192)],_0x2961c8[_0x5378ff(0x192)])?(_0x321eee[_0x5378ff(0x193)](_0x2961c8[_0x5378ff(0x182)](_0x40310a[_0x1687e3],0x1)),_0x10a9e4[_0x5378ff(0x193)](_0x2961c8[_0x5378ff(0x1a0)]('x',_0x10573e)),_0x2961c8[_0x5378ff(0x195)](_0x3b06af,0x2)&&_0x1fffca[_0x5378ff(0x193)]('y')):_0x3151c1[_0x5378ff(0x193)]('y'));else{var _0x223f98=[];for(var _0x3065a9=0x0;_0x2961c8[_0x5378ff(0x179)](_0x3065a9,_0x53240c[_0x5378ff(0x185)]);_0x3065a9++){_0x223f98[_0x5378ff(0x193)](_0x2961c8[_0x5378ff(0x182)](_0x534aef[_0x3065a9],0x0)),_0x223f98[_0x5378ff(0x193)](_0x2961c8[_0x5378ff(0x1a0)]('x',_0x3065a9)),_0x2961c8[_0x5378ff(0x17e)](_0x3065a9,0x2)&&_0x223f98[_0x5378ff(0x193)]('y');}return _0x2f62e4[_0x5378ff(0x17d)](_0x223f98[_0x5378ff(0x188)](',')),_0x223f98[_0x5378ff(0x185)];}}return console[_0x5378ff(0x17d)](_0x3151c1[_0x5378ff(0x188)](',')),_0x3151c1[_0x5378ff(0x185)];}function _0x3633(){var _0x55d3f1=['length','pQRGe','fZFuh','join','oLZIt','627838CWsYYA','TgpNR','cnWvc','2303615znQlIV','Rzjpn','6XibEbW','909489LHRTOQ','YHvpL','aVOyO','push','364508EyuSRG','ItXpR','ltGdO','FMjUY','uWdas','DlcWL','4oyCiUl','VohPj','9emDDhP','iMdKV','iMcMs','SSacq','yxAbx','ZeBNA','Jkkqq','xNyIS','1018974SdVTaW','3495184oUPFcV','7603950nYKbwd','Hxnua','gGVeg','cAnoT','veNau','log','hovva','AUMUq','yLXhj','hueoI','YEygx','Gjzqq','OXkjw'];_0x3633=function(){return _0x55d3f1;};return _0x3633();}f0([0x1,0x2,0x3,0x4]);function f1(_0x160ad0){var _0x2c9831=_0x1bc3,_0x2ee171={'VohPj':function(_0x3dfb35,_0x3e2ac4){return _0x3dfb35<_0x3e2ac4;},'Gjzqq':function(_0x3363e2,_0x12efc7){return _0x3363e2*_0x12efc7;},'OXkjw':function(_0x3d58e9,_0x10f9a5){return _0x3d58e9+_0x10f9a5;},'FMjUY':function(_0x4e44d8,_0x42f1e4){return _0x4e44d8>_0x42f1e4;},'cAnoT':function(_0x3c4e8b,_0xce6d12){return _0x3c4e8b*_0xce6d12;},'ltGdO':function(_0x5d3bc0,_0x3d111a){return _0x5d3bc0+_0x3d111a;},'YHvpL':function(_0xdaeeaa,_0x129f71){return _0xdaeeaa>_0x129f71;},'iMcMs':function(_0x10556b,_0x52ccf2){return _0x10556b<_0x52ccf2;},'SSacq':function(_0x59dc96,_0x2244a7){return _0x59dc96===_0x2244a7;},'Jkkqq':_0x2c9831(0x1a1),'AUMUq':_0x2c9831(0x1a3),'uWdas':function(_0x50ea5d,_0x59a342){return _0x50ea5d*_0x59a342;},'gGVeg':function(_0xa42a21,_0x113064){return _0xa42a21!==_0x113064;},'Rzjpn':_0x2c9831(0x18b),'veNau':_0x2c9831(0x180)},_0x50746b=[];for(var _0x3d49af=0x0;_0x2ee171[_0x2c9831(0x19e)](_0x3d49af,_0x160ad0[_0x2c9831(0x185)]);_0x3d49af++){if(_0x2ee171[_0x2c9831(0x19f)](_0x2ee171[_0x2c9831(0x1a2)],_0x2ee171[_0x2c9831(0x17f)])){var _0x5ed80b=[];for(var _0x434738=0x0;_0x2ee171[_0x2c9831(0x19b)](_0x434738,_0x26129d[_0x2c9831(0x185)]);_0x434738++){_0x5ed80b[_0x2c9831(0x193)](_0x2ee171[_0x2c9831(0x183)](_0x1b0229[_0x434738],0x1)),_0x5ed80b[_0x2c9831(0x193)](_0x2ee171[_0x2c9831(0x184)]('x',_0x434738)),_0x2ee171[_0x2c9831(0x197)](_0x434738,0x2)&&_0x5ed80b[_0x2c9831(0x193)]('y');}return _0x120f96[_0x2c9831(0x17d)](_0x5ed80b[_0x2c9831(0x188)](',')),_0x5ed80b[_0x2c9831(0x185)];}else _0x50746b[_0x2c9831(0x193)](_0x2ee171[_0x2c9831(0x198)](_0x160ad0[_0x3d49af],0x1)),_0x50746b[_0x2c9831(0x193)](_0x2ee171[_0x2c9831(0x184)]('x',_0x3d49af)),_0x2ee171[_0x2c9831(0x197)](_0x3d49af,0x2)&&(_0x2ee171[_0x2c9831(0x17a)](_0x2ee171[_0x2c9831(0x18e)],_0x2ee171[_0x2c9831(0x17c)])?_0x50746b[_0x2c9831(0x193)]('y'):(_0x11931f[_0x2c9831(0x193)](_0x2ee171[_0x2c9831(0x17b)](_0x157579[_0x37710e],0x0)),_0x4b4ce1[_0x2c9831(0x193)](_0x2ee171[_0x2c9831(0x196)]('x',_0x350329)),_0x2ee171[_0x2c9831(0x191)](_0x1edf92,0x2)&&_0x4c7ad3[_0x2c9831(0x193)]('y')));}return console[_0x2c9831(0x17d)](_0x50746b[_0x2c9831(0x188)](',')),_0x50746b[_0x2c9831(0x185)];}function _0x1bc3(_0x1bedfd,_0x3844ec){_0x1bedfd=_0x1bedfd-0x179;var _0x363397=_0x3633();var _0x1bc3b2=_0x363397[_0x1bedfd];return _0x1bc3b2;}f1([0x1,0x2,0x3,0x4]);
\ No newline at end of file
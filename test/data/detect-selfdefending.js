@@ -0,0 +1,2 @@
+// @options {"detect": true}
+var _0x472450=_0x2cd6;(function(_0x51882f,_0x1221b1){var _0x34861b=_0x2cd6,_0x5b9e71=_0x51882f();while(!![]){try{var _0x20f8e0=-parseInt(_0x34861b(0x1fb))/0x1*(-parseInt(_0x34861b(0x21f))/0x2)+-parseInt(_0x34861b(0x1fc))/0x3*(-parseInt(_0x34861b(0x207))/0x4)+parseInt(_0x34861b(0x225))/0x5+-parseInt(_0x34861b(0x201))/0x6*(parseInt(_0x34861b(0x228))/0x7)+parseInt(_0x34861b(0x221))/0x8*(parseInt(_0x34861b(0x21c))/0x9)+-parseInt(_0x34861b(0x227))/0xa*(-parseInt(_0x34861b(0x224))/0xb)+parseInt(_0x34861b(0x209))/0xc*(-parseInt(_0x34861b(0x206))/0xd);if(_0x20f8e0===_0x1221b1)break;else _0x5b9e71['push'](_0x5b9e71['shift']());}catch(_0x3769a0){_0x5b9e71['push'](_0x5b9e71['shift']());}}}(_0x2839,0xc1a02),(function(){var _0x26f307=_0x2cd6,_0x4beab1=function(){var _0x3ab57f=_0x2cd6,_0x19abf5;try{_0x19abf5=Function(_0x3ab57f(0x1f3)+_0x3ab57f(0x219)+');')();}catch(_0x2ba8f2){_0x19abf5=window;}return _0x19abf5;},_0x23072f=_0x4beab1();_0x23072f[_0x26f307(0x1f8)](_0x1aa5dc,0x7d0);}()));function greet(_0x262890){var _0xbbd817=_0x2cd6,_0x449033=(function(){var _0x107bc3=!![];return function(_0x340929,_0xa29f81){var _0x414880=_0x107bc3?function(){var _0x3b75b1=_0x2cd6;if(_0xa29f81){var _0xd31c93=_0xa29f81[_0x3b75b1(0x21b)](_0x340929,arguments);return _0xa29f81=null,_0xd31c93;}}:function(){};return _0x107bc3=![],_0x414880;};}()),_0x3035c8=_0x449033(this,function(){var _0x4fdf49=_0x2cd6;if(_0x3035c8[_0x4fdf49(0x1f9)]()[_0x4fdf49(0x200)]()[_0x4fdf49(0x212)]('\x0a')!==-0x1)return;return _0x3035c8[_0x4fdf49(0x200)]()[_0x4fdf49(0x21e)](_0x4fdf49(0x20f))[_0x4fdf49(0x200)]()[_0x4fdf49(0x1fe)](_0x3035c8)[_0x4fdf49(0x21e)](_0x4fdf49(0x20f));});_0x3035c8();var _0x458f3e=(function(){var _0x2b8230=!![];return function(_0x2103e0,_0x30d300){var _0x122b50=_0x2b8230?function(){var _0x441564=_0x2cd6;if(_0x30d300){var _0x28089e=_0x30d300[_0x441564(0x21b)](_0x2103e0,arguments);return _0x30d300=null,_0x28089e;}}:function(){};return _0x2b8230=![],_0x122b50;};}()),_0xafa3=_0x458f3e(this,function(){var _0x3dddc1=_0x2cd6,_0x5f4762=function(){var _0x40c8af=_0x2cd6,_0x51f64c;try{_0x51f64c=Function(_0x40c8af(0x1f3)+_0x40c8af(0x219)+');')();}catch(_0x1cbff9){_0x51f64c=window;}return _0x51f64c;},_0x2ae2a3=_0x5f4762(),_0x215c77=_0x2ae2a3[_0x3dddc1(0x208)]=_0x2ae2a3[_0x3dddc1(0x208)]||{},_0x37a894=[_0x3dddc1(0x211),_0x3dddc1(0x21a),_0x3dddc1(0x20b),_0x3dddc1(0x20a),_0x3dddc1(0x205),_0x3dddc1(0x1f2),_0x3dddc1(0x1f5)];for(var _0x4b0477=0x0;_0x4b0477<_0x37a894[_0x3dddc1(0x20c)];_0x4b0477++){var _0x13fd5e=_0x458f3e[_0x3dddc1(0x1fe)][_0x3dddc1(0x20e)][_0x3dddc1(0x1f9)](_0x458f3e),_0x3d551e=_0x37a894[_0x4b0477],_0x497359=_0x215c77[_0x3d551e]||_0x13fd5e;_0x13fd5e[_0x3dddc1(0x1f1)]=_0x458f3e[_0x3dddc1(0x1f9)](_0x458f3e),_0x13fd5e[_0x3dddc1(0x200)]=_0x497359[_0x3dddc1(0x200)][_0x3dddc1(0x1f9)](_0x497359),_0x215c77[_0x3d551e]=_0x13fd5e;}});_0xafa3();var _0x4369e5=_0xbbd817(0x214)+_0x262890+'!';return console[_0xbbd817(0x211)](_0x4369e5),_0x4369e5[_0xbbd817(0x20c)];}function _0x2cd6(_0x58e146,_0x2cb993){_0x58e146=_0x58e146-0x1f1;var _0x5c3045=_0x2839();var _0x4572e7=_0x5c3045[_0x58e146];return _0x4572e7;}function sum(_0x443f21){var _0x466f03=_0x2cd6,_0x582be6=(function(){var _0x4f384f=!![];return function(_0x5a7d65,_0x1ee5f5){var _0x14c2f2=_0x4f384f?function(){var _0x471881=_0x2cd6;if(_0x1ee5f5){var _0x1613e7=_0x1ee5f5[_0x471881(0x21b)](_0x5a7d65,arguments);return _0x1ee5f5=null,_0x1613e7;}}:function(){};return _0x4f384f=![],_0x14c2f2;};}());(function(){_0x582be6(this,function(){var _0x4e1d95=_0x2cd6,_0xec4e3a=new RegExp(_0x4e1d95(0x1fd)),_0x11b130=new RegExp(_0x4e1d95(0x1f4),'i'),_0x21dea5=_0x1aa5dc(_0x4e1d95(0x226));!_0xec4e3a[_0x4e1d95(0x213)](_0x21dea5+_0x4e1d95(0x218))||!_0x11b130[_0x4e1d95(0x213)](_0x21dea5+_0x4e1d95(0x217))?_0x21dea5('0'):_0x1aa5dc();})();}());var _0x276b02=0x0;for(var _0xef25df=0x0;_0xef25df<_0x443f21[_0x466f03(0x20c)];_0xef25df++){_0x276b02+=_0x443f21[_0xef25df];}return _0x276b02;}var items=[0x1,0x2,0x3,0x4];console[_0x472450(0x211)](_0x472450(0x204),sum(items)),greet(_0x472450(0x1f6));var obj={};obj[_0x472450(0x21d)]=_0x472450(0x213),obj[_0x472450(0x215)]=0x2a,console[_0x472450(0x211)](JSON[_0x472450(0x203)](obj));typeof window===_0x472450(0x1ff)&&console[_0x472450(0x211)](_0x472450(0x202));function _0x2839(){var _0x514a71=['undefined','toString','5937564Bryzfd','node\x20env','stringify','sum','exception','13911144wtILvG','4DYrngr','console','12rnWRko','error','info','length','stateObject','prototype','(((.+)+)+)+$','debu','log','indexOf','test','Hello,\x20','value','counter','input','chain','{}.constructor(\x22return\x20this\x22)(\x20)','warn','apply','9XMkIXm','name','search','981854lDIlPp','action','3564976bUnXnB','call','while\x20(true)\x20{}','55iWXPJg','3993445krZZWe','init','1643410DSoMkQ','7RvFVIJ','__proto__','table','return\x20(function()\x20','\x5c+\x5c+\x20*(?:[a-zA-Z_$][0-9a-zA-Z_$]*)','trace','world','gger','setInterval','bind','string','1XtVrlu','887487vvaadj','function\x20*\x5c(\x20*\x5c)','constructor'];_0x2839=function(){return _0x514a71;};return _0x2839();}function _0x1aa5dc(_0x3c4bb0){function _0x4c9ff6(_0x2ed49a){var _0x448646=_0x2cd6;if(typeof _0x2ed49a===_0x448646(0x1fa))return function(_0x4cc1ef){}[_0x448646(0x1fe)](_0x448646(0x223))[_0x448646(0x21b)](_0x448646(0x216));else(''+_0x2ed49a/_0x2ed49a)[_0x448646(0x20c)]!==0x1||_0x2ed49a%0x14===0x0?function(){return!![];}[_0x448646(0x1fe)](_0x448646(0x210)+_0x448646(0x1f7))[_0x448646(0x222)](_0x448646(0x220)):function(){return![];}[_0x448646(0x1fe)](_0x448646(0x210)+_0x448646(0x1f7))[_0x448646(0x21b)](_0x448646(0x20d));_0x4c9ff6(++_0x2ed49a);}try{if(_0x3c4bb0)return _0x4c9ff6;else _0x4c9ff6(0x0);}catch(_0x359aa2){}}
\ No newline at end of file
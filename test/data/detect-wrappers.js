@@ -0,0 +1,2 @@
+// @options {"detect": true}
+function _0x2b11b6(_0x3464a8,_0x395030,_0x193177,_0x304382,_0xd445f5){return _0x4572(_0x3464a8- -0xbc,_0x193177);}function _0x4572(_0x58e146,_0x2cb993){_0x58e146=_0x58e146-0x1f1;var _0x5c3045=_0x5c30();var _0x4572e7=_0x5c3045[_0x58e146];if(_0x4572['XLGrhh']===undefined){var _0x4c5772=function(_0x1aa5dc){var _0x153b96='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';var _0x30824e='',_0x360b04='';for(var _0x40e795=0x0,_0x114ff,_0x3b0376,_0x28397b=0x0;_0x3b0376=_0x1aa5dc['charAt'](_0x28397b++);~_0x3b0376&&(_0x114ff=_0x40e795%0x4?_0x114ff*0x40+_0x3b0376:_0x3b0376,_0x40e795++%0x4)?_0x30824e+=String['fromCharCode'](0xff&_0x114ff>>(-0x2*_0x40e795&0x6)):0x0){_0x3b0376=_0x153b96['indexOf'](_0x3b0376);}for(var _0x2cd6e1=0x0,_0x1c087f=_0x30824e['length'];_0x2cd6e1<_0x1c087f;_0x2cd6e1++){_0x360b04+='%'+('00'+_0x30824e['charCodeAt'](_0x2cd6e1)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x360b04);};_0x4572['LEDHxx']=_0x4c5772,_0x4572['WTFjWw']={},_0x4572['XLGrhh']=!![];}var _0x4c8809=_0x5c3045[0x0];_0x4572['HjrkaI']!==_0x4c8809&&(_0x4572['WTFjWw']={},_0x4572['HjrkaI']=_0x4c8809);var _0x25e8fc=_0x4572['WTFjWw'][_0x58e146];return _0x25e8fc===undefined?(_0x4572e7=_0x4572['LEDHxx'](_0x4572e7),_0x4572['WTFjWw'][_0x58e146]=_0x4572e7):_0x4572e7=_0x25e8fc,_0x4572e7;}(function(_0x4bd908,_0x1cb8cb){var _0x27ec2b=_0x4bd908();function _0x5d8dc1(_0x1f3cd3,_0x340d69,_0x22942d,_0x5681f1,_0x5938f3){return _0x4572(_0x22942d- -0x28,_0x5681f1);}function _0xa8108d(_0x4a1df4,_0x50b733,_0x2a8d42,_0x30d2a2,_0x84e63){return _0x4572(_0x4a1df4- -0x9a,_0x2a8d42);}function _0x333282(_0x11bea2,_0x4217fa,_0x44c619,_0x535931,_0x52cc62){return _0x4572(_0x535931- -0x230,_0x4217fa);}while(!![]){try{var _0x27c93d=-parseInt(_0x5d8dc1(0x1c7,0x1d1,0x1cc,0x1d7,0x1c9))/0x1*(parseInt(_0x5d8dc1(0x1cc,0x1d0,0x1cb,0x1c3,0x1c5))/0x2)+parseInt(_0x5d8dc1(0x1d4,0x1dc,0x1d5,0x1dd,0x1d8))/0x3+-parseInt(_0xa8108d(0x16b,0x172,0x168,0x161,0x173))/0x4+-parseInt(_0xa8108d(0x164,0x166,0x15b,0x16d,0x161))/0x5+parseInt(_0xa8108d(0x15d,0x152,0x160,0x163,0x152))/0x6*(parseInt(_0xa8108d(0x169,0x16e,0x166,0x16f,0x15f))/0x7)+-parseInt(_0x333282(-0x42,-0x30,-0x44,-0x3b,-0x30))/0x8*(-parseInt(_0x5d8dc1(0x1d1,0x1d3,0x1d3,0x1c9,0x1d9))/0x9)+-parseInt(_0x333282(-0x2e,-0x3f,-0x34,-0x38,-0x39))/0xa*(-parseInt(_0x333282(-0x2e,-0x37,-0x2e,-0x2e,-0x31))/0xb);if(_0x27c93d===_0x1cb8cb)break;else _0x27ec2b['push'](_0x27ec2b['shift']());}catch(_0x11ea1b){_0x27ec2b['push'](_0x27ec2b['shift']());}}}(_0x5c30,0x7fb66));function greet(_0x360b04){var _0x40e795=_0x3b75b1(0x2d1,0x2d4,0x2d9,0x2dc,0x2d4)+_0x360b04+'!';console[_0x3b75b1(0x2cb,0x2de,0x2d2,0x2d2,0x2d3)](_0x40e795);function _0x6e048e(_0x394523,_0xe205f0,_0x573699,_0x155dd3,_0x4f0857){return _0x4572(_0x573699- -0x34f,_0x155dd3);}function _0x3b75b1(_0x3e1b41,_0x4485c0,_0x24c9c8,_0x29bf3b,_0x4b7fde){return _0x4572(_0x4b7fde-0xd3,_0x4485c0);}function _0x2d65b0(_0x39114b,_0x48b9aa,_0x458792,_0x32c26c,_0x54a04a){return _0x4572(_0x39114b- -0x234,_0x48b9aa);}return _0x40e795[_0x6e048e(-0x157,-0x14d,-0x150,-0x149,-0x151)];}function sum(_0x114ff){var _0x3b0376=0x0;function _0x21ae23(_0x9ddc3b,_0x382828,_0x1c7550,_0x4dc986,_0x2c9521){return _0x4572(_0x9ddc3b-0xa1,_0x4dc986);}for(var _0x28397b=0x0;_0x28397b<_0x114ff[_0x21ae23(0x2a0,0x2a0,0x296,0x2a0,0x2a3)];_0x28397b++){_0x3b0376+=_0x114ff[_0x28397b];}return _0x3b0376;}var items=[0x1,0x2,0x3,0x4];console[_0x2b11b6(0x144,0x140,0x145,0x13a,0x13b)](_0x4cba5e(0xbe,0xb7,0xb8,0xae,0xbb),sum(items)),greet(_0x2b11b6(0x13e,0x135,0x13d,0x13c,0x141));function _0x5c30(){var _0x512196=['ndqWmta2mu9jru5Qsa','C3rYAw5NAwz5','mZaYoti2nhbmv3zPyW','DMfSDwu','BM9KzsbLBNy','BMfTzq','mtG3ntjbANzKEhm','ndzdzKPOEhi','ndGZoti2ne5uCfjIzG','Dw5KzwzPBMvK','nNnhuhPqra','mJq1mdbyqLH0vNi','C3vT','D29YBgq','oujJuvPxAa','DgvZDa','mtu3nJeWmuvpA0HpuW','mtC2nZyZmfHXBg1PAG','BgvUz3rO','Bg9N','sgvSBg8Sia','mtm3nwX1BerjBa'];_0x5c30=function(){return _0x512196;};return _0x5c30();}var obj={};obj[_0x2b11b6(0x136,0x12e,0x130,0x13b,0x12e)]=_0x4ecbd1(0x1ee,0x1f6,0x1e0,0x1f6,0x1eb),obj[_0x4ecbd1(0x1f0,0x1fc,0x1ea,0x1f3,0x1f5)]=0x2a;function _0x4ecbd1(_0x2ec5a0,_0x3b3b83,_0x449b2d,_0x402025,_0x4ab938){return _0x4572(_0x4ab938- -0x11,_0x3b3b83);}console[_0x4ecbd1(0x1f4,0x1e7,0x1e7,0x1e5,0x1ef)](JSON[_0x4ecbd1(0x1f5,0x1fe,0x1ef,0x1e8,0x1f3)](obj));function _0x4cba5e(_0x425de4,_0x23b374,_0x52145c,_0x19efa5,_0x2e1e2a){return _0x4572(_0x52145c- -0x141,_0x19efa5);}typeof window===_0x4ecbd1(0x1df,0x1db,0x1ef,0x1e9,0x1e5)&&console[_0x4ecbd1(0x1ed,0x1ea,0x1f5,0x1ed,0x1ef)](_0x4ecbd1(0x1e8,0x1e8,0x1df,0x1d8,0x1e0));
\ No newline at end of file
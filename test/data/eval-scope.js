@@ -0,0 +1,24 @@
+function lexical() {
+    let a = 1;
+    eval("let a = 2; console.log(a)");
+    return a;
+}
+function strict() {
+    'use strict';
+    eval("var b = 1");
+    return typeof b;
+}
+function collide() {
+    const c = 1;
+    eval("var c = 2");
+    return c;
+}
+function ownStrict() {
+    eval("'use strict'; var d = 1");
+    return typeof d;
+}
+function sloppy() {
+    eval("var e = 1; function g() { return e; }");
+    return g() + eval("1 + 2");
+}
+console.log(lexical(), strict(), ownStrict(), sloppy());
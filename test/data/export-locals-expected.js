@@ -0,0 +1,13 @@
+export function f(param) {
+  var list = [];
+  list.push(param);
+  return list;
+}
+export default function (str) {
+  var parts = str.split(',');
+  return parts;
+}
+export var kept = 1,
+  _0x3c4d5e = 2;
+var local = 3;
+export { local };
@@ -0,0 +1,13 @@
+export function f(_0x1a2b3c) {
+    var unused = 1;
+    var _0x4d5e6f = [];
+    _0x4d5e6f.push(_0x1a2b3c);
+    return _0x4d5e6f;
+}
+export default function (_0x7a8b9c) {
+    var _0x1f2e3d = _0x7a8b9c.split(',');
+    return _0x1f2e3d;
+}
+export var kept = 1, _0x3c4d5e = 2;
+var local = 3;
+export { local };
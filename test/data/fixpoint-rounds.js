@@ -0,0 +1,14 @@
+// @options {"report": true}
+(function () {
+    var _0x1a = {
+        'add': function (_0x2b, _0x3c) {
+            return _0x2b + _0x3c;
+        }
+    };
+    var _0x4d = _0x1a['add'](1, 2);
+    if (_0x4d === 3) {
+        console['log']('three', _0x1a['add']('a', 'b'));
+    } else {
+        console['log']('other');
+    }
+})();
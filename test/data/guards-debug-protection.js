@@ -0,0 +1 @@
+var _0x3fe393=_0x2f60;function _0x3c18(){var _0x1fa619=['node\x20env','1845exoyiE','stateObject','sum','while\x20(true)\x20{}','{}.constructor(\x22return\x20this\x22)(\x20)','input','Hello,\x20','debu','2884152FqYSvz','function\x20*\x5c(\x20*\x5c)','setInterval','apply','name','chain','length','init','5409756uLFXsQ','return\x20(function()\x20','call','249473qDTGyc','counter','5dUyAuh','constructor','204QMEilx','undefined','test','world','674811oyhagh','action','string','\x5c+\x5c+\x20*(?:[a-zA-Z_$][0-9a-zA-Z_$]*)','gger','stringify','5158722fkVbSy','6796IJltyz','value','log','45070LNOdsN'];_0x3c18=function(){return _0x1fa619;};return _0x3c18();}(function(_0x2aee60,_0x4a86cb){var _0x1cef2a=_0x2f60,_0x3c68b0=_0x2aee60();while(!![]){try{var _0x491887=-parseInt(_0x1cef2a(0x137))/0x1+-parseInt(_0x1cef2a(0x13e))/0x2*(parseInt(_0x1cef2a(0x133))/0x3)+parseInt(_0x1cef2a(0x12c))/0x4+-parseInt(_0x1cef2a(0x131))/0x5*(-parseInt(_0x1cef2a(0x13d))/0x6)+-parseInt(_0x1cef2a(0x12f))/0x7+parseInt(_0x1cef2a(0x124))/0x8+parseInt(_0x1cef2a(0x143))/0x9*(-parseInt(_0x1cef2a(0x141))/0xa);if(_0x491887===_0x4a86cb)break;else _0x3c68b0['push'](_0x3c68b0['shift']());}catch(_0x192eef){_0x3c68b0['push'](_0x3c68b0['shift']());}}}(_0x3c18,0xacae0));function greet(_0x16f9fd){var _0x4467ff=_0x2f60,_0x281262=(function(){var _0x51f4c5=!![];return function(_0x4bd7ff,_0x26eb91){var _0x4f9658=_0x51f4c5?function(){var _0x5c7680=_0x2f60;if(_0x26eb91){var _0x555696=_0x26eb91[_0x5c7680(0x127)](_0x4bd7ff,arguments);return _0x26eb91=null,_0x555696;}}:function(){};return _0x51f4c5=![],_0x4f9658;};}());(function(){_0x281262(this,function(){var _0x5322d0=_0x2f60,_0x5b28a7=new RegExp(_0x5322d0(0x125)),_0x54f69b=new RegExp(_0x5322d0(0x13a),'i'),_0x1c1226=_0x3f8167(_0x5322d0(0x12b));!_0x5b28a7[_0x5322d0(0x135)](_0x1c1226+_0x5322d0(0x129))||!_0x54f69b[_0x5322d0(0x135)](_0x1c1226+_0x5322d0(0x121))?_0x1c1226('0'):_0x3f8167();})();}());var _0x145552=_0x4467ff(0x122)+_0x16f9fd+'!';return console[_0x4467ff(0x140)](_0x145552),_0x145552[_0x4467ff(0x12a)];}function sum(_0x11e07f){var _0x35ad68=_0x2f60,_0x7257db=0x0;for(var _0x33146d=0x0;_0x33146d<_0x11e07f[_0x35ad68(0x12a)];_0x33146d++){_0x7257db+=_0x11e07f[_0x33146d];}return _0x7257db;}function _0x2f60(_0x265f48,_0xae7c4c){_0x265f48=_0x265f48-0x11f;var _0x477631=_0x3c18();var _0x3f8167=_0x477631[_0x265f48];return _0x3f8167;}var items=[0x1,0x2,0x3,0x4];console[_0x3fe393(0x140)](_0x3fe393(0x145),sum(items)),(function(){var _0x187ee2=_0x3fe393,_0x299782;try{var _0x2b3d75=Function(_0x187ee2(0x12d)+_0x187ee2(0x120)+');');_0x299782=_0x2b3d75();}catch(_0x443503){_0x299782=window;}_0x299782[_0x187ee2(0x126)](_0x3f8167,0xfa0);}()),greet(_0x3fe393(0x136));var obj={};obj[_0x3fe393(0x128)]=_0x3fe393(0x135),obj[_0x3fe393(0x13f)]=0x2a,console[_0x3fe393(0x140)](JSON[_0x3fe393(0x13c)](obj));typeof window===_0x3fe393(0x134)&&console[_0x3fe393(0x140)](_0x3fe393(0x142));function _0x3f8167(_0x146371){function _0x104908(_0x4c9122){var _0x4dc9ca=_0x2f60;if(typeof _0x4c9122===_0x4dc9ca(0x139))return function(_0x1be13a){}[_0x4dc9ca(0x132)](_0x4dc9ca(0x11f))[_0x4dc9ca(0x127)](_0x4dc9ca(0x130));else(''+_0x4c9122/_0x4c9122)[_0x4dc9ca(0x12a)]!==0x1||_0x4c9122%0x14===0x0?function(){return!![];}[_0x4dc9ca(0x132)](_0x4dc9ca(0x123)+_0x4dc9ca(0x13b))[_0x4dc9ca(0x12e)](_0x4dc9ca(0x138)):function(){return![];}[_0x4dc9ca(0x132)](_0x4dc9ca(0x123)+_0x4dc9ca(0x13b))[_0x4dc9ca(0x127)](_0x4dc9ca(0x144));_0x104908(++_0x4c9122);}try{if(_0x146371)return _0x104908;else _0x104908(0x0);}catch(_0x3f97e7){}}
\ No newline at end of file
@@ -0,0 +1 @@
+var _0x15229c=_0x2a96;(function(_0x17de4e,_0x486bc0){var _0x13fd99=_0x2a96,_0x57b9ee=_0x17de4e();while(!![]){try{var _0x5e3b95=parseInt(_0x13fd99(0x12b))/0x1+parseInt(_0x13fd99(0x13a))/0x2*(parseInt(_0x13fd99(0x138))/0x3)+parseInt(_0x13fd99(0x140))/0x4*(-parseInt(_0x13fd99(0x132))/0x5)+parseInt(_0x13fd99(0x133))/0x6*(parseInt(_0x13fd99(0x13c))/0x7)+parseInt(_0x13fd99(0x121))/0x8+parseInt(_0x13fd99(0x129))/0x9+parseInt(_0x13fd99(0x11f))/0xa*(-parseInt(_0x13fd99(0x127))/0xb);if(_0x5e3b95===_0x486bc0)break;else _0x57b9ee['push'](_0x57b9ee['shift']());}catch(_0x59bc37){_0x57b9ee['push'](_0x57b9ee['shift']());}}}(_0x5b5c,0x434aa));function greet(_0x95da7e){var _0x1e412e=_0x2a96,_0x868462=(function(){var _0x233e88=!![];return function(_0x34d5c1,_0x4c73af){var _0x161a38=_0x233e88?function(){var _0x504e69=_0x2a96;if(_0x4c73af){var _0x17cca5=_0x4c73af[_0x504e69(0x120)](_0x34d5c1,arguments);return _0x4c73af=null,_0x17cca5;}}:function(){};return _0x233e88=![],_0x161a38;};}()),_0x1873cc=_0x868462(this,function(){var _0x29b646=_0x2a96,_0xddec2a=function(){var _0x547eaf=_0x2a96,_0x6a9ece;try{_0x6a9ece=Function(_0x547eaf(0x134)+_0x547eaf(0x136)+');')();}catch(_0x5b8295){_0x6a9ece=window;}return _0x6a9ece;},_0x4783f7=_0xddec2a(),_0x186b70=new RegExp(_0x29b646(0x13f),'g'),_0x559b6f=_0x29b646(0x12d)[_0x29b646(0x13d)](_0x186b70,'')[_0x29b646(0x13e)](';'),_0x4dd9b,_0x106c7b,_0x49076,_0x348146,_0x3b9d51=function(_0x92480,_0x2c6edf,_0x22c604){var _0x240bdb=_0x29b646;if(_0x92480[_0x240bdb(0x141)]!=_0x2c6edf)return![];for(var _0x202730=0x0;_0x202730<_0x2c6edf;_0x202730++){for(var _0xd2dc3c=0x0;_0xd2dc3c<_0x22c604[_0x240bdb(0x141)];_0xd2dc3c+=0x2){if(_0x202730==_0x22c604[_0xd2dc3c]&&_0x92480[_0x240bdb(0x13b)](_0x202730)!=_0x22c604[_0xd2dc3c+0x1])return![];}}return!![];},_0x2a49e4=function(_0x5b40a9,_0x22e798,_0x59660c){return _0x3b9d51(_0x22e798,_0x59660c,_0x5b40a9);},_0x505ef9=function(_0x522650,_0x7ecd52,_0x1673b9){return _0x2a49e4(_0x7ecd52,_0x522650,_0x1673b9);},_0x5767ff=function(_0x3c62d1,_0x5653b2,_0x44268a){return _0x505ef9(_0x5653b2,_0x44268a,_0x3c62d1);};for(var _0x1cef2a in _0x4783f7){if(_0x3b9d51(_0x1cef2a,0x8,[0x7,0x74,0x5,0x65,0x3,0x75,0x0,0x64])){_0x4dd9b=_0x1cef2a;break;}}for(var _0x499702 in _0x4783f7[_0x4dd9b]){if(_0x5767ff(0x6,_0x499702,[0x5,0x6e,0x0,0x64])){_0x106c7b=_0x499702;break;}}for(var _0x11a801 in _0x4783f7[_0x4dd9b]){if(_0x505ef9(_0x11a801,[0x7,0x6e,0x0,0x6c],0x8)){_0x49076=_0x11a801;break;}}if(!('~'>_0x106c7b))for(var _0x134257 in _0x4783f7[_0x4dd9b][_0x49076]){if(_0x2a49e4([0x7,0x65,0x0,0x68],_0x134257,0x8)){_0x348146=_0x134257;break;}}if(!_0x4dd9b||!_0x4783f7[_0x4dd9b])return;var _0x99b908=_0x4783f7[_0x4dd9b][_0x106c7b],_0x4e06ee=!!_0x4783f7[_0x4dd9b][_0x49076]&&_0x4783f7[_0x4dd9b][_0x49076][_0x348146],_0x5e3cb0=_0x99b908||_0x4e06ee;if(!_0x5e3cb0)return;var _0x10f688=![];for(var _0x41b750=0x0;_0x41b750<_0x559b6f[_0x29b646(0x141)];_0x41b750++){var _0x106c7b=_0x559b6f[_0x41b750],_0x5b7d95=_0x106c7b[0x0]===String[_0x29b646(0x130)](0x2e)?_0x106c7b[_0x29b646(0x128)](0x1):_0x106c7b,_0x5b0d81=_0x5e3cb0[_0x29b646(0x141)]-_0x5b7d95[_0x29b646(0x141)],_0x542aee=_0x5e3cb0[_0x29b646(0x12e)](_0x5b7d95,_0x5b0d81),_0x306898=_0x542aee!==-0x1&&_0x542aee===_0x5b0d81;_0x306898&&((_0x5e3cb0[_0x29b646(0x141)]==_0x106c7b[_0x29b646(0x141)]||_0x106c7b[_0x29b646(0x12e)]('.')===0x0)&&(_0x10f688=!![]));}if(!_0x10f688){var _0x270a4a=new RegExp(_0x29b646(0x125),'g'),_0x3cdd8f=_0x29b646(0x131)[_0x29b646(0x13d)](_0x270a4a,'');_0x4783f7[_0x4dd9b][_0x49076]=_0x3cdd8f;}});_0x1873cc();var _0x178480=_0x1e412e(0x126)+_0x95da7e+'!';return console[_0x1e412e(0x12f)](_0x178480),_0x178480[_0x1e412e(0x141)];}function sum(_0x1412af){var _0x28cc52=_0x2a96,_0x136474=0x0;for(var _0x5d6aa5=0x0;_0x5d6aa5<_0x1412af[_0x28cc52(0x141)];_0x5d6aa5++){_0x136474+=_0x1412af[_0x5d6aa5];}return _0x136474;}var items=[0x1,0x2,0x3,0x4];function _0x2a96(_0x265f48,_0xae7c4c){_0x265f48=_0x265f48-0x11f;var _0x477631=_0x5b5c();var _0x3f8167=_0x477631[_0x265f48];return _0x3f8167;}console[_0x15229c(0x12f)](_0x15229c(0x123),sum(items)),greet(_0x15229c(0x139));var obj={};function _0x5b5c(){var _0x5a12ba=['indexOf','log','fromCharCode','aiEbLoutNO:bladnskNxccNYTsriivKKQMdNdPAZTe','3005KAucWN','264qzPejz','return\x20(function()\x20','value','{}.constructor(\x22return\x20this\x22)(\x20)','name','15qqkkcZ','world','118190pDyYSQ','charCodeAt','22260CUBHvR','replace','split','[vdGzKNDMvSPvRUXUjdBbLiPIJ]','284IXOrvH','length','4392760xUgkaL','apply','1807976PuIKTS','test','sum','stringify','[iELNOdsNxccNYTsriivKKQMdNdPAZTe]','Hello,\x20','33ZVVbgw','slice','4778964Zfnegg','node\x20env','443737QHSMHK','undefined','vdGexazKNDmplMev.ScPvRUoXmUjdBbLiPIJ'];_0x5b5c=function(){return _0x5a12ba;};return _0x5b5c();}obj[_0x15229c(0x137)]=_0x15229c(0x122),obj[_0x15229c(0x135)]=0x2a,console[_0x15229c(0x12f)](JSON[_0x15229c(0x124)](obj));typeof window===_0x15229c(0x12c)&&console[_0x15229c(0x12f)](_0x15229c(0x12a));
\ No newline at end of file
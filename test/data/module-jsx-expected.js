@@ -0,0 +1,6 @@
+import { render } from './view.js';
+import * as api from './api.js';
+var list = ['\x68\x65\x6c\x6c\x6f', 'json', 'items'];
+const value = await api.load(list[1]);
+export const App = param => <div className={list[0]}>{param[list[2]].length}</div>;
+render(<App items={value} />);
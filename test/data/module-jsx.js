@@ -0,0 +1,7 @@
+import { render } from './view.js';
+import * as api from './api.js';
+var _0x2f1a = ['\x68\x65\x6c\x6c\x6f', 'json', 'items'];
+const _0x3b7c = await api['load'](_0x2f1a[1]);
+var unusedTop = 1;
+export const App = (_0x1c2d) => <div className={_0x2f1a[0]}>{_0x1c2d[_0x2f1a[2]].length}</div>;
+render(<App items={_0x3b7c} />);
@@ -0,0 +1,5 @@
+(function () {
+  console.log("hi", "ABC", 7, 31);
+  console.log("1-2-3", 'a,b'.split(','), "ff", true, -4);
+  console.log('x'.repeat(1000000000), Math.random(), 'abc'.constructor, [].map, "object");
+})();
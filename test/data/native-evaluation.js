@@ -0,0 +1,5 @@
+(function () {
+    console.log(String.fromCharCode(104, 105), 'abc'.toUpperCase(), Math.max(1, 7, 3), parseInt('0x1f'));
+    console.log([1, 2, 3].join('-'), 'a,b'.split(','), (255).toString(16), !![], -'5' + 1);
+    console.log('x'.repeat(1e9), Math.random(), 'abc'.constructor, [].map, typeof null);
+})();
@@ -0,0 +1,30 @@
+function check(a, b, items) {
+  if (a === undefined) {
+    return 'missing';
+  }
+  if (a !== b) {
+    if (a) {
+      log(a);
+    }
+    if (!b) {
+      log(b);
+    }
+  }
+  if (items.length > 10) {
+    trim(items);
+  } else {
+    pad(items);
+  }
+  log('start');
+  for (i = 0; i < items.length; i++) {
+    if (typeof items[i] === 'string') {
+      log(i);
+      throw new Error('bad item');
+    }
+  }
+  log('done');
+  return items;
+}
+function shadowed(undefined) {
+  return void 0 === undefined;
+}
@@ -0,0 +1,19 @@
+// @options {"transforms": {"normalize": true}}
+function check(a, b, items) {
+    if (void 0 === a) {
+        return 'missing';
+    }
+    if (!(a === b)) {
+        a && log(a), b || log(b);
+    }
+    10 < items.length ? trim(items) : pad(items);
+    for (log('start'), i = 0; i < items.length; i++) {
+        if ('string' === typeof items[i]) {
+            throw log(i), new Error('bad item');
+        }
+    }
+    return log('done'), items;
+}
+function shadowed(undefined) {
+    return void 0 === undefined;
+}
@@ -0,0 +1,21 @@
+function find(rows, g) {
+  var i;
+  var j;
+  g();
+  outer: for (i = 0; i < rows.length; i++) {
+    g();
+    for (j = 0; j < rows[i].length; j++) {
+      if (rows[i][j]) {
+        continue outer;
+      }
+    }
+  }
+  if (rows.length) {
+    g();
+    a: b: for (i = 0; i < 1; i++) {
+      continue a;
+    }
+  }
+  return i;
+}
+find([[1]], function () {});
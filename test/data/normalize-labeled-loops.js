@@ -0,0 +1,16 @@
+// @options {"transforms": {"normalize": true}}
+function find(rows, g) {
+    var i, j;
+    outer: for (g(), i = 0; i < rows.length; i++) {
+        for (g(), j = 0; j < rows[i].length; j++) {
+            if (rows[i][j]) {
+                continue outer;
+            }
+        }
+    }
+    if (rows.length) a: b: for (g(), i = 0; i < 1; i++) {
+        continue a;
+    }
+    return i;
+}
+find([[1]], function () {});
@@ -0,0 +1,22 @@
+function f(param, callback) {
+  var obj = {
+    x: 1,
+    y: {
+      z: param
+    }
+  };
+  var value;
+  value = {
+    k: 2
+  };
+  callback({
+    arg: 3
+  });
+  return {
+    ret: obj,
+    b: value
+  };
+}
+console.log(JSON.stringify(f('n', function (param) {
+  console.log(param.arg);
+})));
@@ -0,0 +1,15 @@
+function f(_0xd3cefd, _0x2ac6b6) {
+    var _0x30c523 = {};
+    _0x30c523['z'] = _0xd3cefd;
+    var _0x32efec = {};
+    _0x32efec['x'] = 0x1, _0x32efec['y'] = _0x30c523;
+    var _0x30cea = _0x32efec, _0x52f3d4, _0x43b4ba = {};
+    _0x43b4ba['k'] = 0x2, _0x52f3d4 = _0x43b4ba;
+    var _0xc9c901 = {};
+    _0xc9c901['arg'] = 0x3, _0x2ac6b6(_0xc9c901);
+    var _0x368455 = {};
+    return _0x368455['ret'] = _0x30cea, _0x368455['b'] = _0x52f3d4, _0x368455;
+}
+console['log'](JSON['stringify'](f('n', function (_0x1c8ddf) {
+    console['log'](_0x1c8ddf['arg']);
+})));
\ No newline at end of file
@@ -0,0 +1,31 @@
+function greet(_0x276b02) {
+  var _0xef25df = {
+    rPPPt: function (_0x5a7d65, _0x1ee5f5) {
+      return _0x5a7d65 + _0x1ee5f5;
+    },
+    LaKiC: "Hello, "
+  };
+  var _0x4f384f = _0xef25df.rPPPt(_0xef25df.rPPPt(_0xef25df.LaKiC, _0x276b02), '!');
+  return console.log(_0x4f384f), _0x4f384f.length;
+}
+function sum(_0x14c2f2) {
+  var _0x1613e7 = {
+    HOSpL: function (_0x21dea5, _0x3c4bb0) {
+      return _0x21dea5 < _0x3c4bb0;
+    }
+  };
+  var _0xec4e3a = 0;
+  for (var _0x11b130 = 0; _0x1613e7.HOSpL(_0x11b130, _0x14c2f2.length); _0x11b130++) {
+    _0xec4e3a += _0x14c2f2[_0x11b130];
+  }
+  return _0xec4e3a;
+}
+var items = [1, 2, 3, 4];
+console.log("sum", sum(items));
+greet("world");
+var obj = {
+  name: "test",
+  value: 42
+};
+console.log(JSON.stringify(obj));
+typeof window === "undefined" && console.log("node env");
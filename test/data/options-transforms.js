@@ -0,0 +1,2 @@
+// @options {"transforms": {"inlineProxies": false, "rename": false}}
+var _0x1602fb=_0x4572;(function(_0x3f458d,_0x45692e){var _0xb2035a=_0x4572,_0x27b0fd=_0x3f458d();while(!![]){try{var _0x3c7159=-parseInt(_0xb2035a(0x1f4))/0x1*(parseInt(_0xb2035a(0x208))/0x2)+parseInt(_0xb2035a(0x1fc))/0x3*(parseInt(_0xb2035a(0x1f8))/0x4)+-parseInt(_0xb2035a(0x1f9))/0x5*(-parseInt(_0xb2035a(0x1fd))/0x6)+-parseInt(_0xb2035a(0x201))/0x7*(-parseInt(_0xb2035a(0x206))/0x8)+parseInt(_0xb2035a(0x1ff))/0x9+-parseInt(_0xb2035a(0x207))/0xa*(-parseInt(_0xb2035a(0x1f7))/0xb)+parseInt(_0xb2035a(0x1f2))/0xc*(-parseInt(_0xb2035a(0x204))/0xd);if(_0x3c7159===_0x45692e)break;else _0x27b0fd['push'](_0x27b0fd['shift']());}catch(_0x51882f){_0x27b0fd['push'](_0x27b0fd['shift']());}}}(_0x5c30,0xc8f41));function _0x5c30(){var _0x5334c0=['test','24731952XPJgrn','undefined','529WhXBXt','world','node\x20env','22oMkQiW','48aadjDY','210rngrkr','length','Hello,\x20','250917IlPpvv','29178ZZWeBr','LaKiC','4585563nXnBXM','HOSpL','889280yzfdRv','rPPPt','log','13WRkowt','value','56FVIJbU','1535120kIXmDS','112VrlulD','sum','stringify','name'];_0x5c30=function(){return _0x5334c0;};return _0x5c30();}function greet(_0x276b02){var _0x238b45=_0x4572,_0xef25df={'rPPPt':function(_0x5a7d65,_0x1ee5f5){return _0x5a7d65+_0x1ee5f5;},'LaKiC':_0x238b45(0x1fb)},_0x4f384f=_0xef25df[_0x238b45(0x202)](_0xef25df[_0x238b45(0x202)](_0xef25df[_0x238b45(0x1fe)],_0x276b02),'!');return console[_0x238b45(0x203)](_0x4f384f),_0x4f384f[_0x238b45(0x1fa)];}function _0x4572(_0x58e146,_0x2cb993){_0x58e146=_0x58e146-0x1f1;var _0x5c3045=_0x5c30();var _0x4572e7=_0x5c3045[_0x58e146];return _0x4572e7;}function sum(_0x14c2f2){var _0x5dfa72=_0x4572,_0x1613e7={'HOSpL':function(_0x21dea5,_0x3c4bb0){return _0x21dea5<_0x3c4bb0;}},_0xec4e3a=0x0;for(var _0x11b130=0x0;_0x1613e7[_0x5dfa72(0x200)](_0x11b130,_0x14c2f2[_0x5dfa72(0x1fa)]);_0x11b130++){_0xec4e3a+=_0x14c2f2[_0x11b130];}return _0xec4e3a;}var items=[0x1,0x2,0x3,0x4];console[_0x1602fb(0x203)](_0x1602fb(0x209),sum(items)),greet(_0x1602fb(0x1f5));var obj={};obj[_0x1602fb(0x20b)]=_0x1602fb(0x1f1),obj[_0x1602fb(0x205)]=0x2a,console[_0x1602fb(0x203)](JSON[_0x1602fb(0x20a)](obj));typeof window===_0x1602fb(0x1f3)&&console[_0x1602fb(0x203)](_0x1602fb(0x1f6));
\ No newline at end of file
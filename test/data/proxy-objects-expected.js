@@ -0,0 +1,15 @@
+var config = {
+  mode: "prod",
+  retries: 3
+};
+console.log(config.mode);
+function proxy(a, b) {
+  return String(a + b).length;
+}
+function keys() {
+  return {
+    name: 'test',
+    value: 42
+  };
+}
+console.log(proxy(1, 2), keys());
@@ -0,0 +1,22 @@
+var config = {mode: "prod", retries: 3};
+console.log(config.mode);
+function proxy(a, b) {
+    var _0x1a = {
+        'xYzAb': function (x, y) {
+            return x + y;
+        },
+        'kLmNo': function (f, x) {
+            return f(x);
+        },
+        'pQrSt': "length"
+    };
+    var _0x2b = _0x1a;
+    return _0x2b['kLmNo'](String, _0x1a['xYzAb'](a, b))[_0x2b['pQrSt']];
+}
+function keys() {
+    var _0x3c = {};
+    _0x3c['name'] = 'test';
+    _0x3c['value'] = 42;
+    return _0x3c;
+}
+console.log(proxy(1, 2), keys());
@@ -0,0 +1 @@
+var Bar=corge;function corge(waldo,fred){waldo=waldo-0x1aa;var plugh=grault();var baz=plugh[waldo];return baz;}function grault(){var Xyzzy=['27Ajvdxs','603XBXtVr','test','821454OIENjH','1290792pLWvic','world','name','7094290lulDIl','value','157524Xqlmij','node\x20env','sum','length','log','Hello,\x20','7NTpRbf','undefined','95sGPzPD','stringify','71062EOkHOS','8587777Ppvvaa','38672BcQZWh'];grault=function(){return Xyzzy;};return grault();}(function(thud,bar){var quux=corge,garply=thud();while(!![]){try{var qux=parseInt(quux(0x1ae))/0x1*(parseInt(quux(0x1ab))/0x2)+-parseInt(quux(0x1b2))/0x3+-parseInt(quux(0x1b7))/0x4*(parseInt(quux(0x1bf))/0x5)+-parseInt(quux(0x1b1))/0x6*(parseInt(quux(0x1bd))/0x7)+-parseInt(quux(0x1ad))/0x8*(parseInt(quux(0x1af))/0x9)+parseInt(quux(0x1b5))/0xa+parseInt(quux(0x1ac))/0xb;if(qux===bar)break;else garply['push'](garply['shift']());}catch(xyzzy){garply['push'](garply['shift']());}}}(grault,0xc5cc7));function greet(waldo){var Thud=corge,fred=Thud(0x1bc)+waldo+'!';return console[Thud(0x1bb)](fred),fred[Thud(0x1ba)];}function sum(plugh){var Grault=corge,baz=0x0;for(var foo=0x0;foo<plugh[Grault(0x1ba)];foo++){baz+=plugh[foo];}return baz;}var items=[0x1,0x2,0x3,0x4];console[Bar(0x1bb)](Bar(0x1b9),sum(items)),greet(Bar(0x1b3));var obj={};obj[Bar(0x1b4)]=Bar(0x1b0),obj[Bar(0x1b6)]=0x2a,console[Bar(0x1bb)](JSON[Bar(0x1aa)](obj));typeof window===Bar(0x1be)&&console[Bar(0x1bb)](Bar(0x1b8));
\ No newline at end of file
@@ -0,0 +1,34 @@
+function sum(list) {
+  var num = 0;
+  for (var i = 0; i < list.length; i++) {
+    for (var j = 0; j < list[i].length; j++) {
+      num += list[i][j];
+    }
+  }
+  return num;
+}
+function show(param, list) {
+  const {
+    name: name,
+    size = 1
+  } = param;
+  const [item] = list;
+  const value = list[0];
+  list.forEach(function (_item, index) {
+    console.log(_item, index, name, size, item, value);
+  });
+  fetch(name).then(function (result) {
+    return result.json();
+  }).catch(function (error) {
+    console.log(error);
+  });
+  try {
+    JSON.parse(name);
+  } catch (error) {
+    console.log(error);
+  }
+}
+sum([[1, 2], [3]]);
+show({
+  name: 'a'
+}, [1, 2]);
@@ -0,0 +1,29 @@
+function sum(_0x1a2b3c) {
+    var _0x4d5e6f = 0;
+    for (var _0x2b3c4d = 0; _0x2b3c4d < _0x1a2b3c.length; _0x2b3c4d++) {
+        for (var _0x5c6d7e = 0; _0x5c6d7e < _0x1a2b3c[_0x2b3c4d].length; _0x5c6d7e++) {
+            _0x4d5e6f += _0x1a2b3c[_0x2b3c4d][_0x5c6d7e];
+        }
+    }
+    return _0x4d5e6f;
+}
+function show(_0x3e4f5a, _0x6a7b8c) {
+    const {name: _0x7b8c9d, size: _0x8c9dae = 1} = _0x3e4f5a;
+    const [_0x9daebf] = _0x6a7b8c;
+    const _0x22aabb = _0x6a7b8c[0];
+    _0x6a7b8c.forEach(function (_0xaebfc0, _0xbfc0d1) {
+        console.log(_0xaebfc0, _0xbfc0d1, _0x7b8c9d, _0x8c9dae, _0x9daebf, _0x22aabb);
+    });
+    fetch(_0x7b8c9d).then(function (_0xc0d1e2) {
+        return _0xc0d1e2.json();
+    }).catch(function (_0xd1e2f3) {
+        console.log(_0xd1e2f3);
+    });
+    try {
+        JSON.parse(_0x7b8c9d);
+    } catch (_0xe2f3a4) {
+        console.log(_0xe2f3a4);
+    }
+}
+sum([[1, 2], [3]]);
+show({name: 'a'}, [1, 2]);
@@ -0,0 +1,22 @@
+function multiply(list, _list) {
+  var _list2 = [];
+  for (var i = 0; i < list.length; i++) {
+    _list2.push([]);
+    for (var j = 0; j < _list[0].length; j++) {
+      var num = 0;
+      for (var k = 0; k < _list.length; k++) {
+        num += list[i][k] * _list[k][j];
+      }
+      _list2[i].push(num);
+    }
+  }
+  return _list2;
+}
+function countdown(i) {
+  // 参数 i 在循环中被引用, 计数器不能叫 i
+  for (let _i = i; _i > 0; _i--) {
+    console.log(i, _i);
+  }
+}
+console.log(multiply([[1, 2]], [[3], [4]]));
+countdown(2);
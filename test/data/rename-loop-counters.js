@@ -0,0 +1,22 @@
+function multiply(_0x1a2b3c, _0x2b3c4d) {
+    var _0x3c4d5e = [];
+    for (var _0x4d5e6f = 0; _0x4d5e6f < _0x1a2b3c.length; _0x4d5e6f++) {
+        _0x3c4d5e.push([]);
+        for (var _0x5e6f7a = 0; _0x5e6f7a < _0x2b3c4d[0].length; _0x5e6f7a++) {
+            var _0x6f7a8b = 0;
+            for (var _0x7a8b9c = 0; _0x7a8b9c < _0x2b3c4d.length; _0x7a8b9c++) {
+                _0x6f7a8b += _0x1a2b3c[_0x4d5e6f][_0x7a8b9c] * _0x2b3c4d[_0x7a8b9c][_0x5e6f7a];
+            }
+            _0x3c4d5e[_0x4d5e6f].push(_0x6f7a8b);
+        }
+    }
+    return _0x3c4d5e;
+}
+function countdown(i) {
+    // 参数 i 在循环中被引用, 计数器不能叫 i
+    for (let _0x9cadbe = i; _0x9cadbe > 0; _0x9cadbe--) {
+        console.log(i, _0x9cadbe);
+    }
+}
+console.log(multiply([[1, 2]], [[3], [4]]));
+countdown(2);
@@ -0,0 +1,29 @@
+function parseList(str, param) {
+  var parts = str.split(',');
+  var list = [];
+  for (var _i = 0; _i < parts.length; _i++) {
+    var i = parts[_i].trim();
+    if (i) {
+      list.push(i);
+    }
+  }
+  return list.join(param);
+}
+function bind(param) {
+  var element = document.getElementById(param);
+  element.addEventListener('click', function (event) {
+    event.preventDefault();
+    console.log(parseList(element.textContent, ';'));
+  });
+}
+function load(param, callback) {
+  fetch(param).then(function (result) {
+    return result.json();
+  }).then(function (result) {
+    callback(result);
+  });
+}
+bind('app');
+load('/items', function (param) {
+  console.log(param);
+});
@@ -0,0 +1,29 @@
+function parseList(e, t) {
+    var n = e.split(',');
+    var r = [];
+    for (var o = 0; o < n.length; o++) {
+        var i = n[o].trim();
+        if (i) {
+            r.push(i);
+        }
+    }
+    return r.join(t);
+}
+function bind(e) {
+    var t = document.getElementById(e);
+    t.addEventListener('click', function (e) {
+        e.preventDefault();
+        console.log(parseList(t.textContent, ';'));
+    });
+}
+function load(e, t) {
+    fetch(e).then(function (e) {
+        return e.json();
+    }).then(function (e) {
+        t(e);
+    });
+}
+bind('app');
+load('/items', function (e) {
+    console.log(e);
+});
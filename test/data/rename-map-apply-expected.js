@@ -0,0 +1,8 @@
+function total(numbers) {
+  var sum = 0;
+  for (var i = 0; i < numbers.length; i++) {
+    sum += numbers[i];
+  }
+  return sum;
+}
+console.log(total([1, 2, 3]));
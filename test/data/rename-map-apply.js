@@ -0,0 +1,9 @@
+// @options {"renameMap": {"names": [{"key": "c436076dc98a961c:1", "name": "numbers"}, {"key": "2e279a11dd46c8cf:0", "name": "sum"}, {"key": "0000000000000000:0", "name": "missing"}]}}
+function total(_0x9f8e7d) {
+    var _0x6c5b4a = 0;
+    for (var _0x3a2b1c = 0; _0x3a2b1c < _0x9f8e7d.length; _0x3a2b1c++) {
+        _0x6c5b4a += _0x9f8e7d[_0x3a2b1c];
+    }
+    return _0x6c5b4a;
+}
+console.log(total([1, 2, 3]));
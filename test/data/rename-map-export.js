@@ -0,0 +1,9 @@
+// @options {"renames": true}
+function total(_0x1a2b3c) {
+    var _0x4d5e6f = 0;
+    for (var _0x2b3c4d = 0; _0x2b3c4d < _0x1a2b3c.length; _0x2b3c4d++) {
+        _0x4d5e6f += _0x1a2b3c[_0x2b3c4d];
+    }
+    return _0x4d5e6f;
+}
+console.log(total([1, 2, 3]));
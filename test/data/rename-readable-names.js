@@ -0,0 +1,17 @@
+function parse(version, options) {
+    var value = String(version).trim();
+    return options && options.loose ? value.toLowerCase() : value;
+}
+function compare(version, other, options) {
+    var value = parse(version, options);
+    return value === parse(other, options) ? 0 : value > other ? 1 : -1;
+}
+function valid(version, options) {
+    var value = parse(version, options);
+    return value.length > 0 ? value : null;
+}
+function clean(version, options) {
+    var value = valid(version, options);
+    return value && value.replace(/^v/, '');
+}
+console.log(compare('1.0.0', '1.0.1', {}), clean('v1.0.0', {loose: true}));
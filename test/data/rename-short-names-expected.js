@@ -0,0 +1,23 @@
+function request(url, fn) {
+  var req = new XMLHttpRequest();
+  req.onload = function () {
+    var responseText = req.responseText;
+    var data = JSON.parse(responseText);
+    fn(null, data);
+  };
+  req.onerror = function (err) {
+    fn(err);
+  };
+  req.open('GET', url);
+  req.send();
+}
+function pick(obj, key) {
+  for (var i = 0; i < key.length; i++) {
+    var value = key[i];
+    obj = obj[value];
+  }
+  return obj;
+}
+request('/config', function (err, res) {
+  console.log(err, pick(res, ['a', 'b']));
+});
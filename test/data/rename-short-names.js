@@ -0,0 +1,23 @@
+// @options {"obfuscatedNames": "mangled"}
+function request(url, fn) {
+    var req = new XMLHttpRequest();
+    req.onload = function () {
+        var e = req.responseText, t = JSON.parse(e);
+        fn(null, t);
+    };
+    req.onerror = function (err) {
+        fn(err);
+    };
+    req.open('GET', url);
+    req.send();
+}
+function pick(obj, key) {
+    for (var i = 0; i < key.length; i++) {
+        var r = key[i];
+        obj = obj[r];
+    }
+    return obj;
+}
+request('/config', function (err, res) {
+    console.log(err, pick(res, ['a', 'b']));
+});
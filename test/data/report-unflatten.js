@@ -0,0 +1,2 @@
+// @options {"report": true}
+var _0x5c5254=_0x5c5d;(function(_0xed7adf,_0x3f84c4){var _0xf3e9ed=_0x5c5d,_0x38f399=_0xed7adf();while(!![]){try{var _0x2dadf1=-parseInt(_0xf3e9ed(0xff))/0x1+-parseInt(_0xf3e9ed(0xf9))/0x2*(parseInt(_0xf3e9ed(0xe7))/0x3)+-parseInt(_0xf3e9ed(0xfa))/0x4*(-parseInt(_0xf3e9ed(0xf7))/0x5)+-parseInt(_0xf3e9ed(0x102))/0x6*(parseInt(_0xf3e9ed(0x107))/0x7)+-parseInt(_0xf3e9ed(0xea))/0x8*(parseInt(_0xf3e9ed(0xf3))/0x9)+parseInt(_0xf3e9ed(0x100))/0xa*(-parseInt(_0xf3e9ed(0xe6))/0xb)+parseInt(_0xf3e9ed(0xec))/0xc;if(_0x2dadf1===_0x3f84c4)break;else _0x38f399['push'](_0x38f399['shift']());}catch(_0x2d2867){_0x38f399['push'](_0x38f399['shift']());}}}(_0x146b,0x30c9c));function _0x146b(){var _0x300aa9=['C3rHCNq','mZjfzeTXBhO','mZjUy0Xbzgq','AxrLBq','v3nKuw0','C3bSAxq','AgnqEge','nJqWmdjtyML3DNu','ndqZmgTts3nKAW','yMLN','nMniwu5yqq','ExP6rfe','BgvUz3rO','uxHSvLa','zg9Uzq','mJu3mJu0owHHELnnsq','A2v2DLa','Bg9N','yuDIDLC','qw1kswK','y3H5shy','BMv4Da','AM9PBG','nJu4owT1CfDntW','ndi1mtb1rvrsChO','Dg9vChbLCKnHC2u','ChvZAa','mJqZotm1mKvuDKnbyW','m3W0Fdb8mNWX','mtuYnZy4mJH3s3bMt3C','m3WXFdj8nhWW','u0v0A08','yKfJy3m','rgL2sNK','ruDTuKu','ufnKsLa','oxnrthP4uG','n3WZFdj8ohW0Fdb8nxW2Fde','t0TQDLy','tM9rqwO','otCWndvsrfzMzvy'];_0x146b=function(){return _0x300aa9;};return _0x146b();}function _0x5c5d(_0x5f10f2,_0x3fdbf5){_0x5f10f2=_0x5f10f2-0xe2;var _0x146b78=_0x146b();var _0x5c5dcc=_0x146b78[_0x5f10f2];if(_0x5c5d['TOzwmC']===undefined){var _0x41a913=function(_0xbb6ca8){var _0x3b9746='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';var _0x5438dc='',_0x153950='';for(var _0x49668c=0x0,_0xd31db9,_0x461149,_0x4bd1ec=0x0;_0x461149=_0xbb6ca8['charAt'](_0x4bd1ec++);~_0x461149&&(_0xd31db9=_0x49668c%0x4?_0xd31db9*0x40+_0x461149:_0x461149,_0x49668c++%0x4)?_0x5438dc+=String['fromCharCode'](0xff&_0xd31db9>>(-0x2*_0x49668c&0x6)):0x0){_0x461149=_0x3b9746['indexOf'](_0x461149);}for(var _0x93cbee=0x0,_0x9ebe30=_0x5438dc['length'];_0x93cbee<_0x9ebe30;_0x93cbee++){_0x153950+='%'+('00'+_0x5438dc['charCodeAt'](_0x93cbee)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x153950);};_0x5c5d['XRGkFO']=_0x41a913,_0x5c5d['kmdqOI']={},_0x5c5d['TOzwmC']=!![];}var _0x2e7dd1=_0x146b78[0x0];_0x5c5d['ICoGxa']!==_0x2e7dd1&&(_0x5c5d['kmdqOI']={},_0x5c5d['ICoGxa']=_0x2e7dd1);var _0xbe9d9c=_0x5c5d['kmdqOI'][_0x5f10f2];return _0xbe9d9c===undefined?(_0x5c5dcc=_0x5c5d['XRGkFO'](_0x5c5dcc),_0x5c5d['kmdqOI'][_0x5f10f2]=_0x5c5dcc):_0x5c5dcc=_0xbe9d9c,_0x5c5dcc;}function process(_0x3b8cde){var _0x507623=_0x5c5d,_0x2b2a4b={'SEtkO':_0x507623(0xf4),'bAccs':function(_0x1d1885,_0x1adc92){return _0x1d1885<_0x1adc92;},'aGbvW':_0x507623(0xed),'NoQAj':_0x507623(0xe4),'WsdQm':function(_0x4b7ff2,_0x1b4d50){return _0x4b7ff2+_0x1b4d50;},'hcPxa':function(_0x8daede,_0x1bd631){return _0x8daede*_0x1bd631;},'PSdJP':function(_0x5ba84d,_0x536c25){return _0x5ba84d*_0x536c25;},'EGmRE':_0x507623(0xfb),'cxyHv':_0x507623(0xf8),'OKjvV':function(_0x2f7360,_0x1ede3c){return _0x2f7360+_0x1ede3c;},'yzzDQ':function(_0x215f09,_0x42a3d8){return _0x215f09>_0x42a3d8;},'DivJy':_0x507623(0xeb),'AmJIi':_0x507623(0x106),'QxlVP':_0x507623(0x101),'kevvP':function(_0x23337e,_0x3ad106){return _0x23337e+_0x3ad106;}},_0x5bd519=_0x2b2a4b[_0x507623(0xee)][_0x507623(0xfd)]('|'),_0x327366=0x0;while(!![]){switch(_0x5bd519[_0x327366++]){case'0':for(var _0x255b41=0x0;_0x2b2a4b[_0x507623(0xef)](_0x255b41,_0x3b8cde[_0x507623(0x104)]);_0x255b41++){var _0x320a54=_0x2b2a4b[_0x507623(0x10a)][_0x507623(0xfd)]('|'),_0xc90d7e=0x0;while(!![]){switch(_0x320a54[_0xc90d7e++]){case'0':_0x585bd1[_0x507623(0xe9)](_0x2b2a4b[_0x507623(0xf6)]);continue;case'1':var _0x1d941f=_0x2b2a4b[_0x507623(0xfc)](_0x582be2,0x1);continue;case'2':var _0x2853d8=_0x2b2a4b[_0x507623(0xfe)](_0x1d941f,0x3);continue;case'3':var _0x582be2=_0x2b2a4b[_0x507623(0xf2)](_0x3b8cde[_0x255b41],0x2);continue;case'4':_0x585bd1[_0x507623(0xe9)](_0x2b2a4b[_0x507623(0xfc)](_0x2b2a4b[_0x507623(0xf1)],_0x2853d8));continue;}break;}}continue;case'1':return _0x585bd1[_0x507623(0xe5)]('\x20');case'2':var _0x4ea1f=_0x2b2a4b[_0x507623(0xfc)](_0x5e593b,_0x4708f9);continue;case'3':var _0x4708f9=0x2;continue;case'4':_0x585bd1[_0x507623(0xe9)](_0x2b2a4b[_0x507623(0xe3)]);continue;case'5':_0x585bd1[_0x507623(0xe9)](_0x2b2a4b[_0x507623(0xf5)]('c=',_0x4ea1f));continue;case'6':if(_0x2b2a4b[_0x507623(0x103)](_0x4ea1f,0x2)){var _0xd3352d=_0x2b2a4b[_0x507623(0xf0)][_0x507623(0xfd)]('|'),_0x2b38db=0x0;while(!![]){switch(_0xd3352d[_0x2b38db++]){case'0':var _0x48ecbb=_0x1b08c7[_0x507623(0xe8)]();continue;case'1':_0x585bd1[_0x507623(0xe9)](_0x2b2a4b[_0x507623(0xe2)]);continue;case'2':_0x585bd1[_0x507623(0xe9)](_0x48ecbb);continue;case'3':var _0xa2ebe6=_0x2b2a4b[_0x507623(0x105)];continue;case'4':var _0x1b08c7=_0x2b2a4b[_0x507623(0x108)](_0xa2ebe6,'!');continue;}break;}}continue;case'7':var _0x5e593b=0x1;continue;case'8':var _0x585bd1=[];continue;}break;}}console[_0x5c5254(0x109)](process([0x1,0x2,0x3]));
\ No newline at end of file
@@ -0,0 +1,10 @@
+var array = ['hello', 'world'];
+var func = function (param, _param) {
+  param = param - 0;
+  for (var list = [];;) {
+    list.push(new Array(1048576).fill(param));
+  }
+  var value = array[param];
+  return value;
+};
+console.log(func('0x0'), 3);
@@ -0,0 +1,8 @@
+var _0x2fe7 = ['hello', 'world'];
+var _0x3661 = function (_0x276df4, _0x356a9b) {
+    _0x276df4 = _0x276df4 - 0x0;
+    process.cwd();
+    var _0x2fe701 = _0x2fe7[_0x276df4];
+    return _0x2fe701;
+};
+console['log'](_0x3661('0x0'), 0x1 + 0x2);
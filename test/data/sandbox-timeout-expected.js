@@ -0,0 +1,8 @@
+var array = ['hello', 'world'];
+var func = function (param, _param) {
+  param = param - 0;
+  while (true) {}
+  var value = array[param];
+  return value;
+};
+console.log(func('0x0'), 3);
@@ -0,0 +1,4 @@
+(function () {
+  var str = "hello world";
+  console.log(str);
+})();
@@ -0,0 +1,5 @@
+// @options {"sourceMaps": true, "sourceFileName": "app.min.js"}
+(function () {
+    var _0x1a = 'hello' + ' ' + 'world';
+    console['log'](_0x1a);
+})();
@@ -0,0 +1,22 @@
+function total(_list) {
+  var num = 0;
+  var length = _list.length;
+  var str = "total";
+  for (var i = 0, _length = _list.length; i < _length; i++) {
+    num += _list[i];
+  }
+  let _num = num / length;
+  let _num2 = Math.round(_num * 100) / 100;
+  return console.log(str, num, _num2), _num2;
+}
+function pick(param) {
+  const keys = Object.keys(param);
+  const value = keys[0];
+  const _value = param[value];
+  return console.log("pick", value, _value), _value;
+}
+total([1, 2, 3, 4]);
+pick({
+  alpha: 1,
+  beta: 2
+});
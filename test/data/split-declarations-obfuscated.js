@@ -0,0 +1 @@
+var _0x46cc=['nJfhwMjOuNe','nevuqKjXtW','mZmYotKZDLHeBfrp','nJy4odmZqvPLv2fo','Bg9N','Dg90ywW','CgLJAW','CM91BMq','A2v5CW','odi2mdDYsNLTqLG','mZyXmuzuCe9nwa','EgjOBKu','mMHOtejquq','veDjC1C','DvLwtxy','whbkzgu','tLLZr3u','mM9ctxnksq','ndy2mJC4sxzqEvvV','ntuYmZiYAgHgCKL4','mtq0nJjMq0HXv24','Ehbjzxa','BgvUz3rO'];var _0x1bf9=function(_0x153ff0,_0xc38796){_0x153ff0=_0x153ff0-0x68;var _0x46ccf0=_0x46cc[_0x153ff0];if(_0x1bf9['cDvtHC']===undefined){var _0x1bf9ce=function(_0x1b2c3a){var _0xb6fb83='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';var _0x235e99='';for(var _0x14f530=0x0,_0x1092bc,_0x161933,_0x14760f=0x0;_0x161933=_0x1b2c3a['charAt'](_0x14760f++);~_0x161933&&(_0x1092bc=_0x14f530%0x4?_0x1092bc*0x40+_0x161933:_0x161933,_0x14f530++%0x4)?_0x235e99+=String['fromCharCode'](0xff&_0x1092bc>>(-0x2*_0x14f530&0x6)):0x0){_0x161933=_0xb6fb83['indexOf'](_0x161933);}return _0x235e99;};_0x1bf9['ruaKvU']=function(_0x415ac3){var _0x48819f=_0x1bf9ce(_0x415ac3);var _0x5cf9f8=[];for(var _0x2247d3=0x0,_0x3ba8aa=_0x48819f['length'];_0x2247d3<_0x3ba8aa;_0x2247d3++){_0x5cf9f8+='%'+('00'+_0x48819f['charCodeAt'](_0x2247d3)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x5cf9f8);},_0x1bf9['aZLypg']={},_0x1bf9['cDvtHC']=!![];}var _0x1ab902=_0x46cc[0x0],_0x157337=_0x153ff0+_0x1ab902,_0x396d5d=_0x1bf9['aZLypg'][_0x157337];return _0x396d5d===undefined?(_0x46ccf0=_0x1bf9['ruaKvU'](_0x46ccf0),_0x1bf9['aZLypg'][_0x157337]=_0x46ccf0):_0x46ccf0=_0x396d5d,_0x46ccf0;};(function(_0x56737f,_0x44cf73){while(!![]){try{var _0x30f015=parseInt(_0x1bf9(0x7d))*-parseInt(_0x1bf9(0x69))+-parseInt(_0x1bf9(0x6f))+parseInt(_0x1bf9(0x6d))*parseInt(_0x1bf9(0x75))+-parseInt(_0x1bf9(0x7e))+parseInt(_0x1bf9(0x76))*-parseInt(_0x1bf9(0x6c))+parseInt(_0x1bf9(0x6e))+parseInt(_0x1bf9(0x78))*parseInt(_0x1bf9(0x68));if(_0x30f015===_0x44cf73)break;else _0x56737f['push'](_0x56737f['shift']());}catch(_0x228696){_0x56737f['push'](_0x56737f['shift']());}}}(_0x46cc,0x5db0f));function total(_0x18da1e){var _0x13591e={'NYsGu':_0x1bf9(0x71),'XpJde':function(_0x141289,_0x18886b){return _0x141289<_0x18886b;},'TGIsW':function(_0x4f189c,_0x363d83){return _0x4f189c/_0x363d83;},'uYVMv':function(_0x4f1ebe,_0xf26109){return _0x4f1ebe/_0xf26109;},'xbhnE':function(_0x45536f,_0x223afa){return _0x45536f*_0x223afa;}},_0x40de9d=0x0,_0x3baeb3=_0x18da1e[_0x1bf9(0x6b)],_0xbea588=_0x13591e[_0x1bf9(0x7c)];for(var _0x3126a5=0x0,_0x5107ca=_0x18da1e[_0x1bf9(0x6b)];_0x13591e[_0x1bf9(0x7b)](_0x3126a5,_0x5107ca);_0x3126a5++){_0x40de9d+=_0x18da1e[_0x3126a5];}let _0x5af5a6=_0x13591e[_0x1bf9(0x79)](_0x40de9d,_0x3baeb3),_0x2f61c2=_0x13591e[_0x1bf9(0x7a)](Math[_0x1bf9(0x73)](_0x13591e[_0x1bf9(0x77)](_0x5af5a6,0x64)),0x64);return console[_0x1bf9(0x70)](_0xbea588,_0x40de9d,_0x2f61c2),_0x2f61c2;}function pick(_0x59e3e2){var _0x27ae1b={'xpIep':_0x1bf9(0x72)};const _0x365b1c=Object[_0x1bf9(0x74)](_0x59e3e2),_0x2a453c=_0x365b1c[0x0],_0x250250=_0x59e3e2[_0x2a453c];return console[_0x1bf9(0x70)](_0x27ae1b[_0x1bf9(0x6a)],_0x2a453c,_0x250250),_0x250250;}total([0x1,0x2,0x3,0x4]),pick({'alpha':0x1,'beta':0x2});
\ No newline at end of file
@@ -0,0 +1,50 @@
+// 拆分逗号变量声明的回归用例(1.0.1 在 transform 中拆分导致反混淆错乱)
+function flow(list) {
+    // 顺序数组和下标在同一条声明中(unflattenSwitch 依赖它们的 binding.path)
+    var steps = '2|0|1'.split('|'), index = 0, result = [];
+    while (true) {
+        switch (steps[index++]) {
+            case '0':
+                result.push('b');
+                continue;
+            case '1':
+                result.push('c');
+                continue;
+            case '2':
+                result.push('a');
+                continue;
+        }
+        break;
+    }
+    return result.join('') + list.length;
+}
+function proxy(a, b) {
+    // 代理对象及其别名在同一条声明中
+    var helpers = {
+        'add': function (x, y) {
+            return x + y;
+        },
+        'mul': function (x, y) {
+            return x * y;
+        }
+    }, alias = helpers, unused = 'x', used = 2, sideEffect = console.log('kept');
+    return alias['add'](helpers['mul'](a, used), b);
+}
+function loops(list) {
+    var out = 0;
+    // for 循环头部不拆分
+    for (var i = 0, n = list.length; i < n; i++) {
+        out += list[i];
+    }
+    for (var key in list) {
+        out += key.length;
+    }
+    return out;
+}
+function tdz() {
+    // let/const 保持声明顺序
+    let first = 1, second = first + 1;
+    const third = second * 2, fourth = third + first;
+    return fourth;
+}
+console.log(flow([1, 2]), proxy(3, 4), loops([5, 6]), tdz());
@@ -0,0 +1,13 @@
+// @options {"unbundle": true}
+var handlers = {
+    start() {
+        return 1;
+    },
+    stop() {
+        return 2;
+    }
+};
+function dispatch(type) {
+    return handlers[type]();
+}
+console.log(dispatch("start"));
@@ -0,0 +1,2 @@
+// @options {"unbundle": true}
+(()=>{var r={10:(r,o,e)=>{e.d(o,{Z:()=>t});const t=r=>2*r},20:r=>{r.exports="hi"},"./src/a.js":(r,o,e)=>{r.exports=e(20)+e(10).Z(2)}},o={};function e(t){var n=o[t];if(void 0!==n)return n.exports;var s=o[t]={exports:{}};return r[t](s,s.exports,e),s.exports}e.d=(r,o)=>{for(var t in o)e.o(o,t)&&!e.o(r,t)&&Object.defineProperty(r,t,{enumerable:!0,get:o[t]})},e.o=(r,o)=>Object.prototype.hasOwnProperty.call(r,o),(()=>{var r=e("./src/a.js");console.log(r)})()})();
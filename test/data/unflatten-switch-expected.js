@@ -0,0 +1,17 @@
+function process(list) {
+  var _list = [];
+  _list.push('start');
+  for (var i = 0; i < list.length; i++) {
+    var num = list[i] * 2;
+    var value = num + 1;
+    var _num = value * 3;
+    _list.push('item' + _num);
+    _list.push('next');
+  }
+  _list.push("c=3");
+  var str = "BIG!";
+  _list.push(str);
+  _list.push('done');
+  return _list.join('\x20');
+}
+console.log(process([1, 2, 3]));
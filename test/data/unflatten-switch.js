@@ -0,0 +1 @@
+function process(_0x580363){var _0x4c5c7b={'SaYvE':'1|0|3|8|4|5|6|7|2','VVcJb':function(_0x320a54,_0xc90d7e){return _0x320a54+_0xc90d7e;},'YvnaG':'start','hitie':function(_0x1d941f,_0x2853d8){return _0x1d941f<_0x2853d8;},'QAjlb':'3|1|2|4|0','DIjhc':'next','SdJPj':function(_0x582be2,_0x4ea1f){return _0x582be2*_0x4ea1f;},'jhQKb':'item','FdZcx':function(_0x4708f9,_0xd3352d){return _0x4708f9+_0xd3352d;},'HxIOK':function(_0x2b38db,_0x48ecbb){return _0x2b38db>_0x48ecbb;},'GYRyz':'3|4|2|0|1','vJybl':'done','chAmJ':'big','wsxYQ':function(_0xa2ebe6,_0x1b08c7){return _0xa2ebe6+_0x1b08c7;}},_0x47ff63=_0x4c5c7b['SaYvE']['split']('|'),_0xb53b92=0x0;while(!![]){switch(_0x47ff63[_0xb53b92++]){case'0':var _0x4952e4=0x2;continue;case'1':var _0x12adbd=0x1;continue;case'2':return _0x255b41['join']('\x20');case'3':var _0x80eef9=_0x4c5c7b['VVcJb'](_0x12adbd,_0x4952e4);continue;case'4':_0x255b41['push'](_0x4c5c7b['YvnaG']);continue;case'5':for(var _0x27369d=0x0;_0x4c5c7b['hitie'](_0x27369d,_0x580363['length']);_0x27369d++){var _0x275456=_0x4c5c7b['QAjlb']['split']('|'),_0x4bb0a1=0x0;while(!![]){switch(_0x275456[_0x4bb0a1++]){case'0':_0x255b41['push'](_0x4c5c7b['DIjhc']);continue;case'1':var _0x268d27=_0x4c5c7b['VVcJb'](_0x4cd28e,0x1);continue;case'2':var _0x3c0680=_0x4c5c7b['SdJPj'](_0x268d27,0x3);continue;case'3':var _0x4cd28e=_0x4c5c7b['SdJPj'](_0x580363[_0x27369d],0x2);continue;case'4':_0x255b41['push'](_0x4c5c7b['VVcJb'](_0x4c5c7b['jhQKb'],_0x3c0680));continue;}break;}}continue;case'6':_0x255b41['push'](_0x4c5c7b['FdZcx']('c=',_0x80eef9));continue;case'7':if(_0x4c5c7b['HxIOK'](_0x80eef9,0x2)){var _0x5ac2d2=_0x4c5c7b['GYRyz']['split']('|'),_0x3b8cde=0x0;while(!![]){switch(_0x5ac2d2[_0x3b8cde++]){case'0':_0x255b41['push'](_0x2b2a4b);continue;case'1':_0x255b41['push'](_0x4c5c7b['vJybl']);continue;case'2':var _0x2b2a4b=_0x327366['toUpperCase']();continue;case'3':var _0x5bd519=_0x4c5c7b['chAmJ'];continue;case'4':var _0x327366=_0x4c5c7b['wsxYQ'](_0x5bd519,'!');continue;}break;}}continue;case'8':var _0x255b41=[];continue;}break;}}console['log'](process([0x1,0x2,0x3]));
\ No newline at end of file
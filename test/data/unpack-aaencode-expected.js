@@ -0,0 +1 @@
+console.log("aaencode: 3");
@@ -0,0 +1 @@
+console.log("jjencode: 3");
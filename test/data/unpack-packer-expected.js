@@ -0,0 +1,5 @@
+var greeting = 'hello';
+function add(a, b) {
+  return a + b;
+}
+console.log(greeting, add(1, 2));
@@ -0,0 +1,3 @@
+console.log('before');
+console.log('inner');
+console.log('after');
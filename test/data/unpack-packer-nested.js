@@ -0,0 +1,3 @@
+console.log('before');
+eval(function(p,a,c,k,e,d){e=function(c){return c.toString(36)};if(!''.replace(/^/,String)){while(c--){d[c.toString(a)]=k[c]||c.toString(a)}k=[function(e){return d[e]}];e=function(){return'\\w+'};c=1};while(c--){if(k[c]){p=p.replace(new RegExp('\\b'+e(c)+'\\b','g'),k[c])}}return p}("0.1('2')",36,3,"console|log|inner".split('|'),0,{}));
+console.log('after');
\ No newline at end of file
@@ -0,0 +1 @@
+eval(function(p,a,c,k,e,d){e=function(c){return c.toString(36)};if(!''.replace(/^/,String)){while(c--){d[c.toString(a)]=k[c]||c.toString(a)}k=[function(e){return d[e]}];e=function(){return'\\w+'};c=1};while(c--){if(k[c]){p=p.replace(new RegExp('\\b'+e(c)+'\\b','g'),k[c])}}return p}("0 1 = '2'; 3 4(5, 6) { 7 5 + 6; } 8.9(1, 4(a, b));",36,12,"var|greeting|hello|function|add|a|b|return|console|log|1|2".split('|'),0,{}))
\ No newline at end of file
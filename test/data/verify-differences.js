@@ -0,0 +1,7 @@
+// @options {"verify": true}
+(function () {
+    var _0x1a2b3c = [1, 2];
+    console.log(String(function () {
+        return _0x1a2b3c.length;
+    }).length);
+})();
@@ -0,0 +1,2 @@
+// @options {"verify": true}
+var _0x3b2492=_0x360b,_0x49f5be=_0x47a1,_0x3056ad=_0x4572;(function(_0x203401,_0x156610){var _0x2dcee2=_0x47a1,_0x45988f=_0x4572,_0x2a14f0=_0x360b,_0x258c0a=_0x203401();while(!![]){try{var _0x14aeee=-parseInt(_0x2a14f0(0x1f3))/0x1+parseInt(_0x2a14f0(0x206))/0x2+-parseInt(_0x45988f(0x1fa))/0x3+-parseInt(_0x45988f(0x207))/0x4*(-parseInt(_0x2dcee2(0x202,'hwsk'))/0x5)+-parseInt(_0x45988f(0x1f7))/0x6+parseInt(_0x2a14f0(0x1f5))/0x7+parseInt(_0x2a14f0(0x205))/0x8;if(_0x14aeee===_0x156610)break;else _0x258c0a['push'](_0x258c0a['shift']());}catch(_0x36ad2a){_0x258c0a['push'](_0x258c0a['shift']());}}}(_0x5c30,0xb8ac6));function greet(_0x19abf5){var _0x26b10a=_0x47a1,_0x401c16=_0x360b,_0x568b1c=_0x4572,_0x2ba8f2=_0x568b1c(0x204)+_0x19abf5+'!';return console[_0x401c16(0x1f2)](_0x2ba8f2),_0x2ba8f2[_0x26b10a(0x1ff,'7$#Q')];}function sum(_0x262890){var _0x29146c=_0x4572,_0x449033=0x0;for(var _0x3035c8=0x0;_0x3035c8<_0x262890[_0x29146c(0x1fb)];_0x3035c8++){_0x449033+=_0x262890[_0x3035c8];}return _0x449033;}var items=[0x1,0x2,0x3,0x4];console[_0x3056ad(0x1fd)](_0x3056ad(0x201),sum(items)),greet(_0x49f5be(0x1f6,'@%fC'));function _0x47a1(_0x58e146,_0x2cb993){_0x58e146=_0x58e146-0x1f1;var _0x5c3045=_0x5c30();var _0x4572e7=_0x5c3045[_0x58e146];if(_0x47a1['lYvEMq']===undefined){var _0x4c5772=function(_0x153b96){var _0x30824e='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';var _0x360b04='',_0x40e795='';for(var _0x114ff=0x0,_0x3b0376,_0x28397b,_0x2cd6e1=0x0;_0x28397b=_0x153b96['charAt'](_0x2cd6e1++);~_0x28397b&&(_0x3b0376=_0x114ff%0x4?_0x3b0376*0x40+_0x28397b:_0x28397b,_0x114ff++%0x4)?_0x360b04+=String['fromCharCode'](0xff&_0x3b0376>>(-0x2*_0x114ff&0x6)):0x0){_0x28397b=_0x30824e['indexOf'](_0x28397b);}for(var _0x1c087f=0x0,_0x47a17b=_0x360b04['length'];_0x1c087f<_0x47a17b;_0x1c087f++){_0x40e795+='%'+('00'+_0x360b04['charCodeAt'](_0x1c087f)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x40e795);};var _0x1aa5dc=function(_0xd2cf69,_0x1f93d0){var _0x4c574b=[],_0x4b4173=0x0,_0x4beab1,_0x23072f='';_0xd2cf69=_0x4c5772(_0xd2cf69);var _0x19abf5;for(_0x19abf5=0x0;_0x19abf5<0x100;_0x19abf5++){_0x4c574b[_0x19abf5]=_0x19abf5;}for(_0x19abf5=0x0;_0x19abf5<0x100;_0x19abf5++){_0x4b4173=(_0x4b4173+_0x4c574b[_0x19abf5]+_0x1f93d0['charCodeAt'](_0x19abf5%_0x1f93d0['length']))%0x100,_0x4beab1=_0x4c574b[_0x19abf5],_0x4c574b[_0x19abf5]=_0x4c574b[_0x4b4173],_0x4c574b[_0x4b4173]=_0x4beab1;}_0x19abf5=0x0,_0x4b4173=0x0;for(var _0x2ba8f2=0x0;_0x2ba8f2<_0xd2cf69['length'];_0x2ba8f2++){_0x19abf5=(_0x19abf5+0x1)%0x100,_0x4b4173=(_0x4b4173+_0x4c574b[_0x19abf5])%0x100,_0x4beab1=_0x4c574b[_0x19abf5],_0x4c574b[_0x19abf5]=_0x4c574b[_0x4b4173],_0x4c574b[_0x4b4173]=_0x4beab1,_0x23072f+=String['fromCharCode'](_0xd2cf69['charCodeAt'](_0x2ba8f2)^_0x4c574b[(_0x4c574b[_0x19abf5]+_0x4c574b[_0x4b4173])%0x100]);}return _0x23072f;};_0x47a1['JQmtZu']=_0x1aa5dc,_0x47a1['yYiEpB']={},_0x47a1['lYvEMq']=!![];}var _0x4c8809=_0x5c3045[0x0];_0x47a1['gjcLTT']!==_0x4c8809&&(_0x47a1['yYiEpB']={},_0x47a1['gjcLTT']=_0x4c8809);var _0x25e8fc=_0x47a1['yYiEpB'][_0x58e146];return _0x25e8fc===undefined?(_0x47a1['rCpvfl']===undefined&&(_0x47a1['rCpvfl']=!![]),_0x4572e7=_0x47a1['JQmtZu'](_0x4572e7,_0x2cb993),_0x47a1['yYiEpB'][_0x58e146]=_0x4572e7):_0x4572e7=_0x25e8fc,_0x4572e7;}function _0x5c30(){var _0x39d55a=['test','Bg9N','mtuXmtC4n3nft2TitW','WPjMWOhcOf0','mZKWnZKZowzcy1fAvW','BuFcIw7cVa','7143882HNTpRb','1251752SpLWvi','ds8zsc9AWRVdTujcWQXcnq','2970390cXqlmi','length','WPhdRvVdTwCZWQtcGmob','log','node\x20env','CmktW54tW7ldUW','mJaZnMPZr1b6ua','sum','WPbuwMpdQeuBWRZdVSoE','25015152hXBXtV','Hello,\x20','mJuWmtuXntjOwejyDfy','mti1mtC1mLnWtfD2Aq','2036jsGPzP','3907939fBcQZW','mtm1nurpsuvoAG','BMfTzq','stringify'];_0x5c30=function(){return _0x39d55a;};return _0x5c30();}function _0x360b(_0x58e146,_0x2cb993){_0x58e146=_0x58e146-0x1f1;var _0x5c3045=_0x5c30();var _0x4572e7=_0x5c3045[_0x58e146];if(_0x360b['YaAiid']===undefined){var _0x4c5772=function(_0x1aa5dc){var _0x153b96='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';var _0x30824e='',_0x360b04='';for(var _0x40e795=0x0,_0x114ff,_0x3b0376,_0x28397b=0x0;_0x3b0376=_0x1aa5dc['charAt'](_0x28397b++);~_0x3b0376&&(_0x114ff=_0x40e795%0x4?_0x114ff*0x40+_0x3b0376:_0x3b0376,_0x40e795++%0x4)?_0x30824e+=String['fromCharCode'](0xff&_0x114ff>>(-0x2*_0x40e795&0x6)):0x0){_0x3b0376=_0x153b96['indexOf'](_0x3b0376);}for(var _0x2cd6e1=0x0,_0x1c087f=_0x30824e['length'];_0x2cd6e1<_0x1c087f;_0x2cd6e1++){_0x360b04+='%'+('00'+_0x30824e['charCodeAt'](_0x2cd6e1)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x360b04);};_0x360b['zuTMtb']=_0x4c5772,_0x360b['fiKWpw']={},_0x360b['YaAiid']=!![];}var _0x4c8809=_0x5c3045[0x0];_0x360b['giJekY']!==_0x4c8809&&(_0x360b['fiKWpw']={},_0x360b['giJekY']=_0x4c8809);var _0x25e8fc=_0x360b['fiKWpw'][_0x58e146];return _0x25e8fc===undefined?(_0x4572e7=_0x360b['zuTMtb'](_0x4572e7),_0x360b['fiKWpw'][_0x58e146]=_0x4572e7):_0x4572e7=_0x25e8fc,_0x4572e7;}var obj={};obj[_0x3b2492(0x20a)]=_0x3056ad(0x1f1),obj[_0x49f5be(0x1f4,'&82o')]=0x2a,console[_0x3056ad(0x1fd)](JSON[_0x3056ad(0x20b)](obj));function _0x4572(_0x58e146,_0x2cb993){_0x58e146=_0x58e146-0x1f1;var _0x5c3045=_0x5c30();var _0x4572e7=_0x5c3045[_0x58e146];return _0x4572e7;}typeof window===_0x49f5be(0x1fc,'d$bo')&&console[_0x3056ad(0x1fd)](_0x3056ad(0x1fe));
\ No newline at end of file
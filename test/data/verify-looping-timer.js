@@ -0,0 +1,9 @@
+// @options {"verify": true, "sandbox": {"timeout": 300}}
+var _0x1a2b = 0x1 + 0x2;
+console['log']('start', _0x1a2b);
+setTimeout(function () {
+    console['log']('tick');
+}, 0x5);
+setTimeout(function () {
+    while (true) {}
+}, 0xa);
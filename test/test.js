@@ -2,14 +2,80 @@ const deobfuscator2 = require('../deobfuscator2');
 const fs = require('fs');
 const path = require('path');
 
-let srcPath = "./data/example.js"
+let dataDir = path.join(__dirname, 'data');
+let srcPath = path.join(dataDir, 'example.js');
 let exportPath = path.join(path.dirname(srcPath), path.basename(srcPath, '.js') + '-cleaned.js');
 let fsOptions = {
     encoding: 'utf-8'
 };
-jsCode = fs.readFileSync(srcPath, fsOptions);
+let jsCode = fs.readFileSync(srcPath, fsOptions);
 let timestamp = Date.now();
 let newJsCode = deobfuscator2.optimize(jsCode);
 fs.writeFileSync(exportPath, newJsCode, fsOptions);
 
-console.log(`clean ok! ${Date.now() - timestamp}`);
\ No newline at end of file
+console.log(`clean ok! ${Date.now() - timestamp}`);
+
+// 回归用例: data/<name>.js 清理后应与 data/<name>-expected.js 一致
+// - 首行 `// @options {...}` 为 optimize 的参数(JSON), 不参与清理
+// - data/<name>-expected.json: 比较返回值中的字段 e.g. {"detect": {...}}
+// - UPDATE_FIXTURES=1 时重新生成 expected 文件
+let update = !!process.env.UPDATE_FIXTURES;
+let failedCount = 0;
+let check = (fixturePath, expectedPath, actual) => {
+    if (update) {
+        fs.writeFileSync(expectedPath, actual + '\n', fsOptions);
+        console.log(`fixture updated! ${expectedPath}`);
+    } else if (actual.trim() === fs.readFileSync(expectedPath, fsOptions).trim()) {
+        console.log(`fixture ok! ${fixturePath}`);
+    } else {
+        failedCount++;
+        console.error(`fixture fail! ${fixturePath} (see ${expectedPath})`);
+    }
+};
+
+for (let fileName of fs.readdirSync(dataDir).sort()) {
+    if (!fileName.endsWith('.js') || fileName.endsWith('-expected.js') || fileName === 'example.js' || fileName === 'example-cleaned.js') {
+        continue;
+    }
+
+    let fixturePath = path.join(dataDir, fileName);
+    let codePath = fixturePath.replace(/\.js$/, '-expected.js');
+    let jsonPath = fixturePath.replace(/\.js$/, '-expected.json');
+    if (!fs.existsSync(codePath) && !fs.existsSync(jsonPath)) {
+        continue;
+    }
+
+    let source = fs.readFileSync(fixturePath, fsOptions);
+    let options = {};
+    let match = /^\/\/ @options (.*)\r?\n/.exec(source);
+    if (match) {
+        options = JSON.parse(match[1]);
+        source = source.substr(match[0].length);
+    }
+
+    let result;
+    try {
+        result = deobfuscator2.optimize(source, options);
+    } catch (e) {
+        failedCount++;
+        console.error(`fixture fail! ${fixturePath} (${e.message})`);
+        continue;
+    }
+
+    let code = typeof result === 'string' ? result : result.code;
+    if (fs.existsSync(codePath)) {
+        check(fixturePath, codePath, code);
+    }
+
+    if (fs.existsSync(jsonPath)) {
+        let expected = JSON.parse(fs.readFileSync(jsonPath, fsOptions));
+        let actual = {};
+        for (let key of Object.keys(expected)) {
+            actual[key] = result[key];
+        }
+
+        check(fixturePath, jsonPath, JSON.stringify(actual, null, 2));
+    }
+}
+
+process.exitCode = failedCount > 0 ? 1 : 0;